@@ -52,6 +52,107 @@ const initializeDatabase = async () => {
       )
     `);
 
+    // Add session metadata columns to refresh_tokens table if not exists
+    await pool.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns 
+          WHERE table_name='refresh_tokens' AND column_name='session_id'
+        ) THEN
+          ALTER TABLE refresh_tokens ADD COLUMN session_id UUID;
+          ALTER TABLE refresh_tokens ADD COLUMN user_agent TEXT;
+          ALTER TABLE refresh_tokens ADD COLUMN ip_address VARCHAR(45);
+          ALTER TABLE refresh_tokens ADD COLUMN device_name VARCHAR(100);
+          ALTER TABLE refresh_tokens ADD COLUMN last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+          UPDATE refresh_tokens SET session_id = gen_random_uuid(), last_used_at = created_at;
+          ALTER TABLE refresh_tokens ALTER COLUMN session_id SET NOT NULL;
+          CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_session ON refresh_tokens(user_id, session_id);
+        END IF;
+      END$$;
+    `);
+
+    // Store refresh tokens as hashes and track rotation (rows sharing a session_id form a rotation family)
+    await pool.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns 
+          WHERE table_name='refresh_tokens' AND column_name='token_hash'
+        ) THEN
+          ALTER TABLE refresh_tokens ADD COLUMN token_hash VARCHAR(64);
+          ALTER TABLE refresh_tokens ADD COLUMN rotated_at TIMESTAMP;
+          UPDATE refresh_tokens SET token_hash = encode(sha256(convert_to(token, 'UTF8')), 'hex');
+          ALTER TABLE refresh_tokens ALTER COLUMN token_hash SET NOT NULL;
+          ALTER TABLE refresh_tokens ADD CONSTRAINT refresh_tokens_token_hash_key UNIQUE (token_hash);
+          ALTER TABLE refresh_tokens DROP COLUMN token;
+        END IF;
+      END$$;
+    `);
+
+    // Create security_events table (audit log for token and session events)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS security_events (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        event_type VARCHAR(50) NOT NULL,
+        session_id UUID,
+        ip_address VARCHAR(45),
+        user_agent TEXT,
+        details JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create email_verification_tokens table (one pending token per user)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS email_verification_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+        token_hash VARCHAR(64) NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create password_reset_tokens table
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS password_reset_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Add two-factor authentication columns to users table if not exists
+    await pool.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns 
+          WHERE table_name='users' AND column_name='two_factor_enabled'
+        ) THEN
+          ALTER TABLE users ADD COLUMN two_factor_enabled BOOLEAN DEFAULT FALSE;
+          ALTER TABLE users ADD COLUMN two_factor_secret VARCHAR(64);
+          ALTER TABLE users ADD COLUMN two_factor_last_step BIGINT;
+        END IF;
+      END$$;
+    `);
+
+    // Create two_factor_recovery_codes table
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        code_hash VARCHAR(64) NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
     // Create posts table (for FastGram functionality)
     await pool.query(`
       CREATE TABLE IF NOT EXISTS posts (
@@ -77,6 +178,96 @@ const initializeDatabase = async () => {
       )
     `);
 
+    // Add is_private column to users table if not exists
+    await pool.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns 
+          WHERE table_name='users' AND column_name='is_private'
+        ) THEN
+          ALTER TABLE users ADD COLUMN is_private BOOLEAN DEFAULT FALSE;
+        END IF;
+      END$$;
+    `);
+
+    // Add profile_picture_public_id column to users table if not exists (the uploaded avatar the server may delete)
+    await pool.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns 
+          WHERE table_name='users' AND column_name='profile_picture_public_id'
+        ) THEN
+          ALTER TABLE users ADD COLUMN profile_picture_public_id VARCHAR(255);
+
+          -- Avatars uploaded before the column existed are named after their owner
+          UPDATE users
+          SET profile_picture_public_id = substring(profile_picture_url FROM '/(fastgram/avatars/avatar_' || id || '_[0-9]+)\\.\\w+$')
+          WHERE profile_picture_url IS NOT NULL;
+        END IF;
+      END$$;
+    `);
+
+    // Logins and the lockout notification look accounts up by lowercased email
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_users_email_lower ON users (LOWER(email))
+    `);
+
+    // Enable trigram matching for user search and index the searchable columns
+    await pool.query('CREATE EXTENSION IF NOT EXISTS pg_trgm');
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_users_username_trgm ON users USING GIN (username gin_trgm_ops)
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_users_full_name_trgm ON users USING GIN (full_name gin_trgm_ops)
+    `);
+
+    // Create follow_requests table (requests to follow private accounts)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS follow_requests (
+        id SERIAL PRIMARY KEY,
+        requester_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        target_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined')),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        responded_at TIMESTAMP,
+        UNIQUE(requester_id, target_id)
+      )
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_follow_requests_target_status ON follow_requests(target_id, status)
+    `);
+
+    // Create user_blocks table (blocks hide both users from each other)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS user_blocks (
+        id SERIAL PRIMARY KEY,
+        blocker_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        blocked_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(blocker_id, blocked_id)
+      )
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_user_blocks_blocked ON user_blocks(blocked_id)
+    `);
+
+    // Create user_mutes table (muted users' posts are hidden from the muter's feed)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS user_mutes (
+        id SERIAL PRIMARY KEY,
+        muter_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        muted_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(muter_id, muted_id)
+      )
+    `);
+
     // Create likes table
     await pool.query(`
       CREATE TABLE IF NOT EXISTS likes (
@@ -120,12 +311,171 @@ const initializeDatabase = async () => {
         id SERIAL PRIMARY KEY,
         group_id INTEGER REFERENCES groups(id) ON DELETE CASCADE,
         user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        role VARCHAR(20) DEFAULT 'member',
+        role VARCHAR(20) DEFAULT 'member' CONSTRAINT group_members_role_check CHECK (role IN ('owner', 'admin', 'moderator', 'member')),
         joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         UNIQUE(group_id, user_id)
       )
     `);
 
+    // Owners used to be stored as admins; give them the owner role and restrict roles to the known set
+    await pool.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.table_constraints
+          WHERE table_name='group_members' AND constraint_name='group_members_role_check'
+        ) THEN
+          UPDATE group_members gm SET role = 'owner'
+          FROM groups g
+          WHERE gm.group_id = g.id AND gm.user_id = g.owner_id;
+          ALTER TABLE group_members ADD CONSTRAINT group_members_role_check
+            CHECK (role IN ('owner', 'admin', 'moderator', 'member'));
+        END IF;
+      END$$;
+    `);
+
+    // Create group_join_requests table (requests to join private groups)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS group_join_requests (
+        id SERIAL PRIMARY KEY,
+        group_id INTEGER REFERENCES groups(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        message VARCHAR(500),
+        status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+        reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        responded_at TIMESTAMP,
+        UNIQUE(group_id, user_id)
+      )
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_group_join_requests_group_status ON group_join_requests(group_id, status)
+    `);
+
+    // Create group_invites table (shareable invite codes; max_uses and expires_at are optional)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS group_invites (
+        id SERIAL PRIMARY KEY,
+        group_id INTEGER REFERENCES groups(id) ON DELETE CASCADE,
+        code VARCHAR(32) UNIQUE NOT NULL,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        role VARCHAR(20) NOT NULL DEFAULT 'member',
+        max_uses INTEGER,
+        uses_count INTEGER DEFAULT 0,
+        expires_at TIMESTAMP,
+        revoked_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_group_invites_group ON group_invites(group_id)
+    `);
+
+    // Create group_invite_uses table (who joined with each invite)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS group_invite_uses (
+        invite_id INTEGER REFERENCES group_invites(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (invite_id, user_id)
+      )
+    `);
+
+    // Create group_ownership_transfers table (ownership offers the new owner has to accept)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS group_ownership_transfers (
+        id SERIAL PRIMARY KEY,
+        group_id INTEGER REFERENCES groups(id) ON DELETE CASCADE,
+        from_user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        to_user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined', 'cancelled')),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        responded_at TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_group_ownership_transfers_pending ON group_ownership_transfers(group_id) WHERE status = 'pending'
+    `);
+
+    // Create group_bans table (expires_at is null for permanent bans)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS group_bans (
+        id SERIAL PRIMARY KEY,
+        group_id INTEGER REFERENCES groups(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        banned_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        reason VARCHAR(500),
+        expires_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(group_id, user_id)
+      )
+    `);
+
+    // When the owner's membership goes away (leaving the group or deleting their account), promote the
+    // longest-standing admin, or else the longest-standing member. A group left with no members is kept,
+    // with its posts and history, but has no owner and is read-only (no one can join it)
+    await pool.query(`
+      CREATE OR REPLACE FUNCTION promote_group_successor() RETURNS TRIGGER AS $$
+      DECLARE
+        successor_id INTEGER;
+      BEGIN
+        IF OLD.role <> 'owner' OR NOT EXISTS (SELECT 1 FROM groups WHERE id = OLD.group_id) THEN
+          RETURN NULL;
+        END IF;
+
+        UPDATE group_ownership_transfers SET status = 'cancelled', responded_at = CURRENT_TIMESTAMP
+        WHERE group_id = OLD.group_id AND status = 'pending';
+
+        SELECT user_id INTO successor_id FROM group_members
+        WHERE group_id = OLD.group_id
+        ORDER BY (role = 'admin') DESC, joined_at, id
+        LIMIT 1;
+
+        IF successor_id IS NOT NULL THEN
+          UPDATE group_members SET role = 'owner' WHERE group_id = OLD.group_id AND user_id = successor_id;
+        END IF;
+
+        UPDATE groups SET owner_id = successor_id, updated_at = CURRENT_TIMESTAMP WHERE id = OLD.group_id;
+
+        RETURN NULL;
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+
+    await pool.query(`
+      DROP TRIGGER IF EXISTS group_members_promote_successor ON group_members;
+      CREATE TRIGGER group_members_promote_successor
+        AFTER DELETE ON group_members
+        FOR EACH ROW EXECUTE FUNCTION promote_group_successor()
+    `);
+
+    // Ownerless groups used to be claimed by the next user to join; they now stay read-only
+    await pool.query(`
+      DROP TRIGGER IF EXISTS group_members_claim_ownerless ON group_members;
+      DROP FUNCTION IF EXISTS claim_ownerless_group();
+    `);
+
+    // Give groups orphaned before the trigger existed an owner
+    await pool.query(`
+      WITH successors AS (
+        SELECT DISTINCT ON (gm.group_id) gm.group_id, gm.user_id
+        FROM group_members gm
+        JOIN groups g ON gm.group_id = g.id
+        WHERE g.owner_id IS NULL
+        ORDER BY gm.group_id, (gm.role = 'admin') DESC, gm.joined_at, gm.id
+      ), promoted AS (
+        UPDATE group_members gm SET role = 'owner'
+        FROM successors s
+        WHERE gm.group_id = s.group_id AND gm.user_id = s.user_id
+      )
+      UPDATE groups g SET owner_id = s.user_id
+      FROM successors s
+      WHERE g.id = s.group_id
+    `);
+
     // Add group_id to posts table if not exists
     await pool.query(`
       DO $$
@@ -139,13 +489,266 @@ const initializeDatabase = async () => {
       END$$;
     `);
 
+    // Add group post moderation columns if not exists (only approved posts are published)
+    await pool.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns
+          WHERE table_name='groups' AND column_name='requires_post_approval'
+        ) THEN
+          ALTER TABLE groups ADD COLUMN requires_post_approval BOOLEAN DEFAULT FALSE;
+        END IF;
+
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns
+          WHERE table_name='posts' AND column_name='moderation_status'
+        ) THEN
+          ALTER TABLE posts ADD COLUMN moderation_status VARCHAR(20) NOT NULL DEFAULT 'approved'
+            CHECK (moderation_status IN ('pending', 'approved', 'rejected'));
+          ALTER TABLE posts ADD COLUMN moderation_reason VARCHAR(500);
+          ALTER TABLE posts ADD COLUMN moderated_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+          ALTER TABLE posts ADD COLUMN moderated_at TIMESTAMP;
+        END IF;
+      END$$;
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_posts_group_pending ON posts(group_id, created_at) WHERE moderation_status = 'pending'
+    `);
+
+    // Create post_media table (ordered images of a carousel post)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS post_media (
+        id SERIAL PRIMARY KEY,
+        post_id INTEGER REFERENCES posts(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        media_type VARCHAR(10) NOT NULL DEFAULT 'image',
+        url VARCHAR(500) NOT NULL,
+        public_id VARCHAR(255),
+        width INTEGER,
+        height INTEGER,
+        alt_text VARCHAR(500),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(post_id, position)
+      )
+    `);
+
+    // Add video metadata columns to post_media table if not exists
+    await pool.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns 
+          WHERE table_name='post_media' AND column_name='duration'
+        ) THEN
+          ALTER TABLE post_media ADD COLUMN duration NUMERIC(8, 2);
+          ALTER TABLE post_media ADD COLUMN poster_url VARCHAR(500);
+        END IF;
+      END$$;
+    `);
+
+    // Copy single images of existing posts into post_media
+    await pool.query(`
+      INSERT INTO post_media (post_id, position, url, public_id)
+      SELECT p.id, 0, p.image_url, substring(p.image_url from '/v\\d+/(.+)\\.\\w+$')
+      FROM posts p
+      WHERE p.image_url IS NOT NULL
+        AND NOT EXISTS (SELECT 1 FROM post_media pm WHERE pm.post_id = p.id)
+    `);
+
+    // Create hashtags tables (names are stored lowercase without '#')
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS hashtags (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) UNIQUE NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS post_hashtags (
+        post_id INTEGER REFERENCES posts(id) ON DELETE CASCADE,
+        hashtag_id INTEGER REFERENCES hashtags(id) ON DELETE CASCADE,
+        PRIMARY KEY (post_id, hashtag_id)
+      )
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_post_hashtags_hashtag ON post_hashtags(hashtag_id)
+    `);
+
+    // Index hashtags in captions of existing posts
+    const captionHashtags = `
+      SELECT DISTINCT p.id AS post_id, lower(m[1]) AS name
+      FROM posts p
+      CROSS JOIN LATERAL regexp_matches(p.caption, '(?:^|[^[:alnum:]_&#])#([[:alnum:]_]{1,100})(?![[:alnum:]_])', 'g') AS m
+      WHERE p.caption LIKE '%#%'
+        AND NOT EXISTS (SELECT 1 FROM post_hashtags ph WHERE ph.post_id = p.id)
+    `;
+
+    await pool.query(`
+      INSERT INTO hashtags (name)
+      SELECT DISTINCT name FROM (${captionHashtags}) tags
+      WHERE name !~ '^[0-9]+$'
+      ON CONFLICT (name) DO NOTHING
+    `);
+
+    await pool.query(`
+      INSERT INTO post_hashtags (post_id, hashtag_id)
+      SELECT tags.post_id, h.id
+      FROM (${captionHashtags}) tags
+      JOIN hashtags h ON h.name = tags.name
+    `);
+
+    // Create mentions table (users @mentioned in a post caption or a comment)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS mentions (
+        id SERIAL PRIMARY KEY,
+        post_id INTEGER REFERENCES posts(id) ON DELETE CASCADE,
+        comment_id INTEGER REFERENCES comments(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+        start_offset INTEGER NOT NULL,
+        end_offset INTEGER NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK ((post_id IS NULL) <> (comment_id IS NULL))
+      )
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_mentions_post ON mentions(post_id)
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_mentions_comment ON mentions(comment_id)
+    `);
+
+    // Create notifications table
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS notifications (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+        actor_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        type VARCHAR(30) NOT NULL,
+        post_id INTEGER REFERENCES posts(id) ON DELETE CASCADE,
+        comment_id INTEGER REFERENCES comments(id) ON DELETE CASCADE,
+        is_read BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Add grouping columns to notifications table if not exists
+    await pool.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns 
+          WHERE table_name='notifications' AND column_name='group_id'
+        ) THEN
+          ALTER TABLE notifications ADD COLUMN group_id INTEGER REFERENCES groups(id) ON DELETE CASCADE;
+          ALTER TABLE notifications ADD COLUMN actors_count INTEGER DEFAULT 1;
+          ALTER TABLE notifications ADD COLUMN updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+        END IF;
+      END$$;
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_notifications_user_updated ON notifications(user_id, updated_at DESC, id DESC)
+    `);
+
+    // At most one unread grouped notification (e.g. likes) per post and recipient
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_notifications_unread_group
+      ON notifications(user_id, type, post_id) WHERE type = 'like' AND is_read = false
+    `);
+
+    // Create notification_actors table (everyone behind a grouped notification)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS notification_actors (
+        notification_id INTEGER REFERENCES notifications(id) ON DELETE CASCADE,
+        actor_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (notification_id, actor_id)
+      )
+    `);
+
+    // Create conversations table (direct_key is "<lower user id>:<higher user id>" for one-to-one conversations)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS conversations (
+        id SERIAL PRIMARY KEY,
+        is_group BOOLEAN DEFAULT FALSE,
+        name VARCHAR(100),
+        direct_key VARCHAR(50) UNIQUE,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        last_message_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create conversation_participants table (last_read_message_id backs read receipts and unread counts)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS conversation_participants (
+        conversation_id INTEGER REFERENCES conversations(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        last_read_message_id INTEGER,
+        last_read_at TIMESTAMP,
+        joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (conversation_id, user_id)
+      )
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_conversation_participants_user ON conversation_participants(user_id)
+    `);
+
+    // Create messages table (deleted messages keep their row so history stays in order)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS messages (
+        id SERIAL PRIMARY KEY,
+        conversation_id INTEGER REFERENCES conversations(id) ON DELETE CASCADE NOT NULL,
+        sender_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        message_type VARCHAR(10) NOT NULL DEFAULT 'text',
+        text TEXT,
+        post_id INTEGER REFERENCES posts(id) ON DELETE SET NULL,
+        image_url VARCHAR(500),
+        image_public_id VARCHAR(255),
+        image_width INTEGER,
+        image_height INTEGER,
+        is_deleted BOOLEAN DEFAULT FALSE,
+        deleted_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_messages_conversation ON messages(conversation_id, id DESC)
+    `);
+
+    // Create group_messages table (group chat)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS group_messages (
+        id SERIAL PRIMARY KEY,
+        group_id INTEGER REFERENCES groups(id) ON DELETE CASCADE NOT NULL,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        content TEXT NOT NULL,
+        edited_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_group_messages_group ON group_messages(group_id, id DESC)
+    `);
+
     console.log('Database tables initialized successfully');
   } catch (error) {
     console.error('Error initializing database:', error);
   }
 };
 
-// Execute database initialization
-initializeDatabase();
+// Execute database initialization (pool.initialized resolves once the tables are ready)
+pool.initialized = initializeDatabase();
 
 module.exports = pool;
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+require('dotenv').config();
+
+// Directory of PEM keys; the file name (without .pem / .pub.pem) is the key id (kid).
+// Private keys can sign and verify; public-only keys are kept to verify tokens signed by retired keys.
+const KEYS_DIR = path.resolve(process.env.JWT_KEYS_DIR || 'keys');
+
+// Pick the JWT algorithm matching a key
+const algorithmFor = (keyObject) => {
+  const { asymmetricKeyType, asymmetricKeyDetails = {} } = keyObject;
+
+  if (asymmetricKeyType === 'rsa') return 'RS256';
+  if (asymmetricKeyType === 'ec') {
+    if (asymmetricKeyDetails.namedCurve === 'secp384r1') return 'ES384';
+    if (asymmetricKeyDetails.namedCurve === 'prime256v1') return 'ES256';
+  }
+
+  throw new Error(`Unsupported JWT key type: ${asymmetricKeyType} ${asymmetricKeyDetails.namedCurve || ''}`.trim());
+};
+
+// Load every key in KEYS_DIR
+const loadKeysFromDir = () => {
+  const keys = new Map();
+  if (!fs.existsSync(KEYS_DIR)) return keys;
+
+  for (const file of fs.readdirSync(KEYS_DIR)) {
+    if (!file.endsWith('.pem')) continue;
+
+    const kid = file.replace(/(\.pub)?\.pem$/, '');
+    const pem = fs.readFileSync(path.join(KEYS_DIR, file), 'utf8');
+    const isPrivate = pem.includes('PRIVATE KEY');
+
+    const privateKey = isPrivate ? crypto.createPrivateKey(pem) : null;
+    const publicKey = isPrivate ? crypto.createPublicKey(privateKey) : crypto.createPublicKey(pem);
+
+    // A private key wins over a public-only file with the same kid
+    if (keys.has(kid) && !isPrivate) continue;
+
+    keys.set(kid, { kid, privateKey, publicKey, algorithm: algorithmFor(publicKey) });
+  }
+
+  return keys;
+};
+
+const keys = loadKeysFromDir();
+
+// Resolve the key used for signing new tokens
+const resolveActiveKid = () => {
+  if (process.env.JWT_ACTIVE_KID) {
+    const key = keys.get(process.env.JWT_ACTIVE_KID);
+    if (!key || !key.privateKey) {
+      throw new Error(`JWT_ACTIVE_KID "${process.env.JWT_ACTIVE_KID}" has no private key in ${KEYS_DIR}`);
+    }
+    return key.kid;
+  }
+
+  const signingKeys = [...keys.values()].filter((key) => key.privateKey);
+  if (signingKeys.length === 1) return signingKeys[0].kid;
+  if (signingKeys.length > 1) {
+    throw new Error(`Multiple private keys in ${KEYS_DIR}; set JWT_ACTIVE_KID to choose the signing key`);
+  }
+
+  // No keys configured: a throwaway key logs everyone out on every restart, so only allow it in development and tests
+  if (!['development', 'test'].includes(process.env.NODE_ENV)) {
+    throw new Error(`No JWT signing key found in ${KEYS_DIR}. Run "npm run jwt:keygen" to create one`);
+  }
+
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const kid = `dev-${crypto.randomBytes(4).toString('hex')}`;
+  keys.set(kid, { kid, privateKey, publicKey, algorithm: 'ES256' });
+  console.warn(`⚠️  No JWT keys in ${KEYS_DIR}; using ephemeral key "${kid}" (tokens will not survive a restart)`);
+  return kid;
+};
+
+const activeKid = resolveActiveKid();
+
+console.log(`🔑 JWT signing key: ${activeKid} (${keys.get(activeKid).algorithm}), ${keys.size} verification key(s) loaded`);
+
+// Key used to sign new tokens
+const getSigningKey = () => keys.get(activeKid);
+
+// Key matching a token's kid header (null if unknown)
+const getVerificationKey = (kid) => keys.get(kid) || null;
+
+// Public keys in JSON Web Key Set format
+const getJwks = () => ({
+  keys: [...keys.values()].map((key) => ({
+    ...key.publicKey.export({ format: 'jwk' }),
+    kid: key.kid,
+    alg: key.algorithm,
+    use: 'sig'
+  }))
+});
+
+module.exports = {
+  getSigningKey,
+  getVerificationKey,
+  getJwks
+};
@@ -0,0 +1,36 @@
+const { EventEmitter } = require('events');
+require('dotenv').config();
+
+// Publish/subscribe used for real-time events. Every driver implements:
+//   publish(channel, message) -> Promise   (message must be JSON-serialisable)
+//   subscribe(channel, handler) -> Promise<unsubscribe function>
+// The in-memory driver only reaches clients connected to this process; a broker
+// driver (e.g. Redis) can be added here to fan events out across instances.
+
+// Deliver messages to subscribers in this process
+const createMemoryPubSub = () => {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0); // one listener per open stream per channel
+
+  return {
+    async publish(channel, message) {
+      emitter.emit(channel, message);
+    },
+
+    async subscribe(channel, handler) {
+      emitter.on(channel, handler);
+      return () => emitter.off(channel, handler);
+    }
+  };
+};
+
+const drivers = {
+  memory: createMemoryPubSub
+};
+
+const driverName = process.env.PUBSUB_DRIVER || 'memory';
+if (!drivers[driverName]) {
+  throw new Error(`Unknown PUBSUB_DRIVER "${driverName}" (available: ${Object.keys(drivers).join(', ')})`);
+}
+
+module.exports = drivers[driverName]();
@@ -65,6 +65,10 @@ const options = {
               type: 'boolean',
               description: 'Whether user account is verified'
             },
+            isPrivate: {
+              type: 'boolean',
+              description: 'Whether only approved followers can see posts and connections'
+            },
             createdAt: {
               type: 'string',
               format: 'date-time',
@@ -165,6 +169,47 @@ const options = {
               type: 'string',
               maxLength: 100,
               description: 'User full name (optional)'
+            },
+            deviceName: {
+              type: 'string',
+              maxLength: 100,
+              description: 'Friendly device name shown in the session list (optional, derived from the user agent if omitted)'
+            }
+          }
+        },
+        VerifyEmailRequest: {
+          type: 'object',
+          required: ['token'],
+          properties: {
+            token: {
+              type: 'string',
+              description: 'Verification token from the email link'
+            }
+          }
+        },
+        ForgotPasswordRequest: {
+          type: 'object',
+          required: ['email'],
+          properties: {
+            email: {
+              type: 'string',
+              format: 'email',
+              description: 'Email address of the account'
+            }
+          }
+        },
+        ResetPasswordRequest: {
+          type: 'object',
+          required: ['token', 'newPassword'],
+          properties: {
+            token: {
+              type: 'string',
+              description: 'Reset token from the email link'
+            },
+            newPassword: {
+              type: 'string',
+              minLength: 6,
+              description: 'New password (minimum 6 characters)'
             }
           }
         },
@@ -180,6 +225,88 @@ const options = {
             password: {
               type: 'string',
               description: 'User password'
+            },
+            deviceName: {
+              type: 'string',
+              maxLength: 100,
+              description: 'Friendly device name shown in the session list (optional, derived from the user agent if omitted)'
+            }
+          }
+        },
+        LoginTwoFactorRequest: {
+          type: 'object',
+          required: ['challengeToken', 'code'],
+          properties: {
+            challengeToken: {
+              type: 'string',
+              description: 'Challenge token returned by /api/auth/login'
+            },
+            code: {
+              type: 'string',
+              description: '6-digit authenticator code or a recovery code'
+            },
+            deviceName: {
+              type: 'string',
+              maxLength: 100,
+              description: 'Friendly device name shown in the session list (optional, derived from the user agent if omitted)'
+            }
+          }
+        },
+        TwoFactorCodeRequest: {
+          type: 'object',
+          required: ['code'],
+          properties: {
+            code: {
+              type: 'string',
+              description: '6-digit authenticator code'
+            }
+          }
+        },
+        DisableTwoFactorRequest: {
+          type: 'object',
+          required: ['password', 'code'],
+          properties: {
+            password: {
+              type: 'string',
+              description: 'Current password'
+            },
+            code: {
+              type: 'string',
+              description: '6-digit authenticator code or a recovery code'
+            }
+          }
+        },
+        Session: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'Session ID'
+            },
+            deviceName: {
+              type: 'string',
+              description: 'Friendly device name'
+            },
+            userAgent: {
+              type: 'string'
+            },
+            ipAddress: {
+              type: 'string'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the device logged in'
+            },
+            lastUsedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Last token refresh from this device'
+            },
+            isCurrent: {
+              type: 'boolean',
+              description: 'Whether this is the session making the request'
             }
           }
         },
@@ -231,6 +358,10 @@ const options = {
               type: 'string',
               format: 'uri',
               description: 'New profile picture URL'
+            },
+            isPrivate: {
+              type: 'boolean',
+              description: 'Make the account private (new followers need approval). Switching back to public accepts all pending requests'
             }
           }
         },
@@ -285,6 +416,371 @@ const options = {
             postsCount: {
               type: 'integer',
               description: 'Number of posts'
+            },
+            isPrivate: {
+              type: 'boolean'
+            },
+            followStatus: {
+              type: 'string',
+              enum: ['self', 'following', 'requested', 'none'],
+              description: 'Relationship of the authenticated caller with this user (omitted for anonymous callers)'
+            }
+          }
+        },
+        ProfilePicture: {
+          type: 'object',
+          properties: {
+            profilePictureUrl: {
+              type: 'string',
+              format: 'uri',
+              description: 'Square avatar (400x400)'
+            },
+            thumbnails: {
+              type: 'array',
+              description: 'Smaller square versions of the avatar',
+              items: {
+                type: 'object',
+                properties: {
+                  size: {
+                    type: 'integer',
+                    example: 150
+                  },
+                  url: {
+                    type: 'string',
+                    format: 'uri'
+                  }
+                }
+              }
+            }
+          }
+        },
+        Hashtag: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer'
+            },
+            name: {
+              type: 'string',
+              description: 'Lowercase hashtag without the leading #',
+              example: 'sunset'
+            },
+            postsCount: {
+              type: 'integer',
+              description: 'Number of posts using the hashtag'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        Notification: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer'
+            },
+            type: {
+              type: 'string',
+              enum: ['like', 'comment', 'mention', 'follow', 'follow_request', 'follow_accept', 'group_join', 'group_add', 'group_join_request', 'group_join_approved', 'group_join_rejected', 'group_ownership_offer', 'group_ownership_accepted', 'group_ownership_inherited', 'group_post_approved', 'group_post_rejected']
+            },
+            message: {
+              type: 'string',
+              example: 'alice and 12 others liked your post'
+            },
+            isRead: {
+              type: 'boolean'
+            },
+            actorsCount: {
+              type: 'integer',
+              description: 'Number of users behind a grouped notification (1 otherwise)'
+            },
+            actor: {
+              type: 'object',
+              nullable: true,
+              description: 'Most recent user behind the notification',
+              properties: {
+                id: {
+                  type: 'integer'
+                },
+                username: {
+                  type: 'string'
+                },
+                fullName: {
+                  type: 'string'
+                },
+                profilePictureUrl: {
+                  type: 'string'
+                },
+                isVerified: {
+                  type: 'boolean'
+                }
+              }
+            },
+            post: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                id: {
+                  type: 'integer'
+                },
+                imageUrl: {
+                  type: 'string'
+                }
+              }
+            },
+            comment: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                id: {
+                  type: 'integer'
+                },
+                commentText: {
+                  type: 'string'
+                }
+              }
+            },
+            group: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                id: {
+                  type: 'integer'
+                },
+                name: {
+                  type: 'string'
+                }
+              }
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Time of the latest activity (notifications are sorted by it)'
+            }
+          }
+        },
+        Message: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer'
+            },
+            conversationId: {
+              type: 'integer'
+            },
+            type: {
+              type: 'string',
+              enum: ['text', 'post', 'image']
+            },
+            text: {
+              type: 'string',
+              nullable: true
+            },
+            post: {
+              type: 'object',
+              nullable: true,
+              description: 'Shared post; only its id is returned when the viewer may not see it',
+              properties: {
+                id: {
+                  type: 'integer'
+                },
+                caption: {
+                  type: 'string'
+                },
+                imageUrl: {
+                  type: 'string'
+                },
+                user: {
+                  type: 'object',
+                  properties: {
+                    id: {
+                      type: 'integer'
+                    },
+                    username: {
+                      type: 'string'
+                    },
+                    profilePictureUrl: {
+                      type: 'string'
+                    }
+                  }
+                },
+                isAvailable: {
+                  type: 'boolean'
+                }
+              }
+            },
+            image: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                url: {
+                  type: 'string'
+                },
+                width: {
+                  type: 'integer'
+                },
+                height: {
+                  type: 'integer'
+                }
+              }
+            },
+            sender: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                id: {
+                  type: 'integer'
+                },
+                username: {
+                  type: 'string'
+                },
+                fullName: {
+                  type: 'string'
+                },
+                profilePictureUrl: {
+                  type: 'string'
+                },
+                isVerified: {
+                  type: 'boolean'
+                }
+              }
+            },
+            isDeleted: {
+              type: 'boolean',
+              description: 'Deleted messages have no text, post or image'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            deletedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            }
+          }
+        },
+        Conversation: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer'
+            },
+            isGroup: {
+              type: 'boolean'
+            },
+            name: {
+              type: 'string',
+              nullable: true,
+              description: 'Name of a group conversation'
+            },
+            createdBy: {
+              type: 'integer',
+              nullable: true
+            },
+            participants: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: {
+                    type: 'integer'
+                  },
+                  username: {
+                    type: 'string'
+                  },
+                  fullName: {
+                    type: 'string'
+                  },
+                  profilePictureUrl: {
+                    type: 'string'
+                  },
+                  isVerified: {
+                    type: 'boolean'
+                  },
+                  lastReadMessageId: {
+                    type: 'integer',
+                    nullable: true,
+                    description: 'Read receipt: the latest message this participant has read'
+                  },
+                  lastReadAt: {
+                    type: 'string',
+                    format: 'date-time',
+                    nullable: true
+                  },
+                  joinedAt: {
+                    type: 'string',
+                    format: 'date-time'
+                  }
+                }
+              }
+            },
+            lastMessage: {
+              $ref: '#/components/schemas/Message'
+            },
+            unreadCount: {
+              type: 'integer'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Time of the latest message'
+            }
+          }
+        },
+        UserSearchResult: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer'
+            },
+            username: {
+              type: 'string'
+            },
+            fullName: {
+              type: 'string'
+            },
+            profilePictureUrl: {
+              type: 'string'
+            },
+            isVerified: {
+              type: 'boolean'
+            },
+            isPrivate: {
+              type: 'boolean'
+            },
+            isFollowing: {
+              type: 'boolean',
+              description: 'Whether the authenticated caller follows this user'
+            }
+          }
+        },
+        FollowRequest: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer'
+            },
+            status: {
+              type: 'string',
+              enum: ['pending', 'accepted', 'declined']
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            user: {
+              $ref: '#/components/schemas/Follower'
             }
           }
         },
@@ -312,6 +808,86 @@ const options = {
             }
           }
         },
+        PostMedia: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer'
+            },
+            position: {
+              type: 'integer',
+              description: 'Zero-based position in the carousel'
+            },
+            type: {
+              type: 'string',
+              enum: ['image', 'video'],
+              example: 'image'
+            },
+            url: {
+              type: 'string',
+              format: 'uri',
+              description: 'Image URL, or the playback URL for videos'
+            },
+            width: {
+              type: 'integer',
+              nullable: true
+            },
+            height: {
+              type: 'integer',
+              nullable: true
+            },
+            duration: {
+              type: 'number',
+              nullable: true,
+              description: 'Video length in seconds (null for images)',
+              example: 12.5
+            },
+            posterUrl: {
+              type: 'string',
+              format: 'uri',
+              nullable: true,
+              description: 'Poster thumbnail for videos (null for images)'
+            },
+            altText: {
+              type: 'string',
+              nullable: true
+            }
+          }
+        },
+        Mention: {
+          type: 'object',
+          description: 'An @username in a caption or comment, resolved to a user',
+          properties: {
+            start: {
+              type: 'integer',
+              description: 'Index of the @ in the text'
+            },
+            end: {
+              type: 'integer',
+              description: 'Index just after the username (exclusive)'
+            },
+            user: {
+              type: 'object',
+              properties: {
+                id: {
+                  type: 'integer'
+                },
+                username: {
+                  type: 'string'
+                },
+                fullName: {
+                  type: 'string'
+                },
+                profilePictureUrl: {
+                  type: 'string'
+                },
+                isVerified: {
+                  type: 'boolean'
+                }
+              }
+            }
+          }
+        },
         Post: {
           type: 'object',
           properties: {
@@ -330,7 +906,21 @@ const options = {
             imageUrl: {
               type: 'string',
               format: 'uri',
-              description: 'URL to post image'
+              description: 'URL to the cover image (the first media item)'
+            },
+            media: {
+              type: 'array',
+              description: 'Media items in display order',
+              items: {
+                $ref: '#/components/schemas/PostMedia'
+              }
+            },
+            mentions: {
+              type: 'array',
+              description: 'Users mentioned in the caption, in order',
+              items: {
+                $ref: '#/components/schemas/Mention'
+              }
             },
             likesCount: {
               type: 'integer',
@@ -418,6 +1008,13 @@ const options = {
               type: 'string',
               description: 'Comment text'
             },
+            mentions: {
+              type: 'array',
+              description: 'Users mentioned in the comment, in order',
+              items: {
+                $ref: '#/components/schemas/Mention'
+              }
+            },
             createdAt: {
               type: 'string',
               format: 'date-time',
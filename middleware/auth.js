@@ -1,32 +1,94 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const pool = require('../config/database');
+const { getSigningKey, getVerificationKey } = require('../config/jwtKeys');
 
-// Generate JWT tokens
-const generateTokens = (userId) => {
-  const accessToken = jwt.sign(
-    { userId },
-    process.env.JWT_SECRET || 'fallback-secret',
-    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+// Legacy HMAC secrets, only used to accept tokens issued before asymmetric signing. They must be configured
+// explicitly and are only honoured until JWT_LEGACY_SECRETS_UNTIL (an ISO date), after which kid-less tokens are rejected
+const LEGACY_SECRETS = {
+  access: process.env.JWT_SECRET || null,
+  refresh: process.env.JWT_REFRESH_SECRET || null
+};
+const LEGACY_SECRETS_UNTIL = Date.parse(process.env.JWT_LEGACY_SECRETS_UNTIL || '');
+
+if ((LEGACY_SECRETS.access || LEGACY_SECRETS.refresh) && Number.isNaN(LEGACY_SECRETS_UNTIL)) {
+  console.warn('⚠️  JWT_SECRET / JWT_REFRESH_SECRET are ignored until JWT_LEGACY_SECRETS_UNTIL is set to a valid date');
+}
+
+// Sign a JWT with the active key; the type claim keeps tokens from being used for another purpose
+const signToken = (payload, type, expiresIn) => {
+  const { kid, privateKey, algorithm } = getSigningKey();
+
+  return jwt.sign(
+    { ...payload, type },
+    privateKey,
+    { algorithm, keyid: kid, expiresIn }
+  );
+};
+
+// Generate JWT tokens (sessionId identifies the device session across refreshes)
+const generateTokens = (userId, sessionId = crypto.randomUUID()) => {
+  const accessToken = signToken(
+    { userId, sid: sessionId },
+    'access',
+    process.env.JWT_EXPIRES_IN || '15m'
   );
 
-  const refreshToken = jwt.sign(
-    { userId },
-    process.env.JWT_REFRESH_SECRET || 'fallback-refresh-secret',
-    { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d' }
+  const refreshToken = signToken(
+    { userId, sid: sessionId, jti: crypto.randomUUID() },
+    'refresh',
+    process.env.JWT_REFRESH_EXPIRES_IN || '7d'
   );
 
-  return { accessToken, refreshToken };
+  return { accessToken, refreshToken, sessionId };
+};
+
+// Derive a friendly device name such as "Chrome on Windows" from a user agent
+const getDeviceName = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browsers = [
+    ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//], ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//], ['FastGram App', /FastGram/i], ['Postman', /PostmanRuntime/], ['curl', /curl\//]
+  ];
+  const platforms = [
+    ['iPhone', /iPhone/], ['iPad', /iPad/], ['Android', /Android/], ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/], ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const platform = platforms.find(([, pattern]) => pattern.test(userAgent));
+
+  if (browser && platform) return `${browser[0]} on ${platform[0]}`;
+  if (browser) return browser[0];
+  if (platform) return platform[0];
+  return 'Unknown device';
 };
 
-// Store refresh token in database
-const storeRefreshToken = async (userId, refreshToken) => {
+// Collect device metadata for a session from the request
+const getClientInfo = (req) => {
+  const userAgent = (req.headers['user-agent'] || '').slice(0, 500) || null;
+  const deviceName = req.body && typeof req.body.deviceName === 'string' && req.body.deviceName.trim()
+    ? req.body.deviceName.trim().slice(0, 100)
+    : getDeviceName(userAgent);
+
+  return {
+    userAgent,
+    ipAddress: req.ip || (req.socket && req.socket.remoteAddress) || null,
+    deviceName
+  };
+};
+
+// Store refresh token hash in database (pass a pg client to run inside a transaction)
+const storeRefreshToken = async (userId, refreshToken, { sessionId, userAgent, ipAddress, deviceName } = {}, client = pool) => {
   try {
     const expiresAt = new Date();
     expiresAt.setDate(expiresAt.getDate() + 7); // 7 days from now
 
-    await pool.query(
-      'INSERT INTO refresh_tokens (user_id, token, expires_at) VALUES ($1, $2, $3)',
-      [userId, refreshToken, expiresAt]
+    await client.query(
+      `INSERT INTO refresh_tokens (user_id, token_hash, expires_at, session_id, user_agent, ip_address, device_name)
+       VALUES ($1, $2, $3, COALESCE($4, gen_random_uuid()), $5, $6, $7)`,
+      [userId, hashToken(refreshToken), expiresAt, sessionId || null, userAgent || null, ipAddress || null, deviceName || null]
     );
   } catch (error) {
     console.error('Error storing refresh token:', error);
@@ -34,10 +96,27 @@ const storeRefreshToken = async (userId, refreshToken) => {
   }
 };
 
-// Verify and get user from JWT token
-const verifyToken = (token, secret) => {
+// Verify a JWT of the given type against the key named by its kid header
+const verifyToken = (token, type) => {
   try {
-    return jwt.verify(token, secret);
+    const decodedHeader = jwt.decode(token, { complete: true });
+    if (!decodedHeader) return null;
+
+    const { kid, alg } = decodedHeader.header;
+
+    // Tokens issued with the old shared secret carry no kid or type
+    if (!kid) {
+      const legacySecret = Date.now() < LEGACY_SECRETS_UNTIL ? LEGACY_SECRETS[type] : null;
+      return legacySecret && alg === 'HS256'
+        ? jwt.verify(token, legacySecret, { algorithms: ['HS256'] })
+        : null;
+    }
+
+    const key = getVerificationKey(kid);
+    if (!key) return null;
+
+    const decoded = jwt.verify(token, key.publicKey, { algorithms: [key.algorithm] });
+    return decoded.type === type ? decoded : null;
   } catch (error) {
     return null;
   }
@@ -56,7 +135,7 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    const decoded = verifyToken(token, process.env.JWT_SECRET || 'fallback-secret');
+    const decoded = verifyToken(token, 'access');
     
     if (!decoded) {
       return res.status(403).json({ 
@@ -67,7 +146,7 @@ const authenticateToken = async (req, res, next) => {
 
     // Get user from database
     const userResult = await pool.query(
-      'SELECT id, username, email, full_name, bio, profile_picture_url, is_verified, is_active FROM users WHERE id = $1',
+      'SELECT id, username, email, full_name, bio, profile_picture_url, is_verified, is_private, is_active FROM users WHERE id = $1',
       [decoded.userId]
     );
 
@@ -88,6 +167,8 @@ const authenticateToken = async (req, res, next) => {
     }
 
     req.user = user;
+    req.sessionId = decoded.sid || null;
+    req.tokenExpiresAt = decoded.exp ? decoded.exp * 1000 : null;
     next();
   } catch (error) {
     console.error('Authentication error:', error);
@@ -105,11 +186,11 @@ const optionalAuth = async (req, res, next) => {
     const token = authHeader && authHeader.split(' ')[1];
 
     if (token) {
-      const decoded = verifyToken(token, process.env.JWT_SECRET || 'fallback-secret');
+      const decoded = verifyToken(token, 'access');
       
       if (decoded) {
         const userResult = await pool.query(
-          'SELECT id, username, email, full_name, bio, profile_picture_url, is_verified, is_active FROM users WHERE id = $1',
+          'SELECT id, username, email, full_name, bio, profile_picture_url, is_verified, is_private, is_active FROM users WHERE id = $1',
           [decoded.userId]
         );
 
@@ -126,23 +207,46 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Require a verified email address (use after authenticateToken)
+const requireVerified = (req, res, next) => {
+  if (!req.user || !req.user.is_verified) {
+    return res.status(403).json({ 
+      success: false, 
+      message: 'Please verify your email address to use this feature' 
+    });
+  }
+
+  next();
+};
+
+// Hash single-use tokens before storing them
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
 // Clean expired refresh tokens
 const cleanExpiredTokens = async () => {
   try {
     await pool.query('DELETE FROM refresh_tokens WHERE expires_at < NOW()');
+    await pool.query('DELETE FROM email_verification_tokens WHERE expires_at < NOW()');
+    await pool.query('DELETE FROM password_reset_tokens WHERE expires_at < NOW()');
   } catch (error) {
     console.error('Error cleaning expired tokens:', error);
   }
 };
 
 // Run cleanup every hour
-setInterval(cleanExpiredTokens, 60 * 60 * 1000);
+setInterval(cleanExpiredTokens, 60 * 60 * 1000).unref();
 
 module.exports = {
+  signToken,
   generateTokens,
+  getClientInfo,
   storeRefreshToken,
   verifyToken,
   authenticateToken,
   optionalAuth,
+  requireVerified,
+  hashToken,
   cleanExpiredTokens
 };
@@ -0,0 +1,87 @@
+const pool = require('../config/database');
+
+// Group roles from lowest to highest; each role can do everything the roles below it can
+const GROUP_ROLES = ['member', 'moderator', 'admin', 'owner'];
+
+// Roles that can be given to members (ownership is only ever held by groups.owner_id)
+const ASSIGNABLE_GROUP_ROLES = ['member', 'moderator', 'admin'];
+
+// Permission matrix: the lowest role allowed to perform each group action
+const GROUP_PERMISSIONS = {
+  deleteContent: { minRole: 'moderator', action: 'delete group content' },
+  reviewPosts: { minRole: 'moderator', action: 'review posts' },
+  removeMembers: { minRole: 'moderator', action: 'remove members' },
+  banMembers: { minRole: 'moderator', action: 'ban members' },
+  addMembers: { minRole: 'admin', action: 'add members' },
+  manageJoinRequests: { minRole: 'admin', action: 'manage join requests' },
+  manageInvites: { minRole: 'admin', action: 'manage invites' },
+  manageRoles: { minRole: 'admin', action: 'change member roles' },
+  manageBans: { minRole: 'admin', action: 'manage bans' },
+  updateGroup: { minRole: 'admin', action: 'update group' },
+  transferOwnership: { minRole: 'owner', action: 'transfer ownership' },
+  deleteGroup: { minRole: 'owner', action: 'delete group' }
+};
+
+const roleRank = (role) => GROUP_ROLES.indexOf(role);
+
+// Whether a role (null for non-members) is allowed to perform a group action
+const hasGroupPermission = (role, permission) => {
+  if (!role) return false;
+  return roleRank(role) >= roleRank(GROUP_PERMISSIONS[permission].minRole);
+};
+
+// Whether one role is strictly higher than another (members can only be managed by higher roles)
+const outranks = (role, otherRole) => roleRank(role) > roleRank(otherRole);
+
+// Load a user's role in a group (null when not a member); pass a pg client to run inside a transaction
+const getGroupRole = async (groupId, userId, client = pool) => {
+  const result = await client.query(
+    'SELECT role FROM group_members WHERE group_id = $1 AND user_id = $2',
+    [groupId, userId]
+  );
+  return result.rows.length > 0 ? result.rows[0].role : null;
+};
+
+// IDs of the group's members whose role allows a group action (e.g. to notify everyone who can act on it)
+const getMembersWithPermission = async (groupId, permission, client = pool) => {
+  const roles = GROUP_ROLES.slice(roleRank(GROUP_PERMISSIONS[permission].minRole));
+  const result = await client.query(
+    'SELECT user_id FROM group_members WHERE group_id = $1 AND role = ANY($2::varchar[])',
+    [groupId, roles]
+  );
+  return result.rows.map((row) => row.user_id);
+};
+
+// Require a group permission for req.params.groupId (use after authenticateToken); sets req.groupRole
+const requireGroupPermission = (permission) => async (req, res, next) => {
+  try {
+    const role = await getGroupRole(req.params.groupId, req.user.id);
+
+    if (!hasGroupPermission(role, permission)) {
+      return res.status(403).json({
+        success: false,
+        message: `Not authorized to ${GROUP_PERMISSIONS[permission].action}`
+      });
+    }
+
+    req.groupRole = role;
+    next();
+  } catch (error) {
+    console.error('Group permission error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  GROUP_ROLES,
+  ASSIGNABLE_GROUP_ROLES,
+  GROUP_PERMISSIONS,
+  hasGroupPermission,
+  outranks,
+  getGroupRole,
+  getMembersWithPermission,
+  requireGroupPermission
+};
@@ -0,0 +1,166 @@
+const pool = require('../config/database');
+const { createMemoryStore } = require('../utils/throttleStore');
+const { sendMail } = require('../utils/mailer');
+const { logSecurityEvent } = require('../utils/securityLog');
+
+// Throttling policy (failures beyond the free attempts double the lockout each time)
+const WINDOW_MS = parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES || '15', 10) * 60 * 1000;
+const MAX_ATTEMPTS_PER_EMAIL = parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_EMAIL || '5', 10);
+const MAX_ATTEMPTS_PER_IP = parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP || '20', 10);
+const LOCKOUT_BASE_MS = parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS || '30', 10) * 1000;
+const LOCKOUT_MAX_MS = parseInt(process.env.LOGIN_LOCKOUT_MAX_SECONDS || '900', 10) * 1000;
+
+// Counter store (in-memory by default, see utils/throttleStore.js for the interface)
+let store = createMemoryStore();
+
+const setThrottleStore = (newStore) => {
+  store = newStore;
+};
+
+// Emails are matched case-insensitively, both for the counters and when looking up the account
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+const emailKey = (email) => `login:email:${normalizeEmail(email)}`;
+const ipKey = (ip) => `login:ip:${ip || 'unknown'}`;
+// Second-factor guesses are also counted per account, so changing the email does not reset them
+const userKey = (userId) => `login:user:${userId}`;
+
+// Seconds until the key's lockout ends (0 when not locked)
+const getRetryAfter = async (key) => {
+  const record = await store.get(key);
+  if (!record || !record.lockedUntil) return 0;
+
+  const remainingMs = record.lockedUntil - Date.now();
+  return remainingMs > 0 ? Math.ceil(remainingMs / 1000) : 0;
+};
+
+// Count a failure and apply exponential backoff once the free attempts are used up
+const registerFailure = async (key, maxAttempts) => {
+  const now = Date.now();
+  const record = (await store.get(key)) || { failures: 0, lockedUntil: 0, notifiedAt: 0 };
+
+  record.failures += 1;
+
+  if (record.failures >= maxAttempts) {
+    const lockoutMs = Math.min(LOCKOUT_BASE_MS * 2 ** (record.failures - maxAttempts), LOCKOUT_MAX_MS);
+    record.lockedUntil = now + lockoutMs;
+  }
+
+  await store.set(key, record, Math.max(WINDOW_MS, record.lockedUntil - now));
+  return record;
+};
+
+// Tell the account owner about repeated failed sign-ins (at most once per window)
+const notifyAccountOwner = async (email, record, req) => {
+  const userResult = await pool.query(
+    'SELECT id, username, email FROM users WHERE LOWER(email) = $1 AND is_active = true',
+    [email]
+  );
+  if (userResult.rows.length === 0) return;
+
+  const user = userResult.rows[0];
+
+  await logSecurityEvent({
+    userId: user.id,
+    eventType: 'login.locked_out',
+    req,
+    details: { failures: record.failures, lockedUntil: new Date(record.lockedUntil).toISOString() }
+  });
+
+  await sendMail({
+    to: user.email,
+    subject: 'Failed sign-in attempts on your FastGram account',
+    text: `Hi ${user.username},\n\nThere have been ${record.failures} failed attempts to sign in to your account, most recently from IP address ${req.ip || 'unknown'}. Sign-in has been temporarily locked.\n\nIf this wasn't you, we recommend resetting your password and enabling two-factor authentication.`,
+    html: `<p>Hi ${user.username},</p><p>There have been ${record.failures} failed attempts to sign in to your account, most recently from IP address ${req.ip || 'unknown'}. Sign-in has been temporarily locked.</p><p>If this wasn't you, we recommend resetting your password and enabling two-factor authentication.</p>`
+  });
+};
+
+// Seconds until a login for this email (and user, once known) from this client is allowed again (0 when allowed)
+const getLoginRetryAfter = async (req, email, userId = null) => {
+  return Math.max(
+    email ? await getRetryAfter(emailKey(email)) : 0,
+    userId ? await getRetryAfter(userKey(userId)) : 0,
+    await getRetryAfter(ipKey(req.ip))
+  );
+};
+
+// Reject the request with 429 while the email or IP is locked out
+const checkLoginThrottle = async (req, res, next) => {
+  try {
+    const retryAfter = await getLoginRetryAfter(req, req.body && req.body.email);
+
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Too many failed login attempts. Please try again in ${retryAfter} seconds`
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Login throttle error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Reject second-factor checks by a signed-in user with 429 while their account or IP is locked out
+// (a stolen access token must not allow unlimited guesses at the authenticator code)
+const checkTwoFactorThrottle = async (req, res, next) => {
+  try {
+    const retryAfter = await getLoginRetryAfter(req, req.user.email, req.user.id);
+
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Too many failed attempts. Please try again in ${retryAfter} seconds`
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Two-factor throttle error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Record a failed login for the email, the user (when known) and the client IP
+const recordLoginFailure = async (req, email, userId = null) => {
+  await registerFailure(ipKey(req.ip), MAX_ATTEMPTS_PER_IP);
+  if (userId) await registerFailure(userKey(userId), MAX_ATTEMPTS_PER_EMAIL);
+  if (!email) return;
+
+  const emailRecord = await registerFailure(emailKey(email), MAX_ATTEMPTS_PER_EMAIL);
+
+  if (emailRecord.failures >= MAX_ATTEMPTS_PER_EMAIL && Date.now() - emailRecord.notifiedAt > WINDOW_MS) {
+    emailRecord.notifiedAt = Date.now();
+    await store.set(emailKey(email), emailRecord, Math.max(WINDOW_MS, emailRecord.lockedUntil - Date.now()));
+
+    // Notification is best-effort and must not slow down the response
+    notifyAccountOwner(normalizeEmail(email), emailRecord, req).catch((error) => {
+      console.error('Failed login notification error (non-critical):', error.message);
+    });
+  }
+};
+
+// Clear the email's and user's failure counts after a successful login (IP counters are kept)
+const recordLoginSuccess = async (email, userId = null) => {
+  await store.delete(emailKey(email));
+  if (userId) await store.delete(userKey(userId));
+};
+
+module.exports = {
+  normalizeEmail,
+  checkLoginThrottle,
+  checkTwoFactorThrottle,
+  getLoginRetryAfter,
+  recordLoginFailure,
+  recordLoginSuccess,
+  setThrottleStore
+};
@@ -1,15 +1,20 @@
+const fs = require('fs');
 const multer = require('multer');
 const path = require('path');
 
+const IMAGE_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
+const VIDEO_TYPES = ['video/mp4', 'video/webm', 'video/quicktime'];
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024; // 5MB
+const MAX_VIDEO_SIZE = parseInt(process.env.MAX_VIDEO_SIZE_MB || '100', 10) * 1024 * 1024;
+
+const isVideo = (file) => VIDEO_TYPES.includes(file.mimetype);
+
 // Configure Multer storage
 const storage = multer.memoryStorage(); // Store files in memory for direct Cloudinary upload
 
 // File filter to accept only images
 const fileFilter = (req, file, cb) => {
-  // Allowed image types
-  const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
-  
-  if (allowedTypes.includes(file.mimetype)) {
+  if (IMAGE_TYPES.includes(file.mimetype)) {
     cb(null, true);
   } else {
     cb(new Error('Invalid file type. Only JPEG, PNG, GIF, and WebP images are allowed.'), false);
@@ -21,17 +26,111 @@ const upload = multer({
   storage: storage,
   fileFilter: fileFilter,
   limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB max file size
+    fileSize: MAX_IMAGE_SIZE
+  }
+});
+
+// Post media storage: images are kept in memory (small), videos are streamed to a
+// temporary file so large uploads never sit in memory
+const memoryStorage = multer.memoryStorage();
+const diskStorage = multer.diskStorage({});
+
+const mediaStorage = {
+  _handleFile(req, file, cb) {
+    if (isVideo(file)) {
+      return diskStorage._handleFile(req, file, cb);
+    }
+
+    // The multer limit is sized for videos, so cap images while buffering
+    const chunks = [];
+    let size = 0;
+    let rejected = false;
+
+    file.stream.on('data', (chunk) => {
+      if (rejected) return;
+
+      size += chunk.length;
+      if (size > MAX_IMAGE_SIZE) {
+        rejected = true;
+        chunks.length = 0;
+        file.stream.resume();
+        return cb(new multer.MulterError('LIMIT_FILE_SIZE', file.fieldname));
+      }
+
+      chunks.push(chunk);
+    });
+
+    // An aborted upload errors the stream instead of ending it
+    file.stream.on('error', (err) => {
+      if (rejected) return;
+      rejected = true;
+      chunks.length = 0;
+      cb(err);
+    });
+
+    file.stream.on('end', () => {
+      if (rejected) return;
+      const buffer = Buffer.concat(chunks);
+      cb(null, { buffer, size: buffer.length });
+    });
+  },
+
+  _removeFile(req, file, cb) {
+    return file.path ? diskStorage._removeFile(req, file, cb) : memoryStorage._removeFile(req, file, cb);
+  }
+};
+
+// File filter to accept images and short videos
+const mediaFileFilter = (req, file, cb) => {
+  if (IMAGE_TYPES.includes(file.mimetype) || isVideo(file)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Invalid file type. Only JPEG, PNG, GIF and WebP images and MP4, WebM and MOV videos are allowed.'), false);
+  }
+};
+
+// Configure Multer for post media (images and videos)
+const mediaUpload = multer({
+  storage: mediaStorage,
+  fileFilter: mediaFileFilter,
+  limits: {
+    fileSize: MAX_VIDEO_SIZE
   }
 });
 
-// Error handling middleware for multer
-const handleMulterError = (err, req, res, next) => {
+// Remove temporary video files once the response has been sent (use before mediaUpload)
+const cleanupTempFiles = (req, res, next) => {
+  res.on('close', () => {
+    const files = Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat();
+    if (req.file) files.push(req.file);
+
+    for (const file of files) {
+      if (file.path) {
+        fs.unlink(file.path, (err) => {
+          if (err && err.code !== 'ENOENT') {
+            console.error('Temp file cleanup error (non-critical):', err.message);
+          }
+        });
+      }
+    }
+  });
+
+  next();
+};
+
+// Error handling middleware for multer; sizeMessage describes the size limit of the upload it follows
+const createMulterErrorHandler = (sizeMessage) => (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
     if (err.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({
         success: false,
-        message: 'File size too large. Maximum size is 5MB.'
+        message: `File size too large. ${sizeMessage}`
+      });
+    }
+    if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({
+        success: false,
+        message: `Too many files or unexpected file field: ${err.field}`
       });
     }
     return res.status(400).json({
@@ -47,8 +146,20 @@ const handleMulterError = (err, req, res, next) => {
   next();
 };
 
+// For `upload` (images only)
+const handleMulterError = createMulterErrorHandler('Maximum size is 5MB.');
+
+// For `mediaUpload` (images and videos)
+const handleMediaUploadError = createMulterErrorHandler(
+  `Maximum size is 5MB for images and ${MAX_VIDEO_SIZE / 1024 / 1024}MB for videos.`
+);
+
 module.exports = {
   upload,
-  handleMulterError
+  mediaUpload,
+  cleanupTempFiles,
+  handleMulterError,
+  handleMediaUploadError,
+  isVideo
 };
 
@@ -1,8 +1,15 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const pool = require('../config/database');
-const { generateTokens, storeRefreshToken, verifyToken, authenticateToken } = require('../middleware/auth');
+const { generateTokens, getClientInfo, storeRefreshToken, verifyToken, authenticateToken, hashToken } = require('../middleware/auth');
+const { normalizeEmail, checkLoginThrottle, checkTwoFactorThrottle, getLoginRetryAfter, recordLoginFailure, recordLoginSuccess } = require('../middleware/loginThrottle');
+const { logSecurityEvent } = require('../utils/securityLog');
+const { sendVerificationEmail, getResendCooldown, consumeVerificationToken } = require('../utils/emailVerification');
+const { sendPasswordResetEmail, sendPasswordChangedEmail, resetPassword } = require('../utils/passwordReset');
+const { generateSecret, buildOtpauthUrl } = require('../utils/totp');
+const { createChallengeToken, verifyChallengeToken, replaceRecoveryCodes, verifyTotpForUser, verifySecondFactor } = require('../utils/twoFactor');
+const { publishSessionRevoked } = require('../utils/realtime');
 
 const router = express.Router();
 
@@ -29,7 +36,60 @@ const registerValidation = [
   body('fullName')
     .optional()
     .isLength({ max: 100 })
-    .withMessage('Full name must be less than 100 characters')
+    .withMessage('Full name must be less than 100 characters'),
+  body('deviceName')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Device name must be less than 100 characters')
+];
+
+const loginTwoFactorValidation = [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body('code')
+    .notEmpty()
+    .withMessage('Authentication code is required'),
+  body('deviceName')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Device name must be less than 100 characters')
+];
+
+const twoFactorCodeValidation = [
+  body('code')
+    .notEmpty()
+    .withMessage('Authentication code is required')
+];
+
+const disableTwoFactorValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  body('code')
+    .notEmpty()
+    .withMessage('Authentication code is required')
+];
+
+const verifyEmailValidation = [
+  body('token')
+    .notEmpty()
+    .withMessage('Verification token is required')
+];
+
+const forgotPasswordValidation = [
+  body('email')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+];
+
+const resetPasswordValidation = [
+  body('token')
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('New password must be at least 6 characters long')
 ];
 
 const loginValidation = [
@@ -38,7 +98,17 @@ const loginValidation = [
     .withMessage('Please provide a valid email address'),
   body('password')
     .notEmpty()
-    .withMessage('Password is required')
+    .withMessage('Password is required'),
+  body('deviceName')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Device name must be less than 100 characters')
+];
+
+const sessionIdValidation = [
+  param('sessionId')
+    .isUUID()
+    .withMessage('Invalid session id')
 ];
 
 /**
@@ -129,17 +199,25 @@ router.post('/register', registerValidation, async (req, res) => {
 
     // Create user
     const result = await pool.query(
-      'INSERT INTO users (username, email, password_hash, full_name) VALUES ($1, $2, $3, $4) RETURNING id, username, email, full_name, created_at',
+      'INSERT INTO users (username, email, password_hash, full_name) VALUES ($1, $2, $3, $4) RETURNING id, username, email, full_name, is_verified, created_at',
       [username, email, passwordHash, fullName]
     );
 
     const user = result.rows[0];
 
     // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user.id);
+    const { accessToken, refreshToken, sessionId } = generateTokens(user.id);
+
+    // Store refresh token with device metadata
+    await storeRefreshToken(user.id, refreshToken, { sessionId, ...getClientInfo(req) });
+    await logSecurityEvent({ userId: user.id, eventType: 'session.created', sessionId, req });
 
-    // Store refresh token
-    await storeRefreshToken(user.id, refreshToken);
+    // Send verification email (optional - don't fail registration if this fails)
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error (non-critical):', mailError.message);
+    }
 
     res.status(201).json({
       success: true,
@@ -150,6 +228,7 @@ router.post('/register', registerValidation, async (req, res) => {
           username: user.username,
           email: user.email,
           fullName: user.full_name,
+          isVerified: user.is_verified,
           createdAt: user.created_at
         },
         accessToken,
@@ -183,7 +262,7 @@ router.post('/register', registerValidation, async (req, res) => {
  *             password: "password123"
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful. When two-factor authentication is enabled, data contains twoFactorRequired and a challengeToken for /api/auth/login/2fa instead of tokens.
  *         content:
  *           application/json:
  *             schema:
@@ -212,6 +291,12 @@ router.post('/register', registerValidation, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Too many failed attempts for this account or IP (see Retry-After header)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       500:
  *         description: Internal server error
  *         content:
@@ -219,7 +304,7 @@ router.post('/register', registerValidation, async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/login', loginValidation, async (req, res) => {
+router.post('/login', checkLoginThrottle, loginValidation, async (req, res) => {
   try {
     // Check validation errors
     const errors = validationResult(req);
@@ -233,13 +318,17 @@ router.post('/login', loginValidation, async (req, res) => {
 
     const { email, password } = req.body;
 
-    // Find user by email
+    // Find user by email, case-insensitively like the throttle (an exact match wins if several accounts differ only by case)
     const userResult = await pool.query(
-      'SELECT id, username, email, password_hash, full_name, bio, profile_picture_url, is_verified, is_active FROM users WHERE email = $1',
-      [email]
+      `SELECT id, username, email, password_hash, full_name, bio, profile_picture_url, is_verified, is_active, two_factor_enabled
+       FROM users WHERE LOWER(email) = $1
+       ORDER BY email = $2 DESC, id
+       LIMIT 1`,
+      [normalizeEmail(email), email]
     );
 
     if (userResult.rows.length === 0) {
+      await recordLoginFailure(req, email);
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
@@ -259,17 +348,33 @@ router.post('/login', loginValidation, async (req, res) => {
     // Verify password
     const isPasswordValid = await bcrypt.compare(password, user.password_hash);
     if (!isPasswordValid) {
+      await recordLoginFailure(req, email);
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
+    // Require the second factor before issuing tokens (failure counts are cleared only once it succeeds)
+    if (user.two_factor_enabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: createChallengeToken(user.id)
+        }
+      });
+    }
+
+    await recordLoginSuccess(email);
+
     // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user.id);
+    const { accessToken, refreshToken, sessionId } = generateTokens(user.id);
 
-    // Store refresh token
-    await storeRefreshToken(user.id, refreshToken);
+    // Store refresh token with device metadata
+    await storeRefreshToken(user.id, refreshToken, { sessionId, ...getClientInfo(req) });
+    await logSecurityEvent({ userId: user.id, eventType: 'session.created', sessionId, req });
 
     res.json({
       success: true,
@@ -298,6 +403,157 @@ router.post('/login', loginValidation, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/auth/login/2fa:
+ *   post:
+ *     summary: Complete login with a two-factor code
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LoginTwoFactorRequest'
+ *           example:
+ *             challengeToken: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *             code: "123456"
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         user:
+ *                           $ref: '#/components/schemas/User'
+ *                         accessToken:
+ *                           type: string
+ *                         refreshToken:
+ *                           type: string
+ *       400:
+ *         description: Validation failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Invalid or expired challenge, or invalid code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Too many failed attempts for this account or IP (see Retry-After header)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/login/2fa', loginTwoFactorValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { challengeToken, code } = req.body;
+
+    const userId = verifyChallengeToken(challengeToken);
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge token'
+      });
+    }
+
+    const userResult = await pool.query(
+      'SELECT id, username, email, full_name, bio, profile_picture_url, is_verified, is_active FROM users WHERE id = $1',
+      [userId]
+    );
+
+    if (userResult.rows.length === 0 || !userResult.rows[0].is_active) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated'
+      });
+    }
+
+    const user = userResult.rows[0];
+
+    // Code guesses count towards the same lockout as password guesses
+    const retryAfter = await getLoginRetryAfter(req, user.email, user.id);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Too many failed login attempts. Please try again in ${retryAfter} seconds`
+      });
+    }
+
+    // Verify authenticator or recovery code
+    const isCodeValid = await verifySecondFactor(user.id, code);
+    if (!isCodeValid) {
+      await recordLoginFailure(req, user.email, user.id);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await recordLoginSuccess(user.email, user.id);
+
+    // Generate tokens
+    const { accessToken, refreshToken, sessionId } = generateTokens(user.id);
+
+    // Store refresh token with device metadata
+    await storeRefreshToken(user.id, refreshToken, { sessionId, ...getClientInfo(req) });
+    await logSecurityEvent({ userId: user.id, eventType: 'session.created', sessionId, req });
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: {
+          id: user.id,
+          username: user.username,
+          email: user.email,
+          fullName: user.full_name,
+          bio: user.bio,
+          profilePictureUrl: user.profile_picture_url,
+          isVerified: user.is_verified
+        },
+        accessToken,
+        refreshToken
+      }
+    });
+
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/auth/refresh:
@@ -331,7 +587,7 @@ router.post('/login', loginValidation, async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       403:
- *         description: Invalid or expired refresh token
+ *         description: Invalid or expired refresh token, or reuse of an already rotated token (the whole session is revoked)
  *         content:
  *           application/json:
  *             schema:
@@ -344,6 +600,8 @@ router.post('/login', loginValidation, async (req, res) => {
  *               $ref: '#/components/schemas/ErrorResponse'
  */
 router.post('/refresh', async (req, res) => {
+  const client = await pool.connect();
+
   try {
     const { refreshToken } = req.body;
 
@@ -355,7 +613,7 @@ router.post('/refresh', async (req, res) => {
     }
 
     // Verify refresh token
-    const decoded = verifyToken(refreshToken, process.env.JWT_REFRESH_SECRET || 'fallback-refresh-secret');
+    const decoded = verifyToken(refreshToken, 'refresh');
     if (!decoded) {
       return res.status(403).json({
         success: false,
@@ -363,40 +621,95 @@ router.post('/refresh', async (req, res) => {
       });
     }
 
-    // Check if refresh token exists in database
-    const tokenResult = await pool.query(
-      'SELECT user_id FROM refresh_tokens WHERE token = $1 AND expires_at > NOW()',
-      [refreshToken]
+    await client.query('BEGIN');
+
+    // Look up the token by hash, locking it against concurrent rotation
+    const tokenResult = await client.query(
+      `SELECT id, user_id, session_id, device_name, rotated_at, expires_at > NOW() AS is_valid
+       FROM refresh_tokens WHERE token_hash = $1
+       FOR UPDATE`,
+      [hashToken(refreshToken)]
     );
 
-    if (tokenResult.rows.length === 0) {
+    if (tokenResult.rows.length === 0 || !tokenResult.rows[0].is_valid) {
+      await client.query('ROLLBACK');
+      await logSecurityEvent({
+        userId: decoded.userId,
+        eventType: 'refresh_token.invalid',
+        sessionId: decoded.sid || null,
+        req
+      });
       return res.status(403).json({
         success: false,
         message: 'Invalid or expired refresh token'
       });
     }
 
-    const userId = tokenResult.rows[0].user_id;
+    const storedToken = tokenResult.rows[0];
+    const { user_id: userId, session_id: sessionId } = storedToken;
+
+    // An already rotated token means it was copied: revoke the whole rotation family
+    if (storedToken.rotated_at) {
+      const revokeResult = await client.query(
+        'DELETE FROM refresh_tokens WHERE user_id = $1 AND session_id = $2',
+        [userId, sessionId]
+      );
+      await client.query('COMMIT');
+
+      await logSecurityEvent({
+        userId,
+        eventType: 'refresh_token.reuse_detected',
+        sessionId,
+        req,
+        details: { tokenId: storedToken.id, rotatedAt: storedToken.rotated_at, revokedTokens: revokeResult.rowCount }
+      });
+      await publishSessionRevoked(userId, sessionId);
+
+      return res.status(403).json({
+        success: false,
+        message: 'Refresh token reuse detected. This session has been revoked, please log in again'
+      });
+    }
 
     // Check if user still exists and is active
-    const userResult = await pool.query(
+    const userResult = await client.query(
       'SELECT id, is_active FROM users WHERE id = $1',
       [userId]
     );
 
     if (userResult.rows.length === 0 || !userResult.rows[0].is_active) {
+      await client.query('ROLLBACK');
       return res.status(403).json({
         success: false,
         message: 'User not found or inactive'
       });
     }
 
-    // Generate new tokens
-    const { accessToken, refreshToken: newRefreshToken } = generateTokens(userId);
+    // Generate new tokens for the same session
+    const { accessToken, refreshToken: newRefreshToken } = generateTokens(userId, sessionId);
+
+    // Mark old token as rotated (kept until expiry for reuse detection) and store the new one in the same family
+    await client.query(
+      'UPDATE refresh_tokens SET rotated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [storedToken.id]
+    );
+    const { userAgent, ipAddress } = getClientInfo(req);
+    await storeRefreshToken(userId, newRefreshToken, {
+      sessionId,
+      userAgent,
+      ipAddress,
+      deviceName: storedToken.device_name
+    }, client);
+
+    await client.query('COMMIT');
 
-    // Remove old refresh token and store new one
-    await pool.query('DELETE FROM refresh_tokens WHERE token = $1', [refreshToken]);
-    await storeRefreshToken(userId, newRefreshToken);
+    await logSecurityEvent({
+      userId,
+      eventType: 'refresh_token.rotated',
+      sessionId,
+      req,
+      details: { previousTokenId: storedToken.id }
+    });
 
     res.json({
       success: true,
@@ -408,11 +721,14 @@ router.post('/refresh', async (req, res) => {
     });
 
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Refresh token error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error'
     });
+  } finally {
+    client.release();
   }
 });
 
@@ -450,8 +766,18 @@ router.post('/logout', authenticateToken, async (req, res) => {
     const { refreshToken } = req.body;
 
     if (refreshToken) {
-      // Remove refresh token from database
-      await pool.query('DELETE FROM refresh_tokens WHERE token = $1', [refreshToken]);
+      // Remove the token's whole rotation family (this device's session)
+      const result = await pool.query(
+        `DELETE FROM refresh_tokens
+         WHERE user_id = $1 AND session_id = (SELECT session_id FROM refresh_tokens WHERE token_hash = $2)
+         RETURNING session_id`,
+        [req.user.id, hashToken(refreshToken)]
+      );
+
+      if (result.rows.length > 0) {
+        await logSecurityEvent({ userId: req.user.id, eventType: 'session.revoked', sessionId: result.rows[0].session_id, req, details: { reason: 'logout' } });
+        await publishSessionRevoked(req.user.id, result.rows[0].session_id);
+      }
     }
 
     res.json({
@@ -494,6 +820,8 @@ router.post('/logout-all', authenticateToken, async (req, res) => {
   try {
     // Remove all refresh tokens for the user
     await pool.query('DELETE FROM refresh_tokens WHERE user_id = $1', [req.user.id]);
+    await logSecurityEvent({ userId: req.user.id, eventType: 'session.revoked_all', req, details: { reason: 'logout_all' } });
+    await publishSessionRevoked(req.user.id);
 
     res.json({
       success: true,
@@ -511,15 +839,15 @@ router.post('/logout-all', authenticateToken, async (req, res) => {
 
 /**
  * @swagger
- * /api/auth/verify:
+ * /api/auth/sessions:
  *   get:
- *     summary: Verify access token
+ *     summary: List active sessions (logged-in devices)
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Token is valid
+ *         description: Sessions retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -530,16 +858,84 @@ router.post('/logout-all', authenticateToken, async (req, res) => {
  *                     data:
  *                       type: object
  *                       properties:
- *                         user:
- *                           $ref: '#/components/schemas/User'
- *       401:
- *         description: Access token required
+ *                         sessions:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Session'
+ *       500:
+ *         description: Internal server error
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
- *       403:
- *         description: Invalid or expired token
+ */
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessionsResult = await pool.query(
+      `SELECT rt.session_id, rt.device_name, rt.user_agent, rt.ip_address, rt.last_used_at,
+              (SELECT MIN(f.created_at) FROM refresh_tokens f WHERE f.session_id = rt.session_id) AS created_at
+       FROM refresh_tokens rt
+       WHERE rt.user_id = $1 AND rt.rotated_at IS NULL AND rt.expires_at > NOW()
+       ORDER BY rt.last_used_at DESC`,
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessionsResult.rows.map(session => ({
+          id: session.session_id,
+          deviceName: session.device_name,
+          userAgent: session.user_agent,
+          ipAddress: session.ip_address,
+          createdAt: session.created_at,
+          lastUsedAt: session.last_used_at,
+          isCurrent: session.session_id === req.sessionId
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke a single session (log out one device)
+ *     description: The device can no longer refresh its tokens; its current access token stays valid until it expires.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Session ID from GET /api/auth/sessions
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Invalid session id
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Session not found
  *         content:
  *           application/json:
  *             schema:
@@ -551,14 +947,850 @@ router.post('/logout-all', authenticateToken, async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/verify', authenticateToken, (req, res) => {
-  res.json({
-    success: true,
-    message: 'Token is valid',
-    data: {
-      user: req.user
+router.delete('/sessions/:sessionId', authenticateToken, sessionIdValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
     }
-  });
+
+    // Only the owner's sessions can be revoked
+    const result = await pool.query(
+      'DELETE FROM refresh_tokens WHERE user_id = $1 AND session_id = $2',
+      [req.user.id, req.params.sessionId]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await logSecurityEvent({ userId: req.user.id, eventType: 'session.revoked', sessionId: req.params.sessionId, req, details: { reason: 'user_revoked' } });
+    await publishSessionRevoked(req.user.id, req.params.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/verify:
+ *   get:
+ *     summary: Verify access token
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Token is valid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         user:
+ *                           $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Access token required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid or expired token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/verify', authenticateToken, (req, res) => {
+  res.json({
+    success: true,
+    message: 'Token is valid',
+    data: {
+      user: req.user
+    }
+  });
+});
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Verify email address with the token sent by email
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VerifyEmailRequest'
+ *           example:
+ *             token: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Validation failed or invalid/expired verification token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/verify-email', verifyEmailValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await consumeVerificationToken(req.body.token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: {
+        user: {
+          id: user.id,
+          username: user.username,
+          email: user.email,
+          isVerified: user.is_verified
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Resend the email verification link
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Email is already verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Verification email was sent recently (see Retry-After header)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.is_verified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    // Enforce cooldown between verification emails
+    const retryAfter = await getResendCooldown(req.user.id);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${retryAfter} seconds before requesting another verification email`
+      });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ForgotPasswordRequest'
+ *           example:
+ *             email: "john@example.com"
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Validation failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/forgot-password', forgotPasswordValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+
+    const userResult = await pool.query(
+      'SELECT id, username, email FROM users WHERE email = $1 AND is_active = true',
+      [email]
+    );
+
+    // Only send if the account exists, but respond the same either way: the email
+    // is sent in the background so neither failures nor timing reveal the account
+    if (userResult.rows.length > 0) {
+      sendPasswordResetEmail(userResult.rows[0]).catch((mailError) => {
+        console.error('Password reset email error:', mailError.message);
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account with that email exists, a password reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Reset password with a reset token
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ResetPasswordRequest'
+ *           example:
+ *             token: "3f5c0b1e..."
+ *             newPassword: "newpassword123"
+ *     responses:
+ *       200:
+ *         description: Password reset successfully, all sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Validation failed or invalid/expired reset token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/reset-password', resetPasswordValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, newPassword } = req.body;
+
+    // Hash new password
+    const saltRounds = 12;
+    const newPasswordHash = await bcrypt.hash(newPassword, saltRounds);
+
+    const user = await resetPassword(token, newPasswordHash);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    // Notify the account owner (optional - the reset already succeeded)
+    try {
+      await sendPasswordChangedEmail(user);
+    } catch (mailError) {
+      console.error('Password changed email error (non-critical):', mailError.message);
+    }
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: Generates a new TOTP secret and provisioning URI. Two-factor authentication is not enabled until the secret is confirmed with a valid code.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         secret:
+ *                           type: string
+ *                         otpauthUrl:
+ *                           type: string
+ *                           description: otpauth:// URI to render as a QR code
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const secret = generateSecret();
+
+    // Store as pending secret unless 2FA is already on
+    const result = await pool.query(
+      `UPDATE users SET two_factor_secret = $1, two_factor_last_step = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND two_factor_enabled = FALSE`,
+      [secret, userId]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUrl: buildOtpauthUrl({ secret, accountName: req.user.email })
+      }
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/confirm:
+ *   post:
+ *     summary: Confirm two-factor enrollment and get recovery codes
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TwoFactorCodeRequest'
+ *           example:
+ *             code: "123456"
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled; recovery codes are returned once
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         recoveryCodes:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *       400:
+ *         description: Validation failed, no pending setup, or invalid code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Too many failed attempts for this account or IP (see Retry-After header)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/2fa/confirm', authenticateToken, checkTwoFactorThrottle, twoFactorCodeValidation, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.user.id;
+
+    const userResult = await client.query(
+      'SELECT id, two_factor_enabled, two_factor_secret, two_factor_last_step FROM users WHERE id = $1',
+      [userId]
+    );
+    const user = userResult.rows[0];
+
+    if (user.two_factor_enabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.two_factor_secret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const isCodeValid = await verifyTotpForUser(user, req.body.code);
+    if (!isCodeValid) {
+      await recordLoginFailure(req, req.user.email, userId);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await recordLoginSuccess(req.user.email, userId);
+
+    await client.query('BEGIN');
+
+    await client.query(
+      'UPDATE users SET two_factor_enabled = TRUE, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [userId]
+    );
+    const recoveryCodes = await replaceRecoveryCodes(userId, client);
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe',
+      data: {
+        recoveryCodes
+      }
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Two-factor confirm error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DisableTwoFactorRequest'
+ *           example:
+ *             password: "password123"
+ *             code: "123456"
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Validation failed or two-factor authentication is not enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Incorrect password or invalid code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Too many failed attempts for this account or IP (see Retry-After header)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/2fa/disable', authenticateToken, checkTwoFactorThrottle, disableTwoFactorValidation, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { password, code } = req.body;
+    const userId = req.user.id;
+
+    const userResult = await client.query(
+      'SELECT password_hash, two_factor_enabled FROM users WHERE id = $1',
+      [userId]
+    );
+    const user = userResult.rows[0];
+
+    if (!user.two_factor_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const isPasswordValid = await bcrypt.compare(password, user.password_hash);
+    if (!isPasswordValid) {
+      await recordLoginFailure(req, req.user.email, userId);
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    const isCodeValid = await verifySecondFactor(userId, code);
+    if (!isCodeValid) {
+      await recordLoginFailure(req, req.user.email, userId);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await recordLoginSuccess(req.user.email, userId);
+
+    await client.query('BEGIN');
+
+    await client.query(
+      `UPDATE users SET two_factor_enabled = FALSE, two_factor_secret = NULL, two_factor_last_step = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [userId]
+    );
+    await client.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Regenerate two-factor recovery codes
+ *     description: Invalidates all previous recovery codes.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TwoFactorCodeRequest'
+ *           example:
+ *             code: "123456"
+ *     responses:
+ *       200:
+ *         description: New recovery codes generated
+ *       400:
+ *         description: Validation failed or two-factor authentication is not enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Invalid code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Too many failed attempts for this account or IP (see Retry-After header)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/2fa/recovery-codes', authenticateToken, checkTwoFactorThrottle, twoFactorCodeValidation, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.user.id;
+
+    const userResult = await client.query(
+      'SELECT id, two_factor_enabled, two_factor_secret, two_factor_last_step FROM users WHERE id = $1',
+      [userId]
+    );
+    const user = userResult.rows[0];
+
+    if (!user.two_factor_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const isCodeValid = await verifyTotpForUser(user, req.body.code);
+    if (!isCodeValid) {
+      await recordLoginFailure(req, req.user.email, userId);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await recordLoginSuccess(req.user.email, userId);
+
+    await client.query('BEGIN');
+    const recoveryCodes = await replaceRecoveryCodes(userId, client);
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'Recovery codes regenerated',
+      data: {
+        recoveryCodes
+      }
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  } finally {
+    client.release();
+  }
 });
 
 module.exports = router;
@@ -0,0 +1,1158 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const pool = require('../config/database');
+const { authenticateToken, requireVerified } = require('../middleware/auth');
+const { upload, handleMulterError } = require('../middleware/upload');
+const { uploadToCloudinary, deleteFromCloudinary } = require('../utils/cloudinaryUpload');
+const { isBlocked, canViewPost } = require('../utils/visibility');
+const {
+  MAX_MESSAGE_LENGTH,
+  MAX_CONVERSATION_PARTICIPANTS,
+  HIDE_BLOCKED_SENDERS,
+  getConversationMessages,
+  getMessagesByIds,
+  getConversationParticipants
+} = require('../utils/messages');
+const { userChannel, publishEvent } = require('../utils/realtime');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Messages
+ *   description: Direct and small-group conversations
+ */
+
+// Messages in a participant's (cp) conversation they have not read yet; $1 is the participant
+const UNREAD_MESSAGE_CONDITIONS = `
+  m.conversation_id = cp.conversation_id
+  AND m.id > COALESCE(cp.last_read_message_id, 0)
+  AND m.sender_id IS DISTINCT FROM cp.user_id
+  AND m.is_deleted = false
+  AND ${HIDE_BLOCKED_SENDERS}
+`;
+
+// Validation rules
+const createConversationValidation = [
+  body('usernames')
+    .isArray({ min: 1, max: MAX_CONVERSATION_PARTICIPANTS - 1 })
+    .withMessage(`Usernames must be a list of 1 to ${MAX_CONVERSATION_PARTICIPANTS - 1} users`),
+  body('usernames.*')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Usernames must be non-empty strings'),
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Conversation name must be less than 100 characters')
+];
+
+const listConversationsValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+];
+
+const conversationIdValidation = [
+  param('conversationId')
+    .isInt({ min: 1 })
+    .withMessage('Conversation ID must be a positive integer')
+];
+
+const listMessagesValidation = [
+  ...conversationIdValidation,
+  query('before')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Before must be a message ID'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+];
+
+const sendMessageValidation = [
+  ...conversationIdValidation,
+  body('text')
+    .optional()
+    .isString()
+    .isLength({ max: MAX_MESSAGE_LENGTH })
+    .withMessage(`Message must be less than ${MAX_MESSAGE_LENGTH} characters`),
+  body('postId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Post ID must be a positive integer')
+];
+
+const markReadValidation = [
+  ...conversationIdValidation,
+  body('messageId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Message ID must be a positive integer')
+];
+
+const deleteMessageValidation = [
+  ...conversationIdValidation,
+  param('messageId')
+    .isInt({ min: 1 })
+    .withMessage('Message ID must be a positive integer')
+];
+
+// Load the user's conversations (or one of them) with participants, last message and unread count
+const fetchConversations = async (userId, { conversationId = null, limit = null, offset = 0 } = {}) => {
+  const result = await pool.query(
+    `SELECT c.id, c.is_group, c.name, c.created_by, c.last_message_at, c.created_at,
+            (SELECT m.id FROM messages m
+             WHERE m.conversation_id = c.id AND ${HIDE_BLOCKED_SENDERS}
+             ORDER BY m.id DESC LIMIT 1) AS last_message_id,
+            (SELECT COUNT(*) FROM messages m WHERE ${UNREAD_MESSAGE_CONDITIONS}) AS unread_count
+     FROM conversation_participants cp
+     JOIN conversations c ON cp.conversation_id = c.id
+     WHERE cp.user_id = $1 AND ($2::int IS NULL OR c.id = $2)
+     ORDER BY COALESCE(c.last_message_at, c.created_at) DESC, c.id DESC
+     LIMIT $3 OFFSET $4`,
+    [userId, conversationId, limit, offset]
+  );
+
+  const participantsByConversation = await getConversationParticipants(result.rows.map((row) => row.id));
+  const lastMessages = await getMessagesByIds(
+    result.rows.map((row) => row.last_message_id).filter(Boolean),
+    userId
+  );
+
+  return result.rows.map((row) => ({
+    id: row.id,
+    isGroup: row.is_group,
+    name: row.name,
+    createdBy: row.created_by,
+    participants: participantsByConversation.get(row.id) || [],
+    lastMessage: lastMessages.get(row.last_message_id) || null,
+    unreadCount: parseInt(row.unread_count),
+    createdAt: row.created_at,
+    updatedAt: row.last_message_at || row.created_at
+  }));
+};
+
+// Look up the user's membership of a conversation (null when they are not a participant)
+const getParticipation = async (conversationId, userId) => {
+  const result = await pool.query(
+    `SELECT c.id, c.is_group, cp.last_read_message_id
+     FROM conversations c
+     JOIN conversation_participants cp ON cp.conversation_id = c.id AND cp.user_id = $2
+     WHERE c.id = $1`,
+    [conversationId, userId]
+  );
+
+  return result.rows[0] || null;
+};
+
+// Send an event to every participant's stream; buildData(userId) returns the payload for that participant
+const publishToParticipants = async (conversationId, type, buildData, actorId) => {
+  try {
+    const result = await pool.query(
+      'SELECT user_id FROM conversation_participants WHERE conversation_id = $1',
+      [conversationId]
+    );
+
+    await Promise.all(result.rows.map(async ({ user_id: userId }) => {
+      await publishEvent(userChannel(userId), type, await buildData(userId), actorId);
+    }));
+  } catch (error) {
+    console.error('Realtime message error (non-critical):', error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /api/conversations:
+ *   post:
+ *     summary: Start a conversation
+ *     description: With one other user this opens the one-to-one conversation between you (returning the existing one if there is one); with several it starts a new group conversation. Users who have blocked you or whom you have blocked cannot be added.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - usernames
+ *             properties:
+ *               usernames:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 31
+ *                 items:
+ *                   type: string
+ *                 example: ["jane_doe"]
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *                 description: Name of a group conversation
+ *     responses:
+ *       200:
+ *         description: Existing one-to-one conversation returned
+ *       201:
+ *         description: Conversation created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     conversation:
+ *                       $ref: '#/components/schemas/Conversation'
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: A block exists with one of the users or between two of them, or email address not verified
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/', authenticateToken, requireVerified, createConversationValidation, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.user.id;
+    const usernames = [...new Set(req.body.usernames)].filter((username) => username !== req.user.username);
+
+    if (usernames.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Add at least one other user to the conversation'
+      });
+    }
+
+    const usersResult = await client.query(
+      'SELECT id, username FROM users WHERE username = ANY($1::varchar[]) AND is_active = true',
+      [usernames]
+    );
+
+    const found = new Set(usersResult.rows.map((user) => user.username));
+    const missing = usernames.find((username) => !found.has(username));
+    if (missing) {
+      return res.status(404).json({
+        success: false,
+        message: `User not found: ${missing}`
+      });
+    }
+
+    const otherIds = usersResult.rows.map((user) => user.id);
+    const blockResult = await client.query(
+      `SELECT u.username FROM users u
+       WHERE u.id = ANY($2::int[]) AND EXISTS (
+         SELECT 1 FROM user_blocks b
+         WHERE (b.blocker_id = $1 AND b.blocked_id = u.id) OR (b.blocker_id = u.id AND b.blocked_id = $1)
+       )
+       LIMIT 1`,
+      [userId, otherIds]
+    );
+
+    if (blockResult.rows.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `You cannot message ${blockResult.rows[0].username}`
+      });
+    }
+
+    // Users who have blocked each other cannot be put in the same group either
+    // (which of them blocked the other is not revealed)
+    if (otherIds.length > 1) {
+      const pairResult = await client.query(
+        `SELECT 1 FROM user_blocks
+         WHERE blocker_id = ANY($1::int[]) AND blocked_id = ANY($1::int[])
+         LIMIT 1`,
+        [otherIds]
+      );
+
+      if (pairResult.rows.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: 'Some of these users cannot be in a conversation together'
+        });
+      }
+    }
+
+    const isGroup = otherIds.length > 1;
+    let conversationId;
+    let created = true;
+
+    await client.query('BEGIN');
+
+    if (isGroup) {
+      const conversationResult = await client.query(
+        'INSERT INTO conversations (is_group, name, created_by) VALUES (true, $1, $2) RETURNING id',
+        [req.body.name || null, userId]
+      );
+      conversationId = conversationResult.rows[0].id;
+    } else {
+      // One-to-one conversations are unique per pair of users
+      const directKey = [userId, otherIds[0]].sort((a, b) => a - b).join(':');
+      const conversationResult = await client.query(
+        `INSERT INTO conversations (is_group, direct_key, created_by) VALUES (false, $1, $2)
+         ON CONFLICT (direct_key) DO NOTHING
+         RETURNING id`,
+        [directKey, userId]
+      );
+
+      if (conversationResult.rows.length > 0) {
+        conversationId = conversationResult.rows[0].id;
+      } else {
+        const existingResult = await client.query('SELECT id FROM conversations WHERE direct_key = $1', [directKey]);
+        conversationId = existingResult.rows[0].id;
+        created = false;
+      }
+    }
+
+    if (created) {
+      await client.query(
+        `INSERT INTO conversation_participants (conversation_id, user_id)
+         SELECT $1, UNNEST($2::int[])`,
+        [conversationId, [userId, ...otherIds]]
+      );
+    }
+
+    await client.query('COMMIT');
+
+    const [conversation] = await fetchConversations(userId, { conversationId });
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Conversation created' : 'Conversation already exists',
+      data: {
+        conversation
+      }
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Create conversation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/conversations:
+ *   get:
+ *     summary: List the current user's conversations, most recent activity first
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Conversations retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     conversations:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Conversation'
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         page:
+ *                           type: integer
+ *                         limit:
+ *                           type: integer
+ *       400:
+ *         description: Validation failed
+ *       401:
+ *         description: Access token required
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', authenticateToken, listConversationsValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const conversations = await fetchConversations(req.user.id, { limit, offset });
+
+    res.json({
+      success: true,
+      data: {
+        conversations,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get conversations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/conversations/unread-count:
+ *   get:
+ *     summary: Count unread messages across all conversations
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Unread counts retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     unreadCount:
+ *                       type: integer
+ *                       description: Unread messages
+ *                     unreadConversations:
+ *                       type: integer
+ *                       description: Conversations with unread messages
+ *       401:
+ *         description: Access token required
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/unread-count', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT COUNT(*) AS unread_count, COUNT(DISTINCT m.conversation_id) AS unread_conversations
+       FROM conversation_participants cp
+       JOIN messages m ON ${UNREAD_MESSAGE_CONDITIONS}
+       WHERE cp.user_id = $1`,
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        unreadCount: parseInt(result.rows[0].unread_count),
+        unreadConversations: parseInt(result.rows[0].unread_conversations)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get unread messages count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/conversations/{conversationId}:
+ *   get:
+ *     summary: Get a conversation with its participants and their read receipts
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: conversationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Conversation retrieved successfully
+ *       400:
+ *         description: Validation failed
+ *       404:
+ *         description: Conversation not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:conversationId', authenticateToken, conversationIdValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const [conversation] = await fetchConversations(req.user.id, {
+      conversationId: parseInt(req.params.conversationId, 10)
+    });
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        conversation
+      }
+    });
+
+  } catch (error) {
+    console.error('Get conversation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/conversations/{conversationId}/messages:
+ *   get:
+ *     summary: Get a conversation's message history, newest first
+ *     description: Pass `nextBefore` from the previous page as `before` to load older messages.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: conversationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: integer
+ *         description: Only return messages older than this message ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Messages retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     messages:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Message'
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         limit:
+ *                           type: integer
+ *                         nextBefore:
+ *                           type: integer
+ *                           nullable: true
+ *       400:
+ *         description: Validation failed
+ *       404:
+ *         description: Conversation not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:conversationId/messages', authenticateToken, listMessagesValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.user.id;
+    const conversationId = parseInt(req.params.conversationId, 10);
+    const limit = parseInt(req.query.limit || '30', 10);
+    const before = req.query.before ? parseInt(req.query.before, 10) : null;
+
+    if (!(await getParticipation(conversationId, userId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    // Fetch one extra message to know whether there are older ones
+    const messages = await getConversationMessages(conversationId, userId, { before, limit: limit + 1 });
+    const page = messages.slice(0, limit);
+    const hasMore = messages.length > limit;
+
+    res.json({
+      success: true,
+      data: {
+        messages: page,
+        pagination: {
+          limit,
+          nextBefore: hasMore ? page[page.length - 1].id : null
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get messages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/conversations/{conversationId}/messages:
+ *   post:
+ *     summary: Send a message
+ *     description: A message has text, a shared post or an image attachment; text can accompany a post or an image. One-to-one messages cannot be sent while either user has blocked the other.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: conversationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               text:
+ *                 type: string
+ *                 maxLength: 2000
+ *               postId:
+ *                 type: integer
+ *                 description: Post to share
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *                 description: Image attachment (max 5MB)
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               text:
+ *                 type: string
+ *                 maxLength: 2000
+ *               postId:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Message sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     message:
+ *                       $ref: '#/components/schemas/Message'
+ *       400:
+ *         description: Validation failed, empty message, both a post and an image, or the image was rejected by cloud storage
+ *       403:
+ *         description: A block exists with another participant, the shared post is not visible, or email address not verified
+ *       404:
+ *         description: Conversation or shared post not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:conversationId/messages',
+  authenticateToken,
+  requireVerified,
+  upload.single('image'),
+  handleMulterError,
+  sendMessageValidation,
+  async (req, res) => {
+    const client = await pool.connect();
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const userId = req.user.id;
+      const conversationId = parseInt(req.params.conversationId, 10);
+      const { text: rawText, postId: rawPostId } = req.body || {};
+      const text = typeof rawText === 'string' && rawText.trim() ? rawText.trim() : null;
+      const postId = rawPostId ? parseInt(rawPostId, 10) : null;
+
+      const conversation = await getParticipation(conversationId, userId);
+      if (!conversation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Conversation not found'
+        });
+      }
+
+      if (postId && req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'A message can share a post or an image, not both'
+        });
+      }
+
+      if (!text && !postId && !req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'Message cannot be empty'
+        });
+      }
+
+      // No messages while a block exists in either direction with any other participant
+      // (blocks made after a group conversation was started included)
+      const blockResult = await client.query(
+        `SELECT 1 FROM conversation_participants cp
+         JOIN user_blocks b
+           ON (b.blocker_id = $2 AND b.blocked_id = cp.user_id) OR (b.blocker_id = cp.user_id AND b.blocked_id = $2)
+         WHERE cp.conversation_id = $1 AND cp.user_id <> $2
+         LIMIT 1`,
+        [conversationId, userId]
+      );
+
+      if (blockResult.rows.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: conversation.is_group
+            ? 'You cannot message this conversation while a block exists with one of its participants'
+            : 'You cannot message this user'
+        });
+      }
+
+      if (postId) {
+        const postResult = await client.query(
+          `SELECT p.id, p.user_id, p.group_id, u.is_private,
+                  g.is_private AS group_is_private,
+                  EXISTS(SELECT 1 FROM group_members gm WHERE gm.group_id = p.group_id AND gm.user_id = $2) AS is_group_member
+           FROM posts p
+           JOIN users u ON p.user_id = u.id
+           LEFT JOIN groups g ON p.group_id = g.id
+           WHERE p.id = $1 AND u.is_active = true AND p.moderation_status = 'approved'`,
+          [postId, userId]
+        );
+
+        if (postResult.rows.length === 0 || await isBlocked(userId, postResult.rows[0].user_id)) {
+          return res.status(404).json({
+            success: false,
+            message: 'Post not found'
+          });
+        }
+
+        const post = postResult.rows[0];
+        const canShare = post.group_id
+          ? !post.group_is_private || post.is_group_member
+          : await canViewPost(post, userId);
+
+        if (!canShare) {
+          return res.status(403).json({
+            success: false,
+            message: 'You cannot share this post'
+          });
+        }
+      }
+
+      let image = null;
+      if (req.file) {
+        try {
+          image = await uploadToCloudinary(req.file.buffer, {
+            folder: `fastgram/messages/${conversationId}`,
+            public_id: `message_${conversationId}_${userId}_${Date.now()}`
+          });
+        } catch (uploadError) {
+          console.error('Message image upload error:', uploadError);
+
+          // Cloudinary rejected the file itself (e.g. not a readable image)
+          if (uploadError.http_code >= 400 && uploadError.http_code < 500) {
+            return res.status(400).json({
+              success: false,
+              message: uploadError.message || 'Invalid image'
+            });
+          }
+
+          return res.status(500).json({
+            success: false,
+            message: 'Image upload failed'
+          });
+        }
+      }
+
+      const messageType = image ? 'image' : postId ? 'post' : 'text';
+      let messageId;
+
+      try {
+        await client.query('BEGIN');
+
+        const messageResult = await client.query(
+          `INSERT INTO messages (conversation_id, sender_id, message_type, text, post_id, image_url, image_public_id, image_width, image_height)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+           RETURNING id, created_at`,
+          [
+            conversationId,
+            userId,
+            messageType,
+            text,
+            postId,
+            image ? image.secure_url : null,
+            image ? image.public_id : null,
+            image ? image.width : null,
+            image ? image.height : null
+          ]
+        );
+        messageId = messageResult.rows[0].id;
+
+        await client.query(
+          'UPDATE conversations SET last_message_at = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+          [conversationId, messageResult.rows[0].created_at]
+        );
+
+        // Senders have read everything up to their own message
+        await client.query(
+          `UPDATE conversation_participants SET last_read_message_id = $3, last_read_at = CURRENT_TIMESTAMP
+           WHERE conversation_id = $1 AND user_id = $2`,
+          [conversationId, userId, messageId]
+        );
+
+        await client.query('COMMIT');
+      } catch (dbError) {
+        await client.query('ROLLBACK');
+        if (image) {
+          await deleteFromCloudinary(image.public_id).catch((err) => {
+            console.error('Message image cleanup error (non-critical):', err.message);
+          });
+        }
+        throw dbError;
+      }
+
+      const messages = await getMessagesByIds([messageId], userId);
+
+      // Shared posts are formatted for each recipient, who may not be allowed to see them
+      await publishToParticipants(conversationId, 'message.created', async (participantId) => {
+        if (participantId === userId || messageType !== 'post') return messages.get(messageId);
+        return (await getMessagesByIds([messageId], participantId)).get(messageId);
+      }, userId);
+
+      res.status(201).json({
+        success: true,
+        message: 'Message sent',
+        data: {
+          message: messages.get(messageId)
+        }
+      });
+
+    } catch (error) {
+      console.error('Send message error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    } finally {
+      client.release();
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/conversations/{conversationId}/read:
+ *   post:
+ *     summary: Mark a conversation as read
+ *     description: Moves the current user's read receipt to the given message, or to the latest message when none is given. Read receipts never move backwards.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: conversationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               messageId:
+ *                 type: integer
+ *                 description: Last message read
+ *     responses:
+ *       200:
+ *         description: Conversation marked as read
+ *       400:
+ *         description: Validation failed
+ *       404:
+ *         description: Conversation or message not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:conversationId/read', authenticateToken, markReadValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.user.id;
+    const conversationId = parseInt(req.params.conversationId, 10);
+    const { messageId } = req.body || {};
+
+    if (!(await getParticipation(conversationId, userId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    const messageResult = messageId
+      ? await pool.query('SELECT id FROM messages WHERE id = $1 AND conversation_id = $2', [messageId, conversationId])
+      : await pool.query('SELECT MAX(id) AS id FROM messages WHERE conversation_id = $1', [conversationId]);
+
+    if (messageId && messageResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    const readResult = await pool.query(
+      `UPDATE conversation_participants
+       SET last_read_message_id = GREATEST(COALESCE(last_read_message_id, 0), $3),
+           last_read_at = CURRENT_TIMESTAMP
+       WHERE conversation_id = $1 AND user_id = $2
+       RETURNING last_read_message_id, last_read_at`,
+      [conversationId, userId, messageResult.rows[0].id || 0]
+    );
+
+    const receipt = {
+      conversationId,
+      userId,
+      lastReadMessageId: readResult.rows[0].last_read_message_id || null,
+      lastReadAt: readResult.rows[0].last_read_at
+    };
+
+    await publishToParticipants(conversationId, 'conversation.read', () => receipt, userId);
+
+    const [conversation] = await fetchConversations(userId, { conversationId });
+
+    res.json({
+      success: true,
+      message: 'Conversation marked as read',
+      data: {
+        lastReadMessageId: receipt.lastReadMessageId,
+        lastReadAt: receipt.lastReadAt,
+        unreadCount: conversation.unreadCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Mark conversation read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/conversations/{conversationId}/messages/{messageId}:
+ *   delete:
+ *     summary: Delete one of your messages for everyone
+ *     description: The message stays in the history as deleted, without its text, shared post or image.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: conversationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Message deleted
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Not the sender of the message
+ *       404:
+ *         description: Conversation or message not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:conversationId/messages/:messageId', authenticateToken, deleteMessageValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.user.id;
+    const conversationId = parseInt(req.params.conversationId, 10);
+    const messageId = parseInt(req.params.messageId, 10);
+
+    if (!(await getParticipation(conversationId, userId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    const messageResult = await pool.query(
+      'SELECT sender_id, image_public_id FROM messages WHERE id = $1 AND conversation_id = $2 AND is_deleted = false',
+      [messageId, conversationId]
+    );
+
+    if (messageResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    if (messageResult.rows[0].sender_id !== userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only delete your own messages'
+      });
+    }
+
+    await pool.query(
+      `UPDATE messages
+       SET is_deleted = true, deleted_at = CURRENT_TIMESTAMP,
+           text = NULL, post_id = NULL, image_url = NULL, image_public_id = NULL, image_width = NULL, image_height = NULL
+       WHERE id = $1`,
+      [messageId]
+    );
+
+    const { image_public_id: imagePublicId } = messageResult.rows[0];
+    if (imagePublicId) {
+      try {
+        await deleteFromCloudinary(imagePublicId);
+      } catch (cloudinaryError) {
+        console.error('Message image delete error (non-critical):', cloudinaryError.message);
+      }
+    }
+
+    await publishToParticipants(conversationId, 'message.deleted', () => ({ conversationId, messageId }), userId);
+
+    res.json({
+      success: true,
+      message: 'Message deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
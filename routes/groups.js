@@ -1,7 +1,12 @@
+const crypto = require('crypto');
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const pool = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireVerified } = require('../middleware/auth');
+const { ASSIGNABLE_GROUP_ROLES, hasGroupPermission, outranks, getGroupRole, getMembersWithPermission, requireGroupPermission } = require('../middleware/groupPermissions');
+const { createNotification, createNotifications } = require('../utils/notifications');
+const { ACTIVE_BAN, getActiveGroupBan, bannedMessage } = require('../utils/groupBans');
+const { groupChannel, groupChatChannel, publishEvent, publishNotifications } = require('../utils/realtime');
 
 const router = express.Router();
 
@@ -16,6 +21,52 @@ const createGroupValidation = [
   body('name').notEmpty().withMessage('Group name is required').isLength({ max: 150 })
 ];
 
+const joinGroupValidation = [
+  body('message').optional({ values: 'null' }).isString().trim().isLength({ max: 500 }).withMessage('Message must be less than 500 characters')
+];
+
+const INVITE_CODE_BYTES = 9; // 12 URL-safe characters
+
+// Invite columns, with whether the code can still be used
+const INVITE_COLUMNS = `
+  group_invites.id, group_invites.group_id, group_invites.code, group_invites.created_by, group_invites.role,
+  group_invites.max_uses, group_invites.uses_count, group_invites.expires_at, group_invites.revoked_at, group_invites.created_at,
+  (group_invites.revoked_at IS NULL
+    AND (group_invites.expires_at IS NULL OR group_invites.expires_at > CURRENT_TIMESTAMP)
+    AND (group_invites.max_uses IS NULL OR group_invites.uses_count < group_invites.max_uses)) AS is_active
+`;
+
+const createInviteValidation = [
+  body('expiresInHours').optional({ values: 'null' }).isInt({ min: 1, max: 8760 }).withMessage('Expiry must be between 1 and 8760 hours'),
+  body('maxUses').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Max uses must be a positive integer'),
+  body('role').optional().isIn(ASSIGNABLE_GROUP_ROLES).withMessage(`Role must be one of: ${ASSIGNABLE_GROUP_ROLES.join(', ')}`)
+];
+
+const transferOwnershipValidation = [
+  body('userId').isInt({ min: 1 }).withMessage('userId must be a valid user ID')
+];
+
+const banMemberValidation = [
+  body('userId').isInt({ min: 1 }).withMessage('userId must be a valid user ID'),
+  body('reason').optional({ values: 'null' }).isString().trim().isLength({ max: 500 }).withMessage('Reason must be less than 500 characters'),
+  body('durationHours').optional({ values: 'null' }).isInt({ min: 1, max: 8760 }).withMessage('Duration must be between 1 and 8760 hours')
+];
+
+const paginationValidation = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+const updateMemberRoleValidation = [
+  body('role').isIn(ASSIGNABLE_GROUP_ROLES).withMessage(`Role must be one of: ${ASSIGNABLE_GROUP_ROLES.join(', ')}`)
+];
+
+const listJoinRequestsValidation = [
+  query('status').optional().isIn(['pending', 'approved', 'rejected']).withMessage('Status must be pending, approved or rejected'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
 // Create a new group
 /**
  * @swagger
@@ -40,6 +91,9 @@ const createGroupValidation = [
  *                 type: string
  *               isPrivate:
  *                 type: boolean
+ *               requirePostApproval:
+ *                 type: boolean
+ *                 description: Hold members' posts for review by moderators
  *     responses:
  *       201:
  *         description: Group created successfully
@@ -55,7 +109,7 @@ router.post('/', authenticateToken, createGroupValidation, async (req, res) => {
       return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
     }
 
-    const { name, description, isPrivate } = req.body;
+    const { name, description, isPrivate, requirePostApproval } = req.body;
     const ownerId = req.user.id;
 
     const client = await pool.connect();
@@ -63,18 +117,18 @@ router.post('/', authenticateToken, createGroupValidation, async (req, res) => {
       await client.query('BEGIN');
 
       const groupResult = await client.query(
-        `INSERT INTO groups (name, description, is_private, owner_id)
-         VALUES ($1, $2, $3, $4)
-         RETURNING id, name, description, is_private, owner_id, members_count, created_at, updated_at`,
-        [name, description || '', !!isPrivate, ownerId]
+        `INSERT INTO groups (name, description, is_private, requires_post_approval, owner_id)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id, name, description, is_private, requires_post_approval, owner_id, members_count, created_at, updated_at`,
+        [name, description || '', !!isPrivate, !!requirePostApproval, ownerId]
       );
 
       const group = groupResult.rows[0];
 
-      // Add owner as admin member
+      // Add owner as a member with the owner role
       await client.query(
         `INSERT INTO group_members (group_id, user_id, role) VALUES ($1, $2, $3)`,
-        [group.id, ownerId, 'admin']
+        [group.id, ownerId, 'owner']
       );
 
       // Update members_count
@@ -145,12 +199,12 @@ router.get('/:groupId', authenticateToken, async (req, res) => {
   }
 });
 
-// Update group (admin only)
+// Update group (admins and owner)
 /**
  * @swagger
  * /api/groups/{groupId}:
  *   put:
- *     summary: Update group (admin only)
+ *     summary: Update group (admins and owner)
  *     tags: [Group Management]
  *     security:
  *       - bearerAuth: []
@@ -172,6 +226,9 @@ router.get('/:groupId', authenticateToken, async (req, res) => {
  *                 type: string
  *               isPrivate:
  *                 type: boolean
+ *               requirePostApproval:
+ *                 type: boolean
+ *                 description: Hold members' posts for review by moderators
  *     responses:
  *       200:
  *         description: Group updated successfully
@@ -182,23 +239,17 @@ router.get('/:groupId', authenticateToken, async (req, res) => {
  *       500:
  *         description: Internal server error
  */
-router.put('/:groupId', authenticateToken, async (req, res) => {
+router.put('/:groupId', authenticateToken, requireGroupPermission('updateGroup'), async (req, res) => {
   try {
     const { groupId } = req.params;
-    const { name, description, isPrivate } = req.body;
-    const userId = req.user.id;
-
-    // Check admin role
-    const memberRes = await pool.query('SELECT role FROM group_members WHERE group_id = $1 AND user_id = $2', [groupId, userId]);
-    if (memberRes.rows.length === 0 || memberRes.rows[0].role !== 'admin') {
-      return res.status(403).json({ success: false, message: 'Not authorized to update group' });
-    }
+    const { name, description, isPrivate, requirePostApproval } = req.body;
 
     const result = await pool.query(
-      `UPDATE groups SET name = COALESCE($1, name), description = COALESCE($2, description), is_private = COALESCE($3, is_private), updated_at = CURRENT_TIMESTAMP
-       WHERE id = $4
-       RETURNING id, name, description, is_private, owner_id, members_count, created_at, updated_at`,
-      [name, description, typeof isPrivate === 'boolean' ? isPrivate : null, groupId]
+      `UPDATE groups SET name = COALESCE($1, name), description = COALESCE($2, description), is_private = COALESCE($3, is_private),
+              requires_post_approval = COALESCE($4, requires_post_approval), updated_at = CURRENT_TIMESTAMP
+       WHERE id = $5
+       RETURNING id, name, description, is_private, requires_post_approval, owner_id, members_count, created_at, updated_at`,
+      [name, description, typeof isPrivate === 'boolean' ? isPrivate : null, typeof requirePostApproval === 'boolean' ? requirePostApproval : null, groupId]
     );
 
     if (result.rows.length === 0) {
@@ -212,12 +263,12 @@ router.put('/:groupId', authenticateToken, async (req, res) => {
   }
 });
 
-// Delete group (admin only)
+// Delete group (owner only)
 /**
  * @swagger
  * /api/groups/{groupId}:
  *   delete:
- *     summary: Delete a group (admin only)
+ *     summary: Delete a group (owner only)
  *     tags: [Group Management]
  *     security:
  *       - bearerAuth: []
@@ -237,17 +288,10 @@ router.put('/:groupId', authenticateToken, async (req, res) => {
  *       500:
  *         description: Internal server error
  */
-router.delete('/:groupId', authenticateToken, async (req, res) => {
+router.delete('/:groupId', authenticateToken, requireGroupPermission('deleteGroup'), async (req, res) => {
   const client = await pool.connect();
   try {
     const { groupId } = req.params;
-    const userId = req.user.id;
-
-    // Check admin
-    const memberRes = await client.query('SELECT role FROM group_members WHERE group_id = $1 AND user_id = $2', [groupId, userId]);
-    if (memberRes.rows.length === 0 || memberRes.rows[0].role !== 'admin') {
-      return res.status(403).json({ success: false, message: 'Not authorized to delete group' });
-    }
 
     await client.query('BEGIN');
 
@@ -270,12 +314,13 @@ router.delete('/:groupId', authenticateToken, async (req, res) => {
   }
 });
 
-// Join group (public only)
+// Join group (public groups directly, private groups by request)
 /**
  * @swagger
  * /api/groups/{groupId}/join:
  *   post:
- *     summary: Join a public group
+ *     summary: Join a public group, or request to join a private one
+ *     description: Join requests are sent to the owner and admins, who can approve them.
  *     tags: [Group Management]
  *     security:
  *       - bearerAuth: []
@@ -285,29 +330,83 @@ router.delete('/:groupId', authenticateToken, async (req, res) => {
  *         required: true
  *         schema:
  *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Message to the admins (private groups only)
  *     responses:
  *       200:
- *         description: Joined group successfully
+ *         description: Joined group, or join request sent for a private group
+ *       400:
+ *         description: Validation failed
  *       403:
- *         description: Cannot join private group
+ *         description: Banned from the group, or the group has no owner
  *       404:
  *         description: Group not found
+ *       409:
+ *         description: Already a member or join request already sent
  *       500:
  *         description: Internal server error
  */
-router.post('/:groupId/join', authenticateToken, async (req, res) => {
+router.post('/:groupId/join', authenticateToken, joinGroupValidation, async (req, res) => {
   const client = await pool.connect();
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
     const { groupId } = req.params;
     const userId = req.user.id;
 
-    const groupRes = await client.query('SELECT is_private FROM groups WHERE id = $1', [groupId]);
+    const groupRes = await client.query('SELECT is_private, owner_id FROM groups WHERE id = $1', [groupId]);
     if (groupRes.rows.length === 0) {
       return res.status(404).json({ success: false, message: 'Group not found' });
     }
 
+    // A group left without members has no owner and is kept read-only
+    if (groupRes.rows[0].owner_id === null) {
+      return res.status(403).json({ success: false, message: 'This group has no owner and cannot be joined' });
+    }
+
+    const ban = await getActiveGroupBan(groupId, userId, client);
+    if (ban) {
+      return res.status(403).json({ success: false, message: bannedMessage(ban) });
+    }
+
     if (groupRes.rows[0].is_private) {
-      return res.status(403).json({ success: false, message: 'Cannot join a private group' });
+      const memberRes = await client.query('SELECT id FROM group_members WHERE group_id = $1 AND user_id = $2', [groupId, userId]);
+      if (memberRes.rows.length > 0) {
+        return res.status(409).json({ success: false, message: 'Already a member of this group' });
+      }
+
+      // A declined or approved (then left) request can be sent again
+      const requestRes = await client.query(
+        `INSERT INTO group_join_requests (group_id, user_id, message) VALUES ($1, $2, $3)
+         ON CONFLICT (group_id, user_id)
+         DO UPDATE SET status = 'pending', message = EXCLUDED.message, created_at = CURRENT_TIMESTAMP, responded_at = NULL, reviewed_by = NULL
+         WHERE group_join_requests.status <> 'pending'
+         RETURNING id`,
+        [groupId, userId, (req.body && req.body.message) || null]
+      );
+
+      if (requestRes.rows.length === 0) {
+        return res.status(409).json({ success: false, message: 'Join request already sent' });
+      }
+
+      // Everyone who can approve the request hears about it
+      const reviewerIds = await getMembersWithPermission(groupId, 'manageJoinRequests', client);
+      await publishNotifications(
+        await createNotifications(reviewerIds.map((reviewerId) => ({ userId: reviewerId, actorId: userId, type: 'group_join_request', groupId: parseInt(groupId, 10) })))
+      );
+
+      return res.json({ success: true, message: 'Join request sent', data: { membershipStatus: 'requested', requestId: requestRes.rows[0].id } });
     }
 
     await client.query('BEGIN');
@@ -316,13 +415,16 @@ router.post('/:groupId/join', authenticateToken, async (req, res) => {
       [groupId, userId, 'member']
     );
 
+    let notificationIds = [];
     if (insertRes.rowCount > 0) {
       await client.query('UPDATE groups SET members_count = members_count + 1 WHERE id = $1', [groupId]);
+      notificationIds = await createNotification({ userId: groupRes.rows[0].owner_id, actorId: userId, type: 'group_join', groupId: parseInt(groupId, 10) }, client);
     }
 
     await client.query('COMMIT');
+    await publishNotifications(notificationIds);
 
-    res.json({ success: true, message: 'Joined group' });
+    res.json({ success: true, message: 'Joined group', data: { membershipStatus: 'member' } });
   } catch (error) {
     await client.query('ROLLBACK');
     console.error('Join group error:', error);
@@ -332,12 +434,12 @@ router.post('/:groupId/join', authenticateToken, async (req, res) => {
   }
 });
 
-// Add member (admin only)
+// Cancel own join request
 /**
  * @swagger
- * /api/groups/{groupId}/members:
- *   post:
- *     summary: Add a member to group (admin only)
+ * /api/groups/{groupId}/join:
+ *   delete:
+ *     summary: Cancel your pending request to join a private group
  *     tags: [Group Management]
  *     security:
  *       - bearerAuth: []
@@ -347,70 +449,39 @@ router.post('/:groupId/join', authenticateToken, async (req, res) => {
  *         required: true
  *         schema:
  *           type: integer
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required: [userId]
- *             properties:
- *               userId:
- *                 type: integer
  *     responses:
- *       201:
- *         description: Member added successfully
- *       400:
- *         description: Validation failed
- *       403:
- *         description: Not authorized
+ *       200:
+ *         description: Join request cancelled
+ *       404:
+ *         description: Pending join request not found
  *       500:
  *         description: Internal server error
  */
-router.post('/:groupId/members', authenticateToken, async (req, res) => {
-  const client = await pool.connect();
+router.delete('/:groupId/join', authenticateToken, async (req, res) => {
   try {
     const { groupId } = req.params;
-    const { userId: newUserId } = req.body; // expects numeric userId
-    const userId = req.user.id;
-
-    if (!newUserId) {
-      return res.status(400).json({ success: false, message: 'userId is required' });
-    }
-
-    const memberRes = await client.query('SELECT role FROM group_members WHERE group_id = $1 AND user_id = $2', [groupId, userId]);
-    if (memberRes.rows.length === 0 || memberRes.rows[0].role !== 'admin') {
-      return res.status(403).json({ success: false, message: 'Not authorized to add members' });
-    }
 
-    await client.query('BEGIN');
-    const insertRes = await client.query(
-      'INSERT INTO group_members (group_id, user_id, role) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING',
-      [groupId, newUserId, 'member']
+    const delRes = await pool.query(
+      `DELETE FROM group_join_requests WHERE group_id = $1 AND user_id = $2 AND status = 'pending'`,
+      [groupId, req.user.id]
     );
-
-    if (insertRes.rowCount > 0) {
-      await client.query('UPDATE groups SET members_count = members_count + 1 WHERE id = $1', [groupId]);
+    if (delRes.rowCount === 0) {
+      return res.status(404).json({ success: false, message: 'Join request not found' });
     }
 
-    await client.query('COMMIT');
-
-    res.status(201).json({ success: true, message: 'Member added' });
+    res.json({ success: true, message: 'Join request cancelled' });
   } catch (error) {
-    await client.query('ROLLBACK');
-    console.error('Add member error:', error);
+    console.error('Cancel join request error:', error);
     res.status(500).json({ success: false, message: 'Internal server error' });
-  } finally {
-    client.release();
   }
 });
 
-// Remove member
+// List join requests (admins and owner)
 /**
  * @swagger
- * /api/groups/{groupId}/members/{memberId}:
- *   delete:
- *     summary: Remove a member from group (admin or self)
+ * /api/groups/{groupId}/join-requests:
+ *   get:
+ *     summary: List requests to join a group (admins and owner)
  *     tags: [Group Management]
  *     security:
  *       - bearerAuth: []
@@ -420,61 +491,119 @@ router.post('/:groupId/members', authenticateToken, async (req, res) => {
  *         required: true
  *         schema:
  *           type: integer
- *       - in: path
- *         name: memberId
- *         required: true
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *           default: pending
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
  *         schema:
  *           type: integer
+ *           default: 20
  *     responses:
  *       200:
- *         description: Member removed successfully
+ *         description: Join requests retrieved successfully
+ *       400:
+ *         description: Validation failed
  *       403:
  *         description: Not authorized
- *       404:
- *         description: Member not found
  *       500:
  *         description: Internal server error
  */
-router.delete('/:groupId/members/:memberId', authenticateToken, async (req, res) => {
+router.get('/:groupId/join-requests', authenticateToken, requireGroupPermission('manageJoinRequests'), listJoinRequestsValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { groupId } = req.params;
+    const { status = 'pending', page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const requestsRes = await pool.query(
+      `SELECT r.id, r.user_id, r.message, r.status, r.reviewed_by, r.created_at, r.responded_at,
+              u.username, u.full_name, u.profile_picture_url
+       FROM group_join_requests r
+       JOIN users u ON r.user_id = u.id
+       WHERE r.group_id = $1 AND r.status = $2 AND u.is_active = true
+       ORDER BY r.created_at DESC
+       LIMIT $3 OFFSET $4`,
+      [groupId, status, limit, offset]
+    );
+
+    res.json({ success: true, data: { requests: requestsRes.rows } });
+  } catch (error) {
+    console.error('List join requests error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// Approve or reject a join request (admins and owner); the requester is notified either way
+const reviewJoinRequest = (approved) => async (req, res) => {
   const client = await pool.connect();
   try {
-    const { groupId, memberId } = req.params;
+    const { groupId, requestId } = req.params;
     const userId = req.user.id;
 
-    // If self remove or admin
-    const isAdminRes = await client.query('SELECT role FROM group_members WHERE group_id = $1 AND user_id = $2', [groupId, userId]);
-    const isAdmin = isAdminRes.rows.length > 0 && isAdminRes.rows[0].role === 'admin';
+    await client.query('BEGIN');
+    const requestRes = await client.query(
+      `UPDATE group_join_requests SET status = $1, reviewed_by = $2, responded_at = CURRENT_TIMESTAMP
+       WHERE id = $3 AND group_id = $4 AND status = 'pending'
+       RETURNING user_id`,
+      [approved ? 'approved' : 'rejected', userId, requestId, groupId]
+    );
 
-    if (!isAdmin && parseInt(memberId, 10) !== userId) {
-      return res.status(403).json({ success: false, message: 'Not authorized to remove this member' });
+    if (requestRes.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, message: 'Join request not found' });
     }
 
-    await client.query('BEGIN');
-    const delRes = await client.query('DELETE FROM group_members WHERE group_id = $1 AND user_id = $2', [groupId, memberId]);
-    if (delRes.rowCount === 0) {
-      await client.query('ROLLBACK');
-      return res.status(404).json({ success: false, message: 'Member not found' });
+    const requesterId = requestRes.rows[0].user_id;
+
+    if (approved) {
+      const insertRes = await client.query(
+        'INSERT INTO group_members (group_id, user_id, role) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING',
+        [groupId, requesterId, 'member']
+      );
+      if (insertRes.rowCount > 0) {
+        await client.query('UPDATE groups SET members_count = members_count + 1 WHERE id = $1', [groupId]);
+      }
     }
 
-    await client.query('UPDATE groups SET members_count = GREATEST(members_count - 1, 0) WHERE id = $1', [groupId]);
+    const notificationIds = await createNotification({
+      userId: requesterId,
+      actorId: userId,
+      type: approved ? 'group_join_approved' : 'group_join_rejected',
+      groupId: parseInt(groupId, 10)
+    }, client);
+
     await client.query('COMMIT');
+    await publishNotifications(notificationIds);
 
-    res.json({ success: true, message: 'Member removed' });
+    res.json({ success: true, message: approved ? 'Join request approved' : 'Join request rejected' });
   } catch (error) {
     await client.query('ROLLBACK');
-    console.error('Remove member error:', error);
+    console.error('Review join request error:', error);
     res.status(500).json({ success: false, message: 'Internal server error' });
   } finally {
     client.release();
   }
-});
+};
 
-// List group members
 /**
  * @swagger
- * /api/groups/{groupId}/members:
- *   get:
- *     summary: List group members
+ * /api/groups/{groupId}/join-requests/{requestId}/approve:
+ *   post:
+ *     summary: Approve a pending join request (admins and owner)
+ *     description: Adds the requester as a member and notifies them.
  *     tags: [Group Management]
  *     security:
  *       - bearerAuth: []
@@ -484,53 +613,61 @@ router.delete('/:groupId/members/:memberId', authenticateToken, async (req, res)
  *         required: true
  *         schema:
  *           type: integer
- *       - in: query
- *         name: page
+ *       - in: path
+ *         name: requestId
+ *         required: true
  *         schema:
  *           type: integer
- *           default: 1
- *       - in: query
- *         name: limit
+ *     responses:
+ *       200:
+ *         description: Join request approved
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Pending join request not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:groupId/join-requests/:requestId/approve', authenticateToken, requireGroupPermission('manageJoinRequests'), reviewJoinRequest(true));
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/join-requests/{requestId}/reject:
+ *   post:
+ *     summary: Reject a pending join request (admins and owner)
+ *     description: The requester is notified and can send a new request later.
+ *     tags: [Group Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: requestId
+ *         required: true
  *         schema:
  *           type: integer
- *           default: 50
  *     responses:
  *       200:
- *         description: Members retrieved successfully
+ *         description: Join request rejected
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Pending join request not found
  *       500:
  *         description: Internal server error
  */
-router.get('/:groupId/members', authenticateToken, async (req, res) => {
-  try {
-    const { groupId } = req.params;
-    const { page = 1, limit = 50 } = req.query;
-    const offset = (page - 1) * limit;
-
-    const membersRes = await pool.query(
-      `SELECT gm.user_id, gm.role, gm.joined_at, u.username, u.full_name, u.profile_picture_url
-       FROM group_members gm
-       JOIN users u ON gm.user_id = u.id
-       WHERE gm.group_id = $1
-       ORDER BY gm.joined_at DESC
-       LIMIT $2 OFFSET $3`,
-      [groupId, limit, offset]
-    );
-
-    res.json({ success: true, data: { members: membersRes.rows } });
-  } catch (error) {
-    console.error('List members error:', error);
-    res.status(500).json({ success: false, message: 'Internal server error' });
-  }
-});
-
+router.post('/:groupId/join-requests/:requestId/reject', authenticateToken, requireGroupPermission('manageJoinRequests'), reviewJoinRequest(false));
 
-
-// Group post endpoints using posts table
+// Invite links (admins and owner create codes; anyone with a valid code can join, private groups included)
 /**
  * @swagger
- * /api/groups/{groupId}/posts:
+ * /api/groups/{groupId}/invites:
  *   post:
- *     summary: Create a post in the group
+ *     summary: Create an invite code (admins and owner)
  *     tags: [Group Management]
  *     security:
  *       - bearerAuth: []
@@ -541,81 +678,69 @@ router.get('/:groupId/members', authenticateToken, async (req, res) => {
  *         schema:
  *           type: integer
  *     requestBody:
- *       required: true
  *       content:
- *         multipart/form-data:
+ *         application/json:
  *           schema:
  *             type: object
  *             properties:
- *               caption:
- *                 type: string
- *                 description: Post caption (optional)
- *               image:
+ *               expiresInHours:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 8760
+ *                 description: Hours until the code expires (never when omitted)
+ *               maxUses:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Number of times the code can be used (unlimited when omitted)
+ *               role:
  *                 type: string
- *                 format: binary
- *                 description: Image file (optional)
+ *                 enum: [member, moderator, admin]
+ *                 default: member
+ *                 description: Role given to users who join with the code (must be below your own role)
  *     responses:
  *       201:
- *         description: Post created successfully
+ *         description: Invite created successfully
  *       400:
  *         description: Validation failed
  *       403:
- *         description: Must be a member to post
+ *         description: Not authorized
  *       500:
  *         description: Internal server error
  */
-const multer = require('multer');
-const storage = multer.memoryStorage();
-const upload = multer({ storage });
-const { uploadToCloudinary, extractPublicId, deleteFromCloudinary } = require('../utils/cloudinaryUpload');
-
-router.post('/:groupId/posts', authenticateToken, upload.single('image'), async (req, res) => {
-  const client = await pool.connect();
+router.post('/:groupId/invites', authenticateToken, requireGroupPermission('manageInvites'), createInviteValidation, async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
     const { groupId } = req.params;
-    const { caption } = req.body;
+    const { expiresInHours, maxUses, role = 'member' } = req.body || {};
     const userId = req.user.id;
 
-    // Check member
-    const memberRes = await client.query('SELECT id FROM group_members WHERE group_id = $1 AND user_id = $2', [groupId, userId]);
-    if (memberRes.rows.length === 0) {
-      return res.status(403).json({ success: false, message: 'Must be a member to post' });
-    }
-
-    let imageUrl = null;
-    if (req.file) {
-      try {
-        const cloudinaryResult = await uploadToCloudinary(req.file.buffer, {
-          folder: `fastgram/group_posts/${groupId}`,
-          public_id: `group_${groupId}_user_${userId}_${Date.now()}`
-        });
-        imageUrl = cloudinaryResult.secure_url;
-      } catch (err) {
-        return res.status(500).json({ success: false, message: 'Image upload failed' });
-      }
+    if (!outranks(req.groupRole, role)) {
+      return res.status(403).json({ success: false, message: 'Not authorized to create invites for this role' });
     }
 
-    const postRes = await client.query(
-      `INSERT INTO posts (user_id, caption, image_url, group_id)
-       VALUES ($1, $2, $3, $4)
-       RETURNING id, user_id, caption, image_url, group_id, likes_count, comments_count, created_at, updated_at`,
-      [userId, caption || '', imageUrl, groupId]
+    const inviteRes = await pool.query(
+      `INSERT INTO group_invites (group_id, code, created_by, role, max_uses, expires_at)
+       VALUES ($1, $2, $3, $4, $5, CASE WHEN $6::int IS NULL THEN NULL ELSE CURRENT_TIMESTAMP + $6::int * INTERVAL '1 hour' END)
+       RETURNING ${INVITE_COLUMNS}`,
+      [groupId, crypto.randomBytes(INVITE_CODE_BYTES).toString('base64url'), userId, role, maxUses || null, expiresInHours || null]
     );
 
-    res.status(201).json({ success: true, message: 'Post created', data: { post: postRes.rows[0] } });
+    res.status(201).json({ success: true, message: 'Invite created', data: { invite: inviteRes.rows[0] } });
   } catch (error) {
-    console.error('Create group post error:', error);
+    console.error('Create invite error:', error);
     res.status(500).json({ success: false, message: 'Internal server error' });
-  } finally {
-    client.release();
   }
 });
 
 /**
  * @swagger
- * /api/groups/{groupId}/posts:
+ * /api/groups/{groupId}/invites:
  *   get:
- *     summary: List posts in a group
+ *     summary: List a group's invite codes with their usage (admins and owner)
  *     tags: [Group Management]
  *     security:
  *       - bearerAuth: []
@@ -625,10 +750,1500 @@ router.post('/:groupId/posts', authenticateToken, upload.single('image'), async
  *         required: true
  *         schema:
  *           type: integer
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
+ *     responses:
+ *       200:
+ *         description: Invites retrieved successfully
+ *       403:
+ *         description: Not authorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:groupId/invites', authenticateToken, requireGroupPermission('manageInvites'), async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    const invitesRes = await pool.query(
+      `SELECT ${INVITE_COLUMNS}, u.username AS created_by_username
+       FROM group_invites
+       LEFT JOIN users u ON group_invites.created_by = u.id
+       WHERE group_id = $1
+       ORDER BY group_invites.created_at DESC`,
+      [groupId]
+    );
+
+    res.json({ success: true, data: { invites: invitesRes.rows } });
+  } catch (error) {
+    console.error('List invites error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/invites/{inviteId}:
+ *   delete:
+ *     summary: Revoke an invite code (admins and owner)
+ *     tags: [Group Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: inviteId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Invite revoked successfully
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Invite not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:groupId/invites/:inviteId', authenticateToken, requireGroupPermission('manageInvites'), async (req, res) => {
+  try {
+    const { groupId, inviteId } = req.params;
+
+    const revokeRes = await pool.query(
+      'UPDATE group_invites SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1 AND group_id = $2 AND revoked_at IS NULL',
+      [inviteId, groupId]
+    );
+    if (revokeRes.rowCount === 0) {
+      return res.status(404).json({ success: false, message: 'Invite not found' });
+    }
+
+    res.json({ success: true, message: 'Invite revoked' });
+  } catch (error) {
+    console.error('Revoke invite error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/groups/join/{code}:
+ *   post:
+ *     summary: Join a group with an invite code
+ *     description: |
+ *       The new member gets the invite's role, lowered to one below its creator's current role if needed.
+ *       Codes stop working once their creator can no longer manage invites.
+ *     tags: [Group Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Joined group successfully
+ *       403:
+ *         description: Banned from the group, or the group has no owner
+ *       404:
+ *         description: Invite not found
+ *       409:
+ *         description: Already a member
+ *       410:
+ *         description: Invite revoked, expired or used up, or its creator can no longer manage invites
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/join/:code', authenticateToken, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const userId = req.user.id;
+
+    await client.query('BEGIN');
+
+    // Lock the invite so concurrent redemptions cannot exceed max_uses
+    const inviteRes = await client.query(
+      `SELECT i.id, i.group_id, i.role, i.max_uses, i.uses_count, i.created_by,
+              i.revoked_at IS NOT NULL AS is_revoked,
+              i.expires_at IS NOT NULL AND i.expires_at <= CURRENT_TIMESTAMP AS is_expired,
+              g.name, g.owner_id
+       FROM group_invites i
+       JOIN groups g ON i.group_id = g.id
+       WHERE i.code = $1
+       FOR UPDATE OF i`,
+      [req.params.code]
+    );
+
+    if (inviteRes.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, message: 'Invite not found' });
+    }
+
+    const invite = inviteRes.rows[0];
+    if (invite.owner_id === null) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ success: false, message: 'This group has no owner and cannot be joined' });
+    }
+
+    const unusable = invite.is_revoked ? 'Invite has been revoked'
+      : invite.is_expired ? 'Invite has expired'
+        : invite.max_uses !== null && invite.uses_count >= invite.max_uses ? 'Invite has reached its maximum number of uses'
+          : null;
+    if (unusable) {
+      await client.query('ROLLBACK');
+      return res.status(410).json({ success: false, message: unusable });
+    }
+
+    // Invites only work while their creator can still manage invites, and grant no
+    // more than the creator could grant today (e.g. after handing over ownership)
+    const creatorRole = await getGroupRole(invite.group_id, invite.created_by, client);
+    if (!hasGroupPermission(creatorRole, 'manageInvites')) {
+      await client.query('ROLLBACK');
+      return res.status(410).json({ success: false, message: 'Invite is no longer valid' });
+    }
+    const role = outranks(creatorRole, invite.role)
+      ? invite.role
+      : ASSIGNABLE_GROUP_ROLES.filter((assignable) => outranks(creatorRole, assignable)).pop();
+
+    const ban = await getActiveGroupBan(invite.group_id, userId, client);
+    if (ban) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ success: false, message: bannedMessage(ban) });
+    }
+
+    const insertRes = await client.query(
+      'INSERT INTO group_members (group_id, user_id, role) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING',
+      [invite.group_id, userId, role]
+    );
+    if (insertRes.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ success: false, message: 'Already a member of this group' });
+    }
+
+    await client.query('UPDATE groups SET members_count = members_count + 1 WHERE id = $1', [invite.group_id]);
+    await client.query('UPDATE group_invites SET uses_count = uses_count + 1 WHERE id = $1', [invite.id]);
+    await client.query(
+      'INSERT INTO group_invite_uses (invite_id, user_id) VALUES ($1, $2) ON CONFLICT (invite_id, user_id) DO UPDATE SET used_at = CURRENT_TIMESTAMP',
+      [invite.id, userId]
+    );
+
+    // Joining by invite settles a pending join request
+    await client.query(
+      `UPDATE group_join_requests SET status = 'approved', reviewed_by = $3, responded_at = CURRENT_TIMESTAMP
+       WHERE group_id = $1 AND user_id = $2 AND status = 'pending'`,
+      [invite.group_id, userId, invite.created_by]
+    );
+
+    const notificationIds = await createNotification({ userId: invite.owner_id, actorId: userId, type: 'group_join', groupId: invite.group_id }, client);
+
+    await client.query('COMMIT');
+    await publishNotifications(notificationIds);
+
+    res.json({ success: true, message: 'Joined group', data: { group: { id: invite.group_id, name: invite.name }, role } });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Redeem invite error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// Add member (admins and owner)
+/**
+ * @swagger
+ * /api/groups/{groupId}/members:
+ *   post:
+ *     summary: Add a member to group (admins and owner)
+ *     tags: [Group Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [userId]
+ *             properties:
+ *               userId:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Member added successfully
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Not authorized
+ *       409:
+ *         description: User is banned from the group
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:groupId/members', authenticateToken, requireGroupPermission('addMembers'), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { groupId } = req.params;
+    const { userId: newUserId } = req.body; // expects numeric userId
+    const userId = req.user.id;
+
+    if (!newUserId) {
+      return res.status(400).json({ success: false, message: 'userId is required' });
+    }
+
+    if (await getActiveGroupBan(groupId, newUserId, client)) {
+      return res.status(409).json({ success: false, message: 'User is banned from this group; unban them first' });
+    }
+
+    await client.query('BEGIN');
+    const insertRes = await client.query(
+      'INSERT INTO group_members (group_id, user_id, role) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING',
+      [groupId, newUserId, 'member']
+    );
+
+    let notificationIds = [];
+    if (insertRes.rowCount > 0) {
+      await client.query('UPDATE groups SET members_count = members_count + 1 WHERE id = $1', [groupId]);
+      notificationIds = await createNotification({ userId: parseInt(newUserId, 10), actorId: userId, type: 'group_add', groupId: parseInt(groupId, 10) }, client);
+    }
+
+    // Adding someone settles their pending join request
+    await client.query(
+      `UPDATE group_join_requests SET status = 'approved', reviewed_by = $3, responded_at = CURRENT_TIMESTAMP
+       WHERE group_id = $1 AND user_id = $2 AND status = 'pending'`,
+      [groupId, newUserId, userId]
+    );
+
+    await client.query('COMMIT');
+    await publishNotifications(notificationIds);
+
+    res.status(201).json({ success: true, message: 'Member added' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Add member error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// Remove member
+/**
+ * @swagger
+ * /api/groups/{groupId}/members/{memberId}:
+ *   delete:
+ *     summary: Remove a member from group (self, or a moderator or above removing a lower role)
+ *     description: |
+ *       When the owner leaves, the longest-standing admin (or else the longest-standing member) becomes the owner
+ *       and is notified. The owner cannot leave while they are the only member; delete the group instead.
+ *       (If the last member's account is deleted, the group is kept read-only without an owner and can no longer be joined.)
+ *     tags: [Group Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: memberId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Member removed successfully
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Member not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:groupId/members/:memberId', authenticateToken, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { groupId, memberId } = req.params;
+    const userId = req.user.id;
+
+    const role = await getGroupRole(groupId, userId, client);
+    const isSelf = parseInt(memberId, 10) === userId;
+
+    // Members can leave; removing someone else needs the permission and a higher role than theirs
+    if (!isSelf) {
+      const memberRole = await getGroupRole(groupId, memberId, client);
+      if (!hasGroupPermission(role, 'removeMembers') || (memberRole && !outranks(role, memberRole))) {
+        return res.status(403).json({ success: false, message: 'Not authorized to remove this member' });
+      }
+    }
+
+    await client.query('BEGIN');
+
+    // Lock the group so the owner's successor is picked from an up-to-date member list
+    const groupRes = await client.query('SELECT id FROM groups WHERE id = $1 FOR UPDATE', [groupId]);
+    if (groupRes.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, message: 'Group not found' });
+    }
+
+    if (isSelf && role === 'owner') {
+      const othersRes = await client.query('SELECT 1 FROM group_members WHERE group_id = $1 AND user_id <> $2 LIMIT 1', [groupId, userId]);
+      if (othersRes.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ success: false, message: 'You are the only member of this group; delete it instead' });
+      }
+    }
+
+    // Deleting the owner's membership promotes a successor (see promote_group_successor in config/database.js)
+    const delRes = await client.query('DELETE FROM group_members WHERE group_id = $1 AND user_id = $2', [groupId, memberId]);
+    if (delRes.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, message: 'Member not found' });
+    }
+
+    const countRes = await client.query(
+      'UPDATE groups SET members_count = GREATEST(members_count - 1, 0) WHERE id = $1 RETURNING owner_id',
+      [groupId]
+    );
+
+    let notificationIds = [];
+    if (isSelf && role === 'owner') {
+      notificationIds = await createNotification({ userId: countRes.rows[0].owner_id, actorId: userId, type: 'group_ownership_inherited', groupId: parseInt(groupId, 10) }, client);
+    }
+
+    await client.query('COMMIT');
+    await publishNotifications(notificationIds);
+
+    res.json({ success: true, message: 'Member removed' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Remove member error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// Change a member's role
+/**
+ * @swagger
+ * /api/groups/{groupId}/members/{memberId}/role:
+ *   put:
+ *     summary: Promote or demote a member (admins and owner)
+ *     description: |
+ *       Roles rank owner > admin > moderator > member. You can only change the role of members ranked below you,
+ *       and only to a role below your own, so admins manage moderators and members while the owner also manages admins.
+ *     tags: [Group Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: memberId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [role]
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [member, moderator, admin]
+ *     responses:
+ *       200:
+ *         description: Member role updated successfully
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Member not found
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:groupId/members/:memberId/role', authenticateToken, requireGroupPermission('manageRoles'), updateMemberRoleValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { groupId, memberId } = req.params;
+    const { role } = req.body;
+
+    const memberRole = await getGroupRole(groupId, memberId);
+    if (!memberRole) {
+      return res.status(404).json({ success: false, message: 'Member not found' });
+    }
+
+    if (!outranks(req.groupRole, memberRole) || !outranks(req.groupRole, role)) {
+      return res.status(403).json({ success: false, message: 'Not authorized to change this member\'s role' });
+    }
+
+    const updateRes = await pool.query(
+      'UPDATE group_members SET role = $1 WHERE group_id = $2 AND user_id = $3 RETURNING user_id, role, joined_at',
+      [role, groupId, memberId]
+    );
+
+    res.json({ success: true, message: 'Member role updated', data: { member: updateRes.rows[0] } });
+  } catch (error) {
+    console.error('Update member role error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// Ownership transfer (the owner offers ownership to a member, who has to accept it)
+/**
+ * @swagger
+ * /api/groups/{groupId}/ownership-transfer:
+ *   post:
+ *     summary: Offer group ownership to a member (owner only)
+ *     description: |
+ *       The member is notified and becomes the owner once they accept; the current owner then becomes an admin.
+ *       A new offer replaces any pending one.
+ *     tags: [Group Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [userId]
+ *             properties:
+ *               userId:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Ownership transfer offered
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Member not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:groupId/ownership-transfer', authenticateToken, requireGroupPermission('transferOwnership'), transferOwnershipValidation, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { groupId } = req.params;
+    const newOwnerId = parseInt(req.body.userId, 10);
+    const userId = req.user.id;
+
+    if (newOwnerId === userId) {
+      return res.status(400).json({ success: false, message: 'You already own this group' });
+    }
+
+    if (!(await getGroupRole(groupId, newOwnerId, client))) {
+      return res.status(404).json({ success: false, message: 'Member not found' });
+    }
+
+    await client.query('BEGIN');
+    await client.query(
+      `UPDATE group_ownership_transfers SET status = 'cancelled', responded_at = CURRENT_TIMESTAMP
+       WHERE group_id = $1 AND status = 'pending'`,
+      [groupId]
+    );
+
+    const transferRes = await client.query(
+      `INSERT INTO group_ownership_transfers (group_id, from_user_id, to_user_id)
+       VALUES ($1, $2, $3)
+       RETURNING id, group_id, from_user_id, to_user_id, status, created_at`,
+      [groupId, userId, newOwnerId]
+    );
+
+    const notificationIds = await createNotification({ userId: newOwnerId, actorId: userId, type: 'group_ownership_offer', groupId: parseInt(groupId, 10) }, client);
+
+    await client.query('COMMIT');
+    await publishNotifications(notificationIds);
+
+    res.status(201).json({ success: true, message: 'Ownership transfer offered', data: { transfer: transferRes.rows[0] } });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Offer ownership transfer error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/ownership-transfer:
+ *   delete:
+ *     summary: Cancel a pending ownership transfer (owner only)
+ *     tags: [Group Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Ownership transfer cancelled
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: No pending ownership transfer
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:groupId/ownership-transfer', authenticateToken, requireGroupPermission('transferOwnership'), async (req, res) => {
+  try {
+    const cancelRes = await pool.query(
+      `UPDATE group_ownership_transfers SET status = 'cancelled', responded_at = CURRENT_TIMESTAMP
+       WHERE group_id = $1 AND status = 'pending'`,
+      [req.params.groupId]
+    );
+    if (cancelRes.rowCount === 0) {
+      return res.status(404).json({ success: false, message: 'No pending ownership transfer' });
+    }
+
+    res.json({ success: true, message: 'Ownership transfer cancelled' });
+  } catch (error) {
+    console.error('Cancel ownership transfer error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/ownership-transfer/accept:
+ *   post:
+ *     summary: Accept ownership of a group offered to you
+ *     description: You become the owner and the previous owner, who is notified, becomes an admin.
+ *     tags: [Group Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Ownership transferred
+ *       404:
+ *         description: No pending ownership transfer for you
+ *       409:
+ *         description: The offer is no longer valid
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:groupId/ownership-transfer/accept', authenticateToken, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { groupId } = req.params;
+    const userId = req.user.id;
+
+    await client.query('BEGIN');
+
+    const groupRes = await client.query('SELECT id, owner_id FROM groups WHERE id = $1 FOR UPDATE', [groupId]);
+    const transferRes = await client.query(
+      `SELECT id, from_user_id FROM group_ownership_transfers
+       WHERE group_id = $1 AND to_user_id = $2 AND status = 'pending'`,
+      [groupId, userId]
+    );
+
+    if (groupRes.rows.length === 0 || transferRes.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, message: 'No pending ownership transfer' });
+    }
+
+    const transfer = transferRes.rows[0];
+
+    // The offer lapses if ownership changed hands or the recipient left since it was made
+    if (groupRes.rows[0].owner_id !== transfer.from_user_id || !(await getGroupRole(groupId, userId, client))) {
+      await client.query(
+        `UPDATE group_ownership_transfers SET status = 'cancelled', responded_at = CURRENT_TIMESTAMP WHERE id = $1`,
+        [transfer.id]
+      );
+      await client.query('COMMIT');
+      return res.status(409).json({ success: false, message: 'This ownership transfer is no longer valid' });
+    }
+
+    await client.query(
+      `UPDATE group_members SET role = CASE WHEN user_id = $2 THEN 'owner' ELSE 'admin' END
+       WHERE group_id = $1 AND user_id IN ($2, $3)`,
+      [groupId, userId, transfer.from_user_id]
+    );
+    const updatedGroupRes = await client.query(
+      `UPDATE groups SET owner_id = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2
+       RETURNING id, name, description, is_private, requires_post_approval, owner_id, members_count, created_at, updated_at`,
+      [userId, groupId]
+    );
+    await client.query(
+      `UPDATE group_ownership_transfers SET status = 'accepted', responded_at = CURRENT_TIMESTAMP WHERE id = $1`,
+      [transfer.id]
+    );
+
+    const notificationIds = await createNotification({ userId: transfer.from_user_id, actorId: userId, type: 'group_ownership_accepted', groupId: parseInt(groupId, 10) }, client);
+
+    await client.query('COMMIT');
+    await publishNotifications(notificationIds);
+
+    res.json({ success: true, message: 'Ownership transferred', data: { group: updatedGroupRes.rows[0] } });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Accept ownership transfer error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/ownership-transfer/decline:
+ *   post:
+ *     summary: Decline ownership of a group offered to you
+ *     tags: [Group Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Ownership transfer declined
+ *       404:
+ *         description: No pending ownership transfer for you
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:groupId/ownership-transfer/decline', authenticateToken, async (req, res) => {
+  try {
+    const declineRes = await pool.query(
+      `UPDATE group_ownership_transfers SET status = 'declined', responded_at = CURRENT_TIMESTAMP
+       WHERE group_id = $1 AND to_user_id = $2 AND status = 'pending'`,
+      [req.params.groupId, req.user.id]
+    );
+    if (declineRes.rowCount === 0) {
+      return res.status(404).json({ success: false, message: 'No pending ownership transfer' });
+    }
+
+    res.json({ success: true, message: 'Ownership transfer declined' });
+  } catch (error) {
+    console.error('Decline ownership transfer error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// Bans (moderators and above ban; admins and owner list and lift bans)
+/**
+ * @swagger
+ * /api/groups/{groupId}/bans:
+ *   post:
+ *     summary: Ban a user from the group (moderators and above)
+ *     description: |
+ *       Removes the user from the group if they are a member (they must be ranked below you) and rejects their
+ *       pending join request. Banned users cannot join, redeem invites or post until the ban is lifted or expires.
+ *       Banning an already banned user replaces the ban.
+ *     tags: [Group Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [userId]
+ *             properties:
+ *               userId:
+ *                 type: integer
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *               durationHours:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 8760
+ *                 description: Hours until the ban is lifted (permanent when omitted)
+ *     responses:
+ *       201:
+ *         description: User banned
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:groupId/bans', authenticateToken, requireGroupPermission('banMembers'), banMemberValidation, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { groupId } = req.params;
+    const { reason, durationHours } = req.body;
+    const bannedUserId = parseInt(req.body.userId, 10);
+    const userId = req.user.id;
+
+    if (bannedUserId === userId) {
+      return res.status(400).json({ success: false, message: 'You cannot ban yourself' });
+    }
+
+    const userRes = await client.query('SELECT id FROM users WHERE id = $1', [bannedUserId]);
+    if (userRes.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    await client.query('BEGIN');
+
+    const memberRole = await getGroupRole(groupId, bannedUserId, client);
+    if (memberRole && !outranks(req.groupRole, memberRole)) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ success: false, message: 'Not authorized to ban this member' });
+    }
+
+    if (memberRole) {
+      await client.query('DELETE FROM group_members WHERE group_id = $1 AND user_id = $2', [groupId, bannedUserId]);
+      await client.query('UPDATE groups SET members_count = GREATEST(members_count - 1, 0) WHERE id = $1', [groupId]);
+    }
+
+    const banRes = await client.query(
+      `INSERT INTO group_bans (group_id, user_id, banned_by, reason, expires_at)
+       VALUES ($1, $2, $3, $4, CASE WHEN $5::int IS NULL THEN NULL ELSE CURRENT_TIMESTAMP + $5::int * INTERVAL '1 hour' END)
+       ON CONFLICT (group_id, user_id)
+       DO UPDATE SET banned_by = EXCLUDED.banned_by, reason = EXCLUDED.reason, expires_at = EXCLUDED.expires_at, created_at = CURRENT_TIMESTAMP
+       RETURNING id, group_id, user_id, banned_by, reason, expires_at, created_at`,
+      [groupId, bannedUserId, userId, reason || null, durationHours || null]
+    );
+
+    await client.query(
+      `UPDATE group_join_requests SET status = 'rejected', reviewed_by = $3, responded_at = CURRENT_TIMESTAMP
+       WHERE group_id = $1 AND user_id = $2 AND status = 'pending'`,
+      [groupId, bannedUserId, userId]
+    );
+
+    await client.query('COMMIT');
+
+    res.status(201).json({ success: true, message: 'User banned', data: { ban: banRes.rows[0] } });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Ban member error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/bans:
+ *   get:
+ *     summary: List active bans (admins and owner)
+ *     tags: [Group Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Bans retrieved successfully
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Not authorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:groupId/bans', authenticateToken, requireGroupPermission('manageBans'), paginationValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { groupId } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const bansRes = await pool.query(
+      `SELECT group_bans.id, group_bans.user_id, group_bans.reason, group_bans.expires_at, group_bans.created_at,
+              u.username, u.full_name, u.profile_picture_url,
+              group_bans.banned_by, b.username AS banned_by_username
+       FROM group_bans
+       JOIN users u ON group_bans.user_id = u.id
+       LEFT JOIN users b ON group_bans.banned_by = b.id
+       WHERE group_bans.group_id = $1 AND ${ACTIVE_BAN}
+       ORDER BY group_bans.created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [groupId, limit, offset]
+    );
+
+    res.json({ success: true, data: { bans: bansRes.rows } });
+  } catch (error) {
+    console.error('List bans error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/bans/{userId}:
+ *   delete:
+ *     summary: Lift a user's ban (admins and owner)
+ *     tags: [Group Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Ban lifted
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Ban not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:groupId/bans/:userId', authenticateToken, requireGroupPermission('manageBans'), async (req, res) => {
+  try {
+    const { groupId, userId } = req.params;
+
+    const unbanRes = await pool.query(
+      `DELETE FROM group_bans WHERE group_id = $1 AND user_id = $2 AND ${ACTIVE_BAN}`,
+      [groupId, userId]
+    );
+    if (unbanRes.rowCount === 0) {
+      return res.status(404).json({ success: false, message: 'Ban not found' });
+    }
+
+    res.json({ success: true, message: 'Ban lifted' });
+  } catch (error) {
+    console.error('Unban member error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// List group members
+/**
+ * @swagger
+ * /api/groups/{groupId}/members:
+ *   get:
+ *     summary: List group members
+ *     tags: [Group Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Members retrieved successfully
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:groupId/members', authenticateToken, async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { page = 1, limit = 50 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const membersRes = await pool.query(
+      `SELECT gm.user_id, gm.role, gm.joined_at, u.username, u.full_name, u.profile_picture_url
+       FROM group_members gm
+       JOIN users u ON gm.user_id = u.id
+       WHERE gm.group_id = $1
+       ORDER BY gm.joined_at DESC
+       LIMIT $2 OFFSET $3`,
+      [groupId, limit, offset]
+    );
+
+    res.json({ success: true, data: { members: membersRes.rows } });
+  } catch (error) {
+    console.error('List members error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// Group chat endpoints (members only)
+const DEFAULT_MESSAGE_EDIT_WINDOW_MINUTES = 15;
+
+// Whole minutes from the environment; anything else falls back to the default
+const parseEditWindowMinutes = (value) => {
+  if (value === undefined || value === '') return DEFAULT_MESSAGE_EDIT_WINDOW_MINUTES;
+
+  if (!/^\d+$/.test(value.trim())) {
+    console.warn(`⚠️  GROUP_MESSAGE_EDIT_WINDOW_MINUTES must be a whole number of minutes; using ${DEFAULT_MESSAGE_EDIT_WINDOW_MINUTES}`);
+    return DEFAULT_MESSAGE_EDIT_WINDOW_MINUTES;
+  }
+
+  return parseInt(value, 10);
+};
+
+const GROUP_MESSAGE_EDIT_WINDOW_MINUTES = parseEditWindowMinutes(process.env.GROUP_MESSAGE_EDIT_WINDOW_MINUTES);
+
+const GROUP_MESSAGE_SELECT = `
+  SELECT m.id, m.group_id, m.user_id, m.content, m.edited_at, m.created_at, m.updated_at,
+         u.username, u.full_name, u.profile_picture_url
+  FROM group_messages m
+  LEFT JOIN users u ON m.user_id = u.id
+`;
+
+const groupMessageValidation = [
+  body('content').isString().trim().notEmpty().withMessage('Message content is required').isLength({ max: 2000 }).withMessage('Message must be less than 2000 characters')
+];
+
+const listGroupMessagesValidation = [
+  query('cursor').optional().isInt({ min: 1 }).withMessage('Invalid cursor'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/messages:
+ *   post:
+ *     summary: Send a message to the group chat (members only)
+ *     tags: [Group Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [content]
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       201:
+ *         description: Message sent successfully
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Must be a member to send messages
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:groupId/messages', authenticateToken, groupMessageValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { groupId } = req.params;
+    const userId = req.user.id;
+
+    const memberRes = await pool.query('SELECT id FROM group_members WHERE group_id = $1 AND user_id = $2', [groupId, userId]);
+    if (memberRes.rows.length === 0) {
+      return res.status(403).json({ success: false, message: 'Must be a member to send messages' });
+    }
+
+    const insertRes = await pool.query(
+      'INSERT INTO group_messages (group_id, user_id, content) VALUES ($1, $2, $3) RETURNING id',
+      [groupId, userId, req.body.content]
+    );
+
+    const messageRes = await pool.query(`${GROUP_MESSAGE_SELECT} WHERE m.id = $1`, [insertRes.rows[0].id]);
+    const message = messageRes.rows[0];
+
+    await publishEvent(groupChatChannel(message.group_id), 'group.message.created', message, userId);
+
+    res.status(201).json({ success: true, message: 'Message sent', data: { message } });
+  } catch (error) {
+    console.error('Send group message error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/messages:
+ *   get:
+ *     summary: List group chat messages, newest first (members only)
+ *     description: Pass `nextCursor` from the previous page as `cursor` to load older messages. Messages from blocked users are left out.
+ *     tags: [Group Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: integer
+ *         description: Cursor from the previous page
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Messages retrieved successfully
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Must be a member to read messages
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:groupId/messages', authenticateToken, listGroupMessagesValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { groupId } = req.params;
+    const userId = req.user.id;
+    const limit = parseInt(req.query.limit || '50', 10);
+    const cursor = req.query.cursor ? parseInt(req.query.cursor, 10) : null;
+
+    const memberRes = await pool.query('SELECT id FROM group_members WHERE group_id = $1 AND user_id = $2', [groupId, userId]);
+    if (memberRes.rows.length === 0) {
+      return res.status(403).json({ success: false, message: 'Must be a member to read messages' });
+    }
+
+    // Fetch one extra message to know whether there are older ones
+    const messagesRes = await pool.query(
+      `${GROUP_MESSAGE_SELECT}
+       WHERE m.group_id = $1
+         AND ($2::int IS NULL OR m.id < $2)
+         AND NOT EXISTS (
+           SELECT 1 FROM user_blocks b
+           WHERE (b.blocker_id = $3 AND b.blocked_id = m.user_id) OR (b.blocker_id = m.user_id AND b.blocked_id = $3)
+         )
+       ORDER BY m.id DESC
+       LIMIT $4`,
+      [groupId, cursor, userId, limit + 1]
+    );
+
+    const messages = messagesRes.rows.slice(0, limit);
+    const hasMore = messagesRes.rows.length > limit;
+
+    res.json({ success: true, data: { messages, pagination: { limit, nextCursor: hasMore ? messages[messages.length - 1].id : null } } });
+  } catch (error) {
+    console.error('List group messages error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/messages/{messageId}:
+ *   put:
+ *     summary: Edit your own group message
+ *     description: Messages can be edited for 15 minutes after they are sent (GROUP_MESSAGE_EDIT_WINDOW_MINUTES).
+ *     tags: [Group Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [content]
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       200:
+ *         description: Message updated successfully
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Not the author, no longer a member, or the edit window has passed
+ *       404:
+ *         description: Message not found
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:groupId/messages/:messageId', authenticateToken, groupMessageValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { groupId, messageId } = req.params;
+    const userId = req.user.id;
+
+    const memberRes = await pool.query('SELECT id FROM group_members WHERE group_id = $1 AND user_id = $2', [groupId, userId]);
+    if (memberRes.rows.length === 0) {
+      return res.status(403).json({ success: false, message: 'Must be a member to edit messages' });
+    }
+
+    const messageRes = await pool.query(
+      `SELECT user_id, created_at > CURRENT_TIMESTAMP - $3 * INTERVAL '1 minute' AS is_editable
+       FROM group_messages WHERE id = $1 AND group_id = $2`,
+      [messageId, groupId, GROUP_MESSAGE_EDIT_WINDOW_MINUTES]
+    );
+    if (messageRes.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Message not found' });
+    }
+    if (messageRes.rows[0].user_id !== userId) {
+      return res.status(403).json({ success: false, message: 'Not authorized to edit this message' });
+    }
+    if (!messageRes.rows[0].is_editable) {
+      return res.status(403).json({ success: false, message: `Messages can only be edited within ${GROUP_MESSAGE_EDIT_WINDOW_MINUTES} minutes of sending` });
+    }
+
+    await pool.query(
+      'UPDATE group_messages SET content = $1, edited_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [req.body.content, messageId]
+    );
+
+    const updatedRes = await pool.query(`${GROUP_MESSAGE_SELECT} WHERE m.id = $1`, [messageId]);
+    const message = updatedRes.rows[0];
+
+    await publishEvent(groupChatChannel(message.group_id), 'group.message.updated', message, userId);
+
+    res.json({ success: true, message: 'Message updated', data: { message } });
+  } catch (error) {
+    console.error('Update group message error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/messages/{messageId}:
+ *   delete:
+ *     summary: Delete a group message (author, or moderators and above)
+ *     tags: [Group Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Message deleted successfully
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Message not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:groupId/messages/:messageId', authenticateToken, async (req, res) => {
+  try {
+    const { groupId, messageId } = req.params;
+    const userId = req.user.id;
+
+    const messageRes = await pool.query('SELECT id, user_id FROM group_messages WHERE id = $1 AND group_id = $2', [messageId, groupId]);
+    if (messageRes.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Message not found' });
+    }
+
+    // Check if author or moderator
+    if (messageRes.rows[0].user_id !== userId && !hasGroupPermission(await getGroupRole(groupId, userId), 'deleteContent')) {
+      return res.status(403).json({ success: false, message: 'Not authorized to delete this message' });
+    }
+
+    await pool.query('DELETE FROM group_messages WHERE id = $1', [messageId]);
+
+    await publishEvent(groupChatChannel(parseInt(groupId, 10)), 'group.message.deleted', { groupId: parseInt(groupId, 10), messageId: messageRes.rows[0].id }, userId);
+
+    res.json({ success: true, message: 'Message deleted' });
+  } catch (error) {
+    console.error('Delete group message error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// Group post endpoints using posts table
+/**
+ * @swagger
+ * /api/groups/{groupId}/posts:
+ *   post:
+ *     summary: Create a post in the group
+ *     tags: [Group Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               caption:
+ *                 type: string
+ *                 description: Post caption (optional)
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *                 description: Image or video file (optional)
+ *               images:
+ *                 type: array
+ *                 maxItems: 10
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *                 description: Carousel images and videos in display order (optional)
+ *               altText:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Alt text for each media item, in the same order
+ *     responses:
+ *       201:
+ *         description: Post created, or submitted for review when the group requires post approval
+ *       400:
+ *         description: Validation failed, more than 10 items, or a file too large or too long
+ *       403:
+ *         description: Must be a member to post, banned from the group, or email address not verified
+ *       500:
+ *         description: Internal server error
+ */
+const { mediaUpload, cleanupTempFiles, handleMediaUploadError } = require('../middleware/upload');
+const {
+  MAX_MEDIA_ITEMS,
+  collectMediaFiles,
+  normalizeAltTexts,
+  uploadPostMedia,
+  deleteUploadedMedia,
+  savePostMedia,
+  getCoverUrl,
+  getPostMedia,
+  getPostMediaPublicIds
+} = require('../utils/postMedia');
+const { syncPostHashtags } = require('../utils/hashtags');
+const { syncMentions, getPostMentions } = require('../utils/mentions');
+
+router.post('/:groupId/posts', authenticateToken, requireVerified, cleanupTempFiles, mediaUpload.fields([{ name: 'image', maxCount: 1 }, { name: 'images', maxCount: MAX_MEDIA_ITEMS }]), handleMediaUploadError, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { groupId } = req.params;
+    const { caption, altText } = req.body;
+    const userId = req.user.id;
+
+    const ban = await getActiveGroupBan(groupId, userId, client);
+    if (ban) {
+      return res.status(403).json({ success: false, message: bannedMessage(ban) });
+    }
+
+    // Check member
+    const role = await getGroupRole(groupId, userId, client);
+    if (!role) {
+      return res.status(403).json({ success: false, message: 'Must be a member to post' });
+    }
+
+    // Posts by members below moderator wait in the review queue when the group requires approval
+    const groupRes = await client.query('SELECT requires_post_approval FROM groups WHERE id = $1', [groupId]);
+    const needsReview = groupRes.rows[0].requires_post_approval && !hasGroupPermission(role, 'reviewPosts');
+
+    const files = collectMediaFiles(req.files);
+    if (files.length > MAX_MEDIA_ITEMS) {
+      return res.status(400).json({ success: false, message: `A post can have at most ${MAX_MEDIA_ITEMS} media items` });
+    }
+
+    let uploads = [];
+    if (files.length > 0) {
+      try {
+        uploads = await uploadPostMedia(files, {
+          folder: `fastgram/group_posts/${groupId}`,
+          publicIdPrefix: `group_${groupId}_user_${userId}_${Date.now()}`
+        });
+      } catch (err) {
+        if (err.status === 400) {
+          return res.status(400).json({ success: false, message: err.message });
+        }
+        return res.status(500).json({ success: false, message: 'Media upload failed' });
+      }
+    }
+
+    let post;
+    let media;
+    let notificationIds;
+    try {
+      await client.query('BEGIN');
+      const postRes = await client.query(
+        `INSERT INTO posts (user_id, caption, image_url, group_id, moderation_status)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id, user_id, caption, image_url, group_id, likes_count, comments_count, moderation_status, created_at, updated_at`,
+        [userId, caption || '', getCoverUrl(uploads), groupId, needsReview ? 'pending' : 'approved']
+      );
+      post = postRes.rows[0];
+      media = await savePostMedia(client, post.id, uploads, normalizeAltTexts(altText, uploads.length));
+
+      // Hashtags and mentions of posts awaiting review are indexed when they are approved
+      notificationIds = [];
+      if (!needsReview) {
+        await syncPostHashtags(client, post.id, post.caption);
+        notificationIds = await syncMentions(client, { postId: post.id }, userId, post.caption);
+      }
+      await client.query('COMMIT');
+    } catch (dbError) {
+      await client.query('ROLLBACK');
+      await deleteUploadedMedia(uploads);
+      throw dbError;
+    }
+
+    const mentionsByPost = await getPostMentions([post.id]);
+    const createdPost = { ...post, media, mentions: mentionsByPost.get(post.id) || [] };
+
+    if (needsReview) {
+      return res.status(201).json({ success: true, message: 'Post submitted for review', data: { post: createdPost } });
+    }
+
+    await publishNotifications(notificationIds);
+    await publishEvent(groupChannel(post.group_id), 'group.post.created', createdPost, userId);
+
+    res.status(201).json({ success: true, message: 'Post created', data: { post: createdPost } });
+  } catch (error) {
+    console.error('Create group post error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/posts:
+ *   get:
+ *     summary: List posts in a group
+ *     description: |
+ *       Lists approved posts. Authors also see their own posts that are pending review or were rejected,
+ *       and moderators and above see every pending post. Posts in private groups are only listed for members.
+ *     tags: [Group Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
  *           default: 1
  *       - in: query
  *         name: limit
@@ -638,6 +2253,12 @@ router.post('/:groupId/posts', authenticateToken, upload.single('image'), async
  *     responses:
  *       200:
  *         description: Posts retrieved successfully
+ *       400:
+ *         description: Invalid groupId
+ *       403:
+ *         description: Must be a member to view posts in a private group
+ *       404:
+ *         description: Group not found
  *       500:
  *         description: Internal server error
  */
@@ -658,18 +2279,35 @@ router.get('/:groupId/posts', authenticateToken, async (req, res) => {
     const safeLimit = Number.isNaN(limit) || limit < 1 ? 20 : limit;
     const offset = (safePage - 1) * safeLimit;
 
+    const groupRes = await pool.query('SELECT is_private FROM groups WHERE id = $1', [groupId]);
+    if (groupRes.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Group not found' });
+    }
+
+    const role = await getGroupRole(groupId, req.user.id);
+    if (groupRes.rows[0].is_private && !role) {
+      return res.status(403).json({ success: false, message: 'Must be a member to view posts in a private group' });
+    }
+
+    const canReview = hasGroupPermission(role, 'reviewPosts');
+
     const postsRes = await pool.query(
-      `SELECT p.id, p.user_id, p.caption, p.image_url, p.group_id, p.likes_count, p.comments_count, p.created_at, p.updated_at,
+      `SELECT p.id, p.user_id, p.caption, p.image_url, p.group_id, p.likes_count, p.comments_count,
+              p.moderation_status, p.moderation_reason, p.created_at, p.updated_at,
               u.username, u.full_name, u.profile_picture_url
        FROM posts p
        LEFT JOIN users u ON p.user_id = u.id
        WHERE p.group_id = $1
+         AND (p.moderation_status = 'approved' OR p.user_id = $4 OR ($5 AND p.moderation_status = 'pending'))
        ORDER BY p.created_at DESC
        LIMIT $2 OFFSET $3`,
-      [groupId, safeLimit, offset]
+      [groupId, safeLimit, offset, req.user.id, canReview]
     );
 
-    res.json({ success: true, data: { posts: postsRes.rows } });
+    const mediaByPost = await getPostMedia(postsRes.rows.map((post) => post.id));
+    const mentionsByPost = await getPostMentions(postsRes.rows.map((post) => post.id));
+
+    res.json({ success: true, data: { posts: postsRes.rows.map((post) => ({ ...post, media: mediaByPost.get(post.id) || [], mentions: mentionsByPost.get(post.id) || [] })) } });
   } catch (error) {
     console.error('List group posts error:', error);
     res.status(500).json({ success: false, message: 'Internal server error' });
@@ -680,7 +2318,7 @@ router.get('/:groupId/posts', authenticateToken, async (req, res) => {
  * @swagger
  * /api/groups/{groupId}/posts/{postId}:
  *   delete:
- *     summary: Delete a group post (author or admin)
+ *     summary: Delete a group post (author, or moderators and above)
  *     tags: [Group Management]
  *     security:
  *       - bearerAuth: []
@@ -718,27 +2356,16 @@ router.delete('/:groupId/posts/:postId', authenticateToken, async (req, res) =>
     }
     const post = postRes.rows[0];
 
-    // Check if author or admin
-    let isAdmin = false;
-    if (post.user_id !== userId) {
-      const adminRes = await client.query('SELECT role FROM group_members WHERE group_id = $1 AND user_id = $2', [groupId, userId]);
-      isAdmin = adminRes.rows.length > 0 && adminRes.rows[0].role === 'admin';
-      if (!isAdmin) {
-        return res.status(403).json({ success: false, message: 'Not authorized to delete this post' });
-      }
+    // Check if author or moderator
+    if (post.user_id !== userId && !hasGroupPermission(await getGroupRole(groupId, userId, client), 'deleteContent')) {
+      return res.status(403).json({ success: false, message: 'Not authorized to delete this post' });
     }
 
+    const media = await getPostMediaPublicIds(post.id);
     await client.query('DELETE FROM posts WHERE id = $1', [postId]);
 
-    // Delete image from Cloudinary if present
-    if (post.image_url) {
-      try {
-        const publicId = extractPublicId(post.image_url);
-        if (publicId) await deleteFromCloudinary(publicId);
-      } catch (err) {
-        // Ignore image deletion errors
-      }
-    }
+    // Delete images from Cloudinary (errors are logged and ignored)
+    await deleteUploadedMedia(media);
 
     res.json({ success: true, message: 'Post deleted' });
   } catch (error) {
@@ -749,6 +2376,224 @@ router.delete('/:groupId/posts/:postId', authenticateToken, async (req, res) =>
   }
 });
 
+// Post moderation queue (moderators and above); authors are notified of the decision
+const reviewPostValidation = [
+  body('reason').optional({ values: 'null' }).isString().trim().isLength({ max: 500 }).withMessage('Reason must be less than 500 characters')
+];
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/pending-posts:
+ *   get:
+ *     summary: List posts waiting for review (moderators and above)
+ *     description: Oldest posts first.
+ *     tags: [Group Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Pending posts retrieved successfully
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Not authorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:groupId/pending-posts', authenticateToken, requireGroupPermission('reviewPosts'), paginationValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { groupId } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const postsRes = await pool.query(
+      `SELECT p.id, p.user_id, p.caption, p.image_url, p.group_id, p.moderation_status, p.created_at, p.updated_at,
+              u.username, u.full_name, u.profile_picture_url
+       FROM posts p
+       LEFT JOIN users u ON p.user_id = u.id
+       WHERE p.group_id = $1 AND p.moderation_status = 'pending'
+       ORDER BY p.created_at ASC
+       LIMIT $2 OFFSET $3`,
+      [groupId, limit, offset]
+    );
+
+    const mediaByPost = await getPostMedia(postsRes.rows.map((post) => post.id));
+
+    res.json({ success: true, data: { posts: postsRes.rows.map((post) => ({ ...post, media: mediaByPost.get(post.id) || [] })) } });
+  } catch (error) {
+    console.error('List pending posts error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// Approve or reject a pending post; approving publishes it (hashtags, mentions and live update)
+const reviewGroupPost = (approved) => async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { groupId, postId } = req.params;
+    const reason = (req.body && req.body.reason) || null;
+    const userId = req.user.id;
+
+    await client.query('BEGIN');
+    const postRes = await client.query(
+      `UPDATE posts SET moderation_status = $1, moderation_reason = $2, moderated_by = $3, moderated_at = CURRENT_TIMESTAMP
+       WHERE id = $4 AND group_id = $5 AND moderation_status = 'pending'
+       RETURNING id, user_id, caption, image_url, group_id, likes_count, comments_count, moderation_status, moderation_reason, created_at, updated_at`,
+      [approved ? 'approved' : 'rejected', reason, userId, postId, groupId]
+    );
+
+    if (postRes.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, message: 'Pending post not found' });
+    }
+
+    const post = postRes.rows[0];
+
+    let notificationIds = [];
+    if (approved) {
+      await syncPostHashtags(client, post.id, post.caption);
+      notificationIds = await syncMentions(client, { postId: post.id }, post.user_id, post.caption);
+    }
+
+    notificationIds.push(...await createNotification({
+      userId: post.user_id,
+      actorId: userId,
+      type: approved ? 'group_post_approved' : 'group_post_rejected',
+      postId: post.id,
+      groupId: post.group_id
+    }, client));
+
+    await client.query('COMMIT');
+    await publishNotifications(notificationIds);
+
+    if (approved) {
+      const mediaByPost = await getPostMedia([post.id]);
+      const mentionsByPost = await getPostMentions([post.id]);
+      await publishEvent(groupChannel(post.group_id), 'group.post.created', { ...post, media: mediaByPost.get(post.id) || [], mentions: mentionsByPost.get(post.id) || [] }, post.user_id);
+    }
+
+    res.json({ success: true, message: approved ? 'Post approved' : 'Post rejected', data: { post } });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Review group post error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/posts/{postId}/approve:
+ *   post:
+ *     summary: Approve a pending post (moderators and above)
+ *     description: Publishes the post and notifies its author.
+ *     tags: [Group Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Post approved
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Pending post not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:groupId/posts/:postId/approve', authenticateToken, requireGroupPermission('reviewPosts'), reviewPostValidation, reviewGroupPost(true));
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/posts/{postId}/reject:
+ *   post:
+ *     summary: Reject a pending post (moderators and above)
+ *     description: The post stays visible only to its author, who is notified with the reason.
+ *     tags: [Group Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Post rejected
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Pending post not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:groupId/posts/:postId/reject', authenticateToken, requireGroupPermission('reviewPosts'), reviewPostValidation, reviewGroupPost(false));
+
 module.exports = router;
 
 // Get groups for a user (groups the user is a member of)
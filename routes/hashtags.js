@@ -0,0 +1,308 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const pool = require('../config/database');
+const { optionalAuth } = require('../middleware/auth');
+const { getPostMedia } = require('../utils/postMedia');
+const { normalizeHashtag } = require('../utils/hashtags');
+const { getPostMentions } = require('../utils/mentions');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Hashtags
+ *   description: Hashtag details and hashtag feeds
+ */
+
+// Validation rules
+const hashtagValidation = [
+  param('tag')
+    .custom((value) => normalizeHashtag(value) !== null)
+    .withMessage('Invalid hashtag')
+];
+
+const hashtagPostsValidation = [
+  ...hashtagValidation,
+  query('tab')
+    .optional()
+    .isIn(['top', 'recent'])
+    .withMessage('Tab must be top or recent'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+];
+
+// Posts the viewer ($2) may see: active authors, no block in either direction, private
+// accounts only for the owner and followers, private groups only for members
+const VISIBLE_POST_CONDITIONS = `
+  u.is_active = true
+  AND p.moderation_status = 'approved'
+  AND NOT EXISTS (
+    SELECT 1 FROM user_blocks b
+    WHERE (b.blocker_id = $2 AND b.blocked_id = p.user_id) OR (b.blocker_id = p.user_id AND b.blocked_id = $2)
+  )
+  AND (
+    p.group_id IS NOT NULL
+    OR u.is_private = false
+    OR p.user_id = $2
+    OR EXISTS (SELECT 1 FROM followers f WHERE f.follower_id = $2 AND f.following_id = p.user_id)
+  )
+  AND (
+    p.group_id IS NULL
+    OR EXISTS (SELECT 1 FROM groups g WHERE g.id = p.group_id AND g.is_private = false)
+    OR EXISTS (SELECT 1 FROM group_members gm WHERE gm.group_id = p.group_id AND gm.user_id = $2)
+  )
+`;
+
+const ORDER_BY_TAB = {
+  top: '(p.likes_count + 2 * p.comments_count) DESC, p.created_at DESC',
+  recent: 'p.created_at DESC'
+};
+
+/**
+ * @swagger
+ * /api/hashtags/{tag}:
+ *   get:
+ *     summary: Get a hashtag and how many posts use it
+ *     tags: [Hashtags]
+ *     parameters:
+ *       - in: path
+ *         name: tag
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Hashtag, with or without the leading '#' (case-insensitive)
+ *         example: sunset
+ *     responses:
+ *       200:
+ *         description: Hashtag retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     hashtag:
+ *                       $ref: '#/components/schemas/Hashtag'
+ *       400:
+ *         description: Invalid hashtag
+ *       404:
+ *         description: Hashtag not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:tag', hashtagValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const name = normalizeHashtag(req.params.tag);
+
+    const result = await pool.query(
+      `SELECT h.id, h.name, h.created_at,
+              (SELECT COUNT(*) FROM post_hashtags ph WHERE ph.hashtag_id = h.id) as posts_count
+       FROM hashtags h
+       WHERE h.name = $1`,
+      [name]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Hashtag not found'
+      });
+    }
+
+    const hashtag = result.rows[0];
+
+    res.json({
+      success: true,
+      data: {
+        hashtag: {
+          id: hashtag.id,
+          name: hashtag.name,
+          postsCount: parseInt(hashtag.posts_count),
+          createdAt: hashtag.created_at
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get hashtag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/hashtags/{tag}/posts:
+ *   get:
+ *     summary: Get posts with a hashtag
+ *     description: The top tab ranks posts by likes and comments; the recent tab lists the newest first. Posts the viewer may not see (private accounts they do not follow, private groups they are not in, blocked users) are left out.
+ *     tags: [Hashtags]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     parameters:
+ *       - in: path
+ *         name: tag
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Hashtag, with or without the leading '#' (case-insensitive)
+ *       - in: query
+ *         name: tab
+ *         schema:
+ *           type: string
+ *           enum: [top, recent]
+ *           default: top
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 50
+ *         description: Posts per page
+ *     responses:
+ *       200:
+ *         description: Posts retrieved successfully
+ *       400:
+ *         description: Validation failed
+ *       404:
+ *         description: Hashtag not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:tag/posts', optionalAuth, hashtagPostsValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const name = normalizeHashtag(req.params.tag);
+    const tab = req.query.tab || 'top';
+    const page = parseInt(req.query.page || '1', 10);
+    const limit = parseInt(req.query.limit || '20', 10);
+    const offset = (page - 1) * limit;
+    const viewerId = req.user ? req.user.id : null;
+
+    const hashtagResult = await pool.query(
+      'SELECT id, name FROM hashtags WHERE name = $1',
+      [name]
+    );
+
+    if (hashtagResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Hashtag not found'
+      });
+    }
+
+    const hashtag = hashtagResult.rows[0];
+
+    const postsResult = await pool.query(
+      `SELECT p.*,
+              u.username, u.full_name, u.profile_picture_url, u.is_verified,
+              EXISTS(SELECT 1 FROM likes WHERE post_id = p.id AND user_id = $2) as is_liked
+       FROM post_hashtags ph
+       JOIN posts p ON p.id = ph.post_id
+       JOIN users u ON p.user_id = u.id
+       WHERE ph.hashtag_id = $1
+         AND ${VISIBLE_POST_CONDITIONS}
+       ORDER BY ${ORDER_BY_TAB[tab]}
+       LIMIT $3 OFFSET $4`,
+      [hashtag.id, viewerId, limit, offset]
+    );
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) as count
+       FROM post_hashtags ph
+       JOIN posts p ON p.id = ph.post_id
+       JOIN users u ON p.user_id = u.id
+       WHERE ph.hashtag_id = $1
+         AND ${VISIBLE_POST_CONDITIONS}`,
+      [hashtag.id, viewerId]
+    );
+
+    const mediaByPost = await getPostMedia(postsResult.rows.map(post => post.id));
+    const mentionsByPost = await getPostMentions(postsResult.rows.map(post => post.id));
+
+    const posts = postsResult.rows.map(post => ({
+      id: post.id,
+      userId: post.user_id,
+      groupId: post.group_id,
+      caption: post.caption,
+      imageUrl: post.image_url,
+      media: mediaByPost.get(post.id) || [],
+      mentions: mentionsByPost.get(post.id) || [],
+      likesCount: post.likes_count,
+      commentsCount: post.comments_count,
+      isLiked: post.is_liked,
+      createdAt: post.created_at,
+      updatedAt: post.updated_at,
+      user: {
+        username: post.username,
+        fullName: post.full_name,
+        profilePictureUrl: post.profile_picture_url,
+        isVerified: post.is_verified
+      }
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        hashtag: {
+          id: hashtag.id,
+          name: hashtag.name
+        },
+        tab,
+        posts,
+        pagination: {
+          page,
+          limit,
+          totalPosts: parseInt(countResult.rows[0].count),
+          totalPages: Math.ceil(countResult.rows[0].count / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get hashtag posts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
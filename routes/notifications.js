@@ -0,0 +1,321 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const pool = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  formatNotification,
+  NOTIFICATION_SELECT,
+  HIDE_BLOCKED_ACTORS,
+  getUnreadCount
+} = require('../utils/notifications');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Notifications
+ *   description: Activity notifications (likes, comments, mentions, follows, group joins and join requests)
+ */
+
+// Cursors are opaque to clients: the sort key and id of the last notification returned
+const encodeCursor = (row) => Buffer.from(JSON.stringify([row.sort_key, row.id])).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const [sortKey, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof sortKey !== 'string' || Number.isNaN(Date.parse(sortKey)) || !Number.isInteger(id)) {
+      return null;
+    }
+    return { sortKey, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Validation rules
+const listNotificationsValidation = [
+  query('cursor')
+    .optional()
+    .custom((value) => decodeCursor(value) !== null)
+    .withMessage('Invalid cursor'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+  query('unread')
+    .optional()
+    .isBoolean()
+    .withMessage('Unread must be true or false')
+];
+
+const notificationIdValidation = [
+  param('notificationId')
+    .isInt({ min: 1 })
+    .withMessage('Notification ID must be a positive integer')
+];
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: List the current user's notifications, newest activity first
+ *     description: Likes on the same post are grouped into one notification until it is read. Pass `nextCursor` from the previous page as `cursor` to load more.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Cursor from the previous page
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 50
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only return unread notifications
+ *     responses:
+ *       200:
+ *         description: Notifications retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     notifications:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Notification'
+ *                     unreadCount:
+ *                       type: integer
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         limit:
+ *                           type: integer
+ *                         nextCursor:
+ *                           type: string
+ *                           nullable: true
+ *       400:
+ *         description: Validation failed
+ *       401:
+ *         description: Access token required
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', authenticateToken, listNotificationsValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.user.id;
+    const limit = parseInt(req.query.limit || '20', 10);
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    const unreadOnly = req.query.unread === 'true';
+
+    // Fetch one extra row to know whether there is another page
+    const result = await pool.query(
+      `${NOTIFICATION_SELECT}
+       WHERE n.user_id = $1
+         AND ${HIDE_BLOCKED_ACTORS}
+         AND ($2::boolean = false OR n.is_read = false)
+         AND ($3::timestamp IS NULL OR (n.updated_at, n.id) < ($3::timestamp, $4::int))
+       ORDER BY n.updated_at DESC, n.id DESC
+       LIMIT $5`,
+      [userId, unreadOnly, cursor ? cursor.sortKey : null, cursor ? cursor.id : null, limit + 1]
+    );
+
+    const rows = result.rows.slice(0, limit);
+    const hasMore = result.rows.length > limit;
+
+    res.json({
+      success: true,
+      data: {
+        notifications: rows.map(formatNotification),
+        unreadCount: await getUnreadCount(userId),
+        pagination: {
+          limit,
+          nextCursor: hasMore ? encodeCursor(rows[rows.length - 1]) : null
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/unread-count:
+ *   get:
+ *     summary: Get the number of unread notifications
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Unread count retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     unreadCount:
+ *                       type: integer
+ *       401:
+ *         description: Access token required
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/unread-count', authenticateToken, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        unreadCount: await getUnreadCount(req.user.id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/read-all:
+ *   post:
+ *     summary: Mark all notifications as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notifications marked as read
+ *       401:
+ *         description: Access token required
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/read-all', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'UPDATE notifications SET is_read = true WHERE user_id = $1 AND is_read = false',
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: {
+        markedCount: result.rowCount,
+        unreadCount: 0
+      }
+    });
+
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/{notificationId}/read:
+ *   post:
+ *     summary: Mark a notification as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: notificationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Notification marked as read
+ *       400:
+ *         description: Validation failed
+ *       404:
+ *         description: Notification not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:notificationId/read', authenticateToken, notificationIdValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await pool.query(
+      'UPDATE notifications SET is_read = true WHERE id = $1 AND user_id = $2 RETURNING id',
+      [req.params.notificationId, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification marked as read',
+      data: {
+        unreadCount: await getUnreadCount(req.user.id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
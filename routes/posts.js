@@ -1,12 +1,35 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const pool = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
-const { upload, handleMulterError } = require('../middleware/upload');
-const { uploadToCloudinary, deleteFromCloudinary, extractPublicId } = require('../utils/cloudinaryUpload');
+const { authenticateToken, optionalAuth, requireVerified } = require('../middleware/auth');
+const { mediaUpload, cleanupTempFiles, handleMediaUploadError } = require('../middleware/upload');
+const {
+  MAX_MEDIA_ITEMS,
+  MAX_ALT_TEXT_LENGTH,
+  collectMediaFiles,
+  normalizeAltTexts,
+  uploadPostMedia,
+  deleteUploadedMedia,
+  savePostMedia,
+  getCoverUrl,
+  getPostMedia,
+  getPostMediaPublicIds
+} = require('../utils/postMedia');
+const { isBlocked, canViewUserContent, canViewPost } = require('../utils/visibility');
+const { syncPostHashtags } = require('../utils/hashtags');
+const { syncMentions, getPostMentions, getCommentMentions } = require('../utils/mentions');
+const { createNotification, addToNotificationGroup, removeFromNotificationGroup } = require('../utils/notifications');
+const { postChannel, publishEvent, publishNotifications } = require('../utils/realtime');
 
 const router = express.Router();
 
+// Posts in private groups are only listed to members, the same rule canViewPost applies to a single post
+const visibleGroupCondition = (viewerParam) => `(
+  p.group_id IS NULL
+  OR EXISTS (SELECT 1 FROM groups g WHERE g.id = p.group_id AND g.is_private = false)
+  OR EXISTS (SELECT 1 FROM group_members gm WHERE gm.group_id = p.group_id AND gm.user_id = ${viewerParam})
+)`;
+
 /**
  * @swagger
  * tags:
@@ -19,7 +42,11 @@ const createPostValidation = [
   body('caption')
     .optional()
     .isLength({ max: 2200 })
-    .withMessage('Caption must be less than 2200 characters')
+    .withMessage('Caption must be less than 2200 characters'),
+  body('altText')
+    .optional()
+    .custom((value) => [].concat(value).every((text) => String(text).length <= MAX_ALT_TEXT_LENGTH))
+    .withMessage(`Alt text must be less than ${MAX_ALT_TEXT_LENGTH} characters`)
 ];
 
 const updatePostValidation = [
@@ -41,7 +68,7 @@ const commentValidation = [
  * @swagger
  * /api/posts:
  *   post:
- *     summary: Create a new post with image upload
+ *     summary: Create a new post with one image or video, or a carousel of up to 10
  *     tags: [Post Management]
  *     security:
  *       - bearerAuth: []
@@ -51,29 +78,46 @@ const commentValidation = [
  *         multipart/form-data:
  *           schema:
  *             type: object
- *             required:
- *               - image
  *             properties:
  *               caption:
  *                 type: string
  *                 maxLength: 2200
  *                 description: Post caption (optional)
+ *               images:
+ *                 type: array
+ *                 maxItems: 10
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *                 description: |
+ *                   Carousel media in display order. Images: JPEG, PNG, GIF, WebP (max 5MB each).
+ *                   Videos: MP4, WebM, MOV (max 100MB and 60 seconds each by default).
  *               image:
  *                 type: string
  *                 format: binary
- *                 description: Image file (JPEG, PNG, GIF, WebP, max 5MB)
+ *                 description: Single image or video (kept for older clients; placed before any `images`)
+ *               altText:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   maxLength: 500
+ *                 description: Alt text for each media item, in the same order
  *     responses:
  *       201:
  *         description: Post created successfully
  *       400:
- *         description: Validation failed or no image uploaded
+ *         description: Validation failed, no media uploaded, more than 10 items, or a file too large or too long
+ *       403:
+ *         description: Email address not verified
  *       500:
  *         description: Internal server error
  */
 router.post('/', 
   authenticateToken, 
-  upload.single('image'),
-  handleMulterError,
+  requireVerified,
+  cleanupTempFiles,
+  mediaUpload.fields([{ name: 'image', maxCount: 1 }, { name: 'images', maxCount: MAX_MEDIA_ITEMS }]),
+  handleMediaUploadError,
   createPostValidation, 
   async (req, res) => {
     try {
@@ -87,36 +131,66 @@ router.post('/',
         });
       }
 
-      // Check if image file was uploaded
-      if (!req.file) {
+      // Check if media files were uploaded
+      const files = collectMediaFiles(req.files);
+      if (files.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Image or video file is required'
+        });
+      }
+
+      if (files.length > MAX_MEDIA_ITEMS) {
         return res.status(400).json({
           success: false,
-          message: 'Image file is required'
+          message: `A post can have at most ${MAX_MEDIA_ITEMS} media items`
         });
       }
 
-      const { caption } = req.body;
+      const { caption, altText } = req.body;
       const userId = req.user.id;
 
-      // Upload image to Cloudinary
-      console.log('Uploading image to Cloudinary...');
-      const cloudinaryResult = await uploadToCloudinary(req.file.buffer, {
+      // Upload media to Cloudinary in parallel (videos are streamed from their temp files)
+      console.log(`Uploading ${files.length} media file(s) to Cloudinary...`);
+      const uploads = await uploadPostMedia(files, {
         folder: 'fastgram/posts',
-        public_id: `post_${userId}_${Date.now()}`
+        publicIdPrefix: `post_${userId}_${Date.now()}`
       });
+      console.log('Media uploaded successfully:', uploads.map((item) => item.url).join(', '));
+
+      // Save post and its media to database (the first image, or a video's poster, doubles as the cover image)
+      const client = await pool.connect();
+      let post;
+      let media;
+      let notificationIds;
+
+      try {
+        await client.query('BEGIN');
+
+        const result = await client.query(
+          `INSERT INTO posts (user_id, caption, image_url)
+           VALUES ($1, $2, $3)
+           RETURNING id, user_id, caption, image_url, likes_count, comments_count, created_at, updated_at`,
+          [userId, caption || '', getCoverUrl(uploads)]
+        );
+
+        post = result.rows[0];
+        media = await savePostMedia(client, post.id, uploads, normalizeAltTexts(altText, uploads.length));
+        await syncPostHashtags(client, post.id, post.caption);
+        notificationIds = await syncMentions(client, { postId: post.id }, userId, post.caption);
+
+        await client.query('COMMIT');
+      } catch (dbError) {
+        await client.query('ROLLBACK');
+        await deleteUploadedMedia(uploads);
+        throw dbError;
+      } finally {
+        client.release();
+      }
 
-      const imageUrl = cloudinaryResult.secure_url;
-      console.log('Image uploaded successfully:', imageUrl);
-
-      // Save post to database
-      const result = await pool.query(
-        `INSERT INTO posts (user_id, caption, image_url)
-         VALUES ($1, $2, $3)
-         RETURNING id, user_id, caption, image_url, likes_count, comments_count, created_at, updated_at`,
-        [userId, caption || '', imageUrl]
-      );
+      await publishNotifications(notificationIds);
 
-      const post = result.rows[0];
+      const mentionsByPost = await getPostMentions([post.id]);
 
       res.status(201).json({
         success: true,
@@ -127,6 +201,8 @@ router.post('/',
             userId: post.user_id,
             caption: post.caption,
             imageUrl: post.image_url,
+            media,
+            mentions: mentionsByPost.get(post.id) || [],
             likesCount: post.likes_count,
             commentsCount: post.comments_count,
             createdAt: post.created_at,
@@ -137,12 +213,20 @@ router.post('/',
 
     } catch (error) {
       console.error('Create post error:', error);
+
+      // Media rejected after upload (e.g. a video over the duration limit)
+      if (error.status === 400) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
       
       // Handle Cloudinary errors
       if (error.http_code) {
         return res.status(500).json({
           success: false,
-          message: 'Failed to upload image to cloud storage'
+          message: 'Failed to upload media to cloud storage'
         });
       }
 
@@ -160,6 +244,9 @@ router.post('/',
  *   get:
  *     summary: Get post by ID with full details
  *     tags: [Post Management]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
  *     parameters:
  *       - in: path
  *         name: postId
@@ -170,21 +257,23 @@ router.post('/',
  *     responses:
  *       200:
  *         description: Post retrieved successfully
+ *       403:
+ *         description: Author's account is private
  *       404:
  *         description: Post not found
  *       500:
  *         description: Internal server error
  */
-router.get('/:postId', async (req, res) => {
+router.get('/:postId', optionalAuth, async (req, res) => {
   try {
     const { postId } = req.params;
 
     const result = await pool.query(
       `SELECT p.*, 
-              u.username, u.full_name, u.profile_picture_url, u.is_verified
+              u.username, u.full_name, u.profile_picture_url, u.is_verified, u.is_private
        FROM posts p
        JOIN users u ON p.user_id = u.id
-       WHERE p.id = $1`,
+       WHERE p.id = $1 AND p.moderation_status = 'approved'`,
       [postId]
     );
 
@@ -196,6 +285,24 @@ router.get('/:postId', async (req, res) => {
     }
 
     const post = result.rows[0];
+    const viewerId = req.user ? req.user.id : null;
+
+    if (await isBlocked(viewerId, post.user_id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    if (!(await canViewPost(post, viewerId))) {
+      return res.status(403).json({
+        success: false,
+        message: post.group_id ? 'This group is private' : 'This account is private'
+      });
+    }
+
+    const mediaByPost = await getPostMedia([post.id]);
+    const mentionsByPost = await getPostMentions([post.id]);
 
     res.json({
       success: true,
@@ -205,6 +312,8 @@ router.get('/:postId', async (req, res) => {
           userId: post.user_id,
           caption: post.caption,
           imageUrl: post.image_url,
+          media: mediaByPost.get(post.id) || [],
+          mentions: mentionsByPost.get(post.id) || [],
           likesCount: post.likes_count,
           commentsCount: post.comments_count,
           createdAt: post.created_at,
@@ -284,7 +393,7 @@ router.put('/:postId', authenticateToken, updatePostValidation, async (req, res)
 
     // Check if post exists and belongs to user
     const checkResult = await pool.query(
-      'SELECT user_id FROM posts WHERE id = $1',
+      'SELECT user_id, moderation_status FROM posts WHERE id = $1',
       [postId]
     );
 
@@ -302,15 +411,43 @@ router.put('/:postId', authenticateToken, updatePostValidation, async (req, res)
       });
     }
 
-    const result = await pool.query(
-      `UPDATE posts 
-       SET caption = $1, updated_at = CURRENT_TIMESTAMP
-       WHERE id = $2
-       RETURNING id, user_id, caption, image_url, likes_count, comments_count, created_at, updated_at`,
-      [caption, postId]
-    );
+    // Update the caption and re-index its hashtags together
+    const client = await pool.connect();
+    let post;
+    let notificationIds;
 
-    const post = result.rows[0];
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `UPDATE posts 
+         SET caption = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2
+         RETURNING id, user_id, caption, image_url, likes_count, comments_count, created_at, updated_at`,
+        [caption, postId]
+      );
+
+      post = result.rows[0];
+
+      // Group posts awaiting review are indexed when they are approved
+      notificationIds = [];
+      if (checkResult.rows[0].moderation_status === 'approved') {
+        await syncPostHashtags(client, post.id, post.caption);
+        notificationIds = await syncMentions(client, { postId: post.id }, userId, post.caption);
+      }
+
+      await client.query('COMMIT');
+    } catch (dbError) {
+      await client.query('ROLLBACK');
+      throw dbError;
+    } finally {
+      client.release();
+    }
+
+    await publishNotifications(notificationIds);
+
+    const mediaByPost = await getPostMedia([post.id]);
+    const mentionsByPost = await getPostMentions([post.id]);
 
     res.json({
       success: true,
@@ -321,6 +458,8 @@ router.put('/:postId', authenticateToken, updatePostValidation, async (req, res)
           userId: post.user_id,
           caption: post.caption,
           imageUrl: post.image_url,
+          media: mediaByPost.get(post.id) || [],
+          mentions: mentionsByPost.get(post.id) || [],
           likesCount: post.likes_count,
           commentsCount: post.comments_count,
           createdAt: post.created_at,
@@ -370,7 +509,7 @@ router.delete('/:postId', authenticateToken, async (req, res) => {
 
     // Check if post exists and belongs to user
     const checkResult = await pool.query(
-      'SELECT user_id, image_url FROM posts WHERE id = $1',
+      'SELECT user_id FROM posts WHERE id = $1',
       [postId]
     );
 
@@ -388,22 +527,13 @@ router.delete('/:postId', authenticateToken, async (req, res) => {
       });
     }
 
-    const imageUrl = checkResult.rows[0].image_url;
+    const media = await getPostMediaPublicIds(postId);
 
-    // Delete post from database
+    // Delete post from database (its post_media and post_hashtags rows cascade)
     await pool.query('DELETE FROM posts WHERE id = $1', [postId]);
 
-    // Delete image from Cloudinary (optional - don't fail if this fails)
-    try {
-      const publicId = extractPublicId(imageUrl);
-      if (publicId) {
-        await deleteFromCloudinary(publicId);
-        console.log('Image deleted from Cloudinary:', publicId);
-      }
-    } catch (cloudinaryError) {
-      console.error('Cloudinary delete error (non-critical):', cloudinaryError.message);
-      // Continue execution even if Cloudinary deletion fails
-    }
+    // Delete images from Cloudinary (optional - failures are logged, not returned)
+    await deleteUploadedMedia(media);
 
     res.json({
       success: true,
@@ -425,6 +555,9 @@ router.delete('/:postId', authenticateToken, async (req, res) => {
  *   get:
  *     summary: Get posts by username
  *     tags: [Post Management]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
  *     parameters:
  *       - in: path
  *         name: username
@@ -447,12 +580,14 @@ router.delete('/:postId', authenticateToken, async (req, res) => {
  *     responses:
  *       200:
  *         description: Posts retrieved successfully
+ *       403:
+ *         description: Account is private
  *       404:
  *         description: User not found
  *       500:
  *         description: Internal server error
  */
-router.get('/user/:username', async (req, res) => {
+router.get('/user/:username', optionalAuth, async (req, res) => {
   try {
     const { username } = req.params;
     const { page = 1, limit = 20 } = req.query;
@@ -460,7 +595,7 @@ router.get('/user/:username', async (req, res) => {
 
     // Get user ID
     const userResult = await pool.query(
-      'SELECT id FROM users WHERE username = $1 AND is_active = true',
+      'SELECT id, is_private FROM users WHERE username = $1 AND is_active = true',
       [username]
     );
 
@@ -471,6 +606,22 @@ router.get('/user/:username', async (req, res) => {
       });
     }
 
+    const viewerId = req.user ? req.user.id : null;
+
+    if (await isBlocked(viewerId, userResult.rows[0].id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!(await canViewUserContent(userResult.rows[0], viewerId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'This account is private'
+      });
+    }
+
     const userId = userResult.rows[0].id;
 
     // Get posts
@@ -479,23 +630,31 @@ router.get('/user/:username', async (req, res) => {
               u.username, u.full_name, u.profile_picture_url, u.is_verified
        FROM posts p
        JOIN users u ON p.user_id = u.id
-       WHERE p.user_id = $1
+       WHERE p.user_id = $1 AND p.moderation_status = 'approved'
+         AND ${visibleGroupCondition('$4')}
        ORDER BY p.created_at DESC
        LIMIT $2 OFFSET $3`,
-      [userId, limit, offset]
+      [userId, limit, offset, viewerId]
     );
 
     // Get total count
     const countResult = await pool.query(
-      'SELECT COUNT(*) as count FROM posts WHERE user_id = $1',
-      [userId]
+      `SELECT COUNT(*) as count FROM posts p
+       WHERE p.user_id = $1 AND p.moderation_status = 'approved'
+         AND ${visibleGroupCondition('$2')}`,
+      [userId, viewerId]
     );
 
+    const mediaByPost = await getPostMedia(postsResult.rows.map(post => post.id));
+    const mentionsByPost = await getPostMentions(postsResult.rows.map(post => post.id));
+
     const posts = postsResult.rows.map(post => ({
       id: post.id,
       userId: post.user_id,
       caption: post.caption,
       imageUrl: post.image_url,
+      media: mediaByPost.get(post.id) || [],
+      mentions: mentionsByPost.get(post.id) || [],
       likesCount: post.likes_count,
       commentsCount: post.comments_count,
       createdAt: post.created_at,
@@ -575,16 +734,30 @@ router.get('/feed/timeline', authenticateToken, async (req, res) => {
          UNION
          SELECT $1
        )
+         AND p.user_id NOT IN (
+           SELECT muted_id FROM user_mutes WHERE muter_id = $1
+           UNION
+           SELECT blocked_id FROM user_blocks WHERE blocker_id = $1
+           UNION
+           SELECT blocker_id FROM user_blocks WHERE blocked_id = $1
+         )
+         AND p.moderation_status = 'approved'
+         AND ${visibleGroupCondition('$1')}
        ORDER BY p.created_at DESC
        LIMIT $2 OFFSET $3`,
       [userId, limit, offset]
     );
 
+    const mediaByPost = await getPostMedia(postsResult.rows.map(post => post.id));
+    const mentionsByPost = await getPostMentions(postsResult.rows.map(post => post.id));
+
     const posts = postsResult.rows.map(post => ({
       id: post.id,
       userId: post.user_id,
       caption: post.caption,
       imageUrl: post.image_url,
+      media: mediaByPost.get(post.id) || [],
+      mentions: mentionsByPost.get(post.id) || [],
       likesCount: post.likes_count,
       commentsCount: post.comments_count,
       isLiked: post.is_liked,
@@ -636,6 +809,8 @@ router.get('/feed/timeline', authenticateToken, async (req, res) => {
  *     responses:
  *       200:
  *         description: Post liked successfully
+ *       403:
+ *         description: Author's account is private
  *       404:
  *         description: Post not found
  *       409:
@@ -654,7 +829,10 @@ router.post('/:postId/like', authenticateToken, async (req, res) => {
 
     // Check if post exists
     const postResult = await client.query(
-      'SELECT id FROM posts WHERE id = $1',
+      `SELECT p.id, p.user_id, p.group_id, u.is_private
+       FROM posts p
+       JOIN users u ON p.user_id = u.id
+       WHERE p.id = $1 AND p.moderation_status = 'approved'`,
       [postId]
     );
 
@@ -666,6 +844,22 @@ router.post('/:postId/like', authenticateToken, async (req, res) => {
       });
     }
 
+    if (await isBlocked(userId, postResult.rows[0].user_id)) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    if (!(await canViewPost(postResult.rows[0], userId))) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({
+        success: false,
+        message: postResult.rows[0].group_id ? 'This group is private' : 'This account is private'
+      });
+    }
+
     // Check if already liked
     const likeResult = await client.query(
       'SELECT id FROM likes WHERE user_id = $1 AND post_id = $2',
@@ -687,13 +881,26 @@ router.post('/:postId/like', authenticateToken, async (req, res) => {
     );
 
     // Update likes count
-    await client.query(
-      'UPDATE posts SET likes_count = likes_count + 1 WHERE id = $1',
+    const countResult = await client.query(
+      'UPDATE posts SET likes_count = likes_count + 1 WHERE id = $1 RETURNING likes_count',
       [postId]
     );
 
+    const notificationIds = await addToNotificationGroup({
+      userId: postResult.rows[0].user_id,
+      actorId: userId,
+      type: 'like',
+      postId: postResult.rows[0].id
+    }, client);
+
     await client.query('COMMIT');
 
+    await publishNotifications(notificationIds);
+    await publishEvent(postChannel(postResult.rows[0].id), 'post.likes', {
+      postId: postResult.rows[0].id,
+      likesCount: countResult.rows[0].likes_count
+    }, userId);
+
     res.json({
       success: true,
       message: 'Post liked successfully'
@@ -745,7 +952,7 @@ router.delete('/:postId/like', authenticateToken, async (req, res) => {
 
     // Remove like
     const result = await client.query(
-      'DELETE FROM likes WHERE user_id = $1 AND post_id = $2',
+      'DELETE FROM likes WHERE user_id = $1 AND post_id = $2 RETURNING (SELECT user_id FROM posts WHERE id = $2) as post_owner_id',
       [userId, postId]
     );
 
@@ -758,13 +965,26 @@ router.delete('/:postId/like', authenticateToken, async (req, res) => {
     }
 
     // Update likes count
-    await client.query(
-      'UPDATE posts SET likes_count = GREATEST(likes_count - 1, 0) WHERE id = $1',
+    const countResult = await client.query(
+      'UPDATE posts SET likes_count = GREATEST(likes_count - 1, 0) WHERE id = $1 RETURNING id, likes_count',
       [postId]
     );
 
+    // Take the like back out of the owner's unread notification
+    await removeFromNotificationGroup({
+      userId: result.rows[0].post_owner_id,
+      actorId: userId,
+      type: 'like',
+      postId: countResult.rows[0].id
+    }, client);
+
     await client.query('COMMIT');
 
+    await publishEvent(postChannel(countResult.rows[0].id), 'post.likes', {
+      postId: countResult.rows[0].id,
+      likesCount: countResult.rows[0].likes_count
+    }, userId);
+
     res.json({
       success: true,
       message: 'Post unliked successfully'
@@ -817,12 +1037,14 @@ router.delete('/:postId/like', authenticateToken, async (req, res) => {
  *         description: Comment added successfully
  *       400:
  *         description: Validation failed
+ *       403:
+ *         description: Email address not verified, or the author's account is private
  *       404:
  *         description: Post not found
  *       500:
  *         description: Internal server error
  */
-router.post('/:postId/comments', authenticateToken, commentValidation, async (req, res) => {
+router.post('/:postId/comments', authenticateToken, requireVerified, commentValidation, async (req, res) => {
   const client = await pool.connect();
   
   try {
@@ -843,7 +1065,10 @@ router.post('/:postId/comments', authenticateToken, commentValidation, async (re
 
     // Check if post exists
     const postResult = await client.query(
-      'SELECT id FROM posts WHERE id = $1',
+      `SELECT p.id, p.user_id, p.group_id, u.is_private
+       FROM posts p
+       JOIN users u ON p.user_id = u.id
+       WHERE p.id = $1 AND p.moderation_status = 'approved'`,
       [postId]
     );
 
@@ -855,6 +1080,22 @@ router.post('/:postId/comments', authenticateToken, commentValidation, async (re
       });
     }
 
+    if (await isBlocked(userId, postResult.rows[0].user_id)) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    if (!(await canViewPost(postResult.rows[0], userId))) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({
+        success: false,
+        message: postResult.rows[0].group_id ? 'This group is private' : 'This account is private'
+      });
+    }
+
     // Add comment
     const commentResult = await client.query(
       `INSERT INTO comments (user_id, post_id, comment_text)
@@ -863,6 +1104,18 @@ router.post('/:postId/comments', authenticateToken, commentValidation, async (re
       [userId, postId, commentText]
     );
 
+    const comment = commentResult.rows[0];
+    const notificationIds = [
+      ...await syncMentions(client, { postId: comment.post_id, commentId: comment.id }, userId, comment.comment_text),
+      ...await createNotification({
+        userId: postResult.rows[0].user_id,
+        actorId: userId,
+        type: 'comment',
+        postId: comment.post_id,
+        commentId: comment.id
+      }, client)
+    ];
+
     // Update comments count
     await client.query(
       'UPDATE posts SET comments_count = comments_count + 1 WHERE id = $1',
@@ -871,20 +1124,33 @@ router.post('/:postId/comments', authenticateToken, commentValidation, async (re
 
     await client.query('COMMIT');
 
-    const comment = commentResult.rows[0];
+    const mentionsByComment = await getCommentMentions([comment.id]);
+    const formattedComment = {
+      id: comment.id,
+      userId: comment.user_id,
+      postId: comment.post_id,
+      commentText: comment.comment_text,
+      mentions: mentionsByComment.get(comment.id) || [],
+      createdAt: comment.created_at,
+      updatedAt: comment.updated_at
+    };
+
+    await publishNotifications(notificationIds);
+    await publishEvent(postChannel(comment.post_id), 'comment.created', {
+      ...formattedComment,
+      user: {
+        username: req.user.username,
+        fullName: req.user.full_name,
+        profilePictureUrl: req.user.profile_picture_url,
+        isVerified: req.user.is_verified
+      }
+    }, userId);
 
     res.status(201).json({
       success: true,
       message: 'Comment added successfully',
       data: {
-        comment: {
-          id: comment.id,
-          userId: comment.user_id,
-          postId: comment.post_id,
-          commentText: comment.comment_text,
-          createdAt: comment.created_at,
-          updatedAt: comment.updated_at
-        }
+        comment: formattedComment
       }
     });
 
@@ -906,6 +1172,9 @@ router.post('/:postId/comments', authenticateToken, commentValidation, async (re
  *   get:
  *     summary: Get comments for a post
  *     tags: [Post Management]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
  *     parameters:
  *       - in: path
  *         name: postId
@@ -928,12 +1197,14 @@ router.post('/:postId/comments', authenticateToken, commentValidation, async (re
  *     responses:
  *       200:
  *         description: Comments retrieved successfully
+ *       403:
+ *         description: Author's account is private
  *       404:
  *         description: Post not found
  *       500:
  *         description: Internal server error
  */
-router.get('/:postId/comments', async (req, res) => {
+router.get('/:postId/comments', optionalAuth, async (req, res) => {
   try {
     const { postId } = req.params;
     const { page = 1, limit = 20 } = req.query;
@@ -941,7 +1212,10 @@ router.get('/:postId/comments', async (req, res) => {
 
     // Check if post exists
     const postResult = await pool.query(
-      'SELECT id FROM posts WHERE id = $1',
+      `SELECT p.id, p.user_id, p.group_id, u.is_private
+       FROM posts p
+       JOIN users u ON p.user_id = u.id
+       WHERE p.id = $1 AND p.moderation_status = 'approved'`,
       [postId]
     );
 
@@ -952,6 +1226,22 @@ router.get('/:postId/comments', async (req, res) => {
       });
     }
 
+    const viewerId = req.user ? req.user.id : null;
+
+    if (await isBlocked(viewerId, postResult.rows[0].user_id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    if (!(await canViewPost(postResult.rows[0], viewerId))) {
+      return res.status(403).json({
+        success: false,
+        message: postResult.rows[0].group_id ? 'This group is private' : 'This account is private'
+      });
+    }
+
     // Get comments
     const commentsResult = await pool.query(
       `SELECT c.*, 
@@ -959,22 +1249,34 @@ router.get('/:postId/comments', async (req, res) => {
        FROM comments c
        JOIN users u ON c.user_id = u.id
        WHERE c.post_id = $1
+         AND NOT EXISTS (
+           SELECT 1 FROM user_blocks b
+           WHERE (b.blocker_id = $4 AND b.blocked_id = c.user_id) OR (b.blocker_id = c.user_id AND b.blocked_id = $4)
+         )
        ORDER BY c.created_at DESC
        LIMIT $2 OFFSET $3`,
-      [postId, limit, offset]
+      [postId, limit, offset, viewerId]
     );
 
     // Get total count
     const countResult = await pool.query(
-      'SELECT COUNT(*) as count FROM comments WHERE post_id = $1',
-      [postId]
+      `SELECT COUNT(*) as count FROM comments c
+       WHERE c.post_id = $1
+         AND NOT EXISTS (
+           SELECT 1 FROM user_blocks b
+           WHERE (b.blocker_id = $2 AND b.blocked_id = c.user_id) OR (b.blocker_id = c.user_id AND b.blocked_id = $2)
+         )`,
+      [postId, viewerId]
     );
 
+    const mentionsByComment = await getCommentMentions(commentsResult.rows.map(comment => comment.id));
+
     const comments = commentsResult.rows.map(comment => ({
       id: comment.id,
       userId: comment.user_id,
       postId: comment.post_id,
       commentText: comment.comment_text,
+      mentions: mentionsByComment.get(comment.id) || [],
       createdAt: comment.created_at,
       updatedAt: comment.updated_at,
       user: {
@@ -0,0 +1,289 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const pool = require('../config/database');
+const pubsub = require('../config/pubsub');
+const { authenticateToken } = require('../middleware/auth');
+const { isBlocked, canViewPost } = require('../utils/visibility');
+const { getUnreadCount } = require('../utils/notifications');
+const { userChannel, postChannel, groupChannel, groupChatChannel } = require('../utils/realtime');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Realtime
+ *   description: Server-sent event stream for live updates
+ */
+
+const MAX_SUBSCRIPTIONS = 20;
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+const MAX_TIMER_MS = 2 ** 31 - 1; // setTimeout fires immediately for longer delays
+
+// Parse a comma-separated list of IDs ("1,2,3"), dropping duplicates
+const parseIdList = (value) => {
+  if (!value) return [];
+  return [...new Set(String(value).split(',').map((id) => parseInt(id, 10)))];
+};
+
+const idListValidation = (field) => query(field)
+  .optional()
+  .matches(/^[1-9]\d*(,[1-9]\d*)*$/)
+  .withMessage(`${field} must be a comma-separated list of IDs`)
+  .bail()
+  .custom((value) => parseIdList(value).length <= MAX_SUBSCRIPTIONS)
+  .withMessage(`At most ${MAX_SUBSCRIPTIONS} ${field} can be subscribed to`);
+
+// Validation rules
+const eventsValidation = [
+  idListValidation('posts'),
+  idListValidation('groups')
+];
+
+// Browsers' EventSource cannot send headers, so accept the access token as a query parameter
+const acceptQueryToken = (req, res, next) => {
+  if (!req.headers['authorization'] && typeof req.query.access_token === 'string') {
+    req.headers['authorization'] = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+// Check that the user may follow a post's live updates; returns an error response or null
+const checkPostAccess = async (postId, userId) => {
+  const result = await pool.query(
+    `SELECT p.id, p.user_id, p.group_id, u.is_private, g.is_private AS group_is_private
+     FROM posts p
+     JOIN users u ON p.user_id = u.id
+     LEFT JOIN groups g ON p.group_id = g.id
+     WHERE p.id = $1 AND u.is_active = true AND p.moderation_status = 'approved'`,
+    [postId]
+  );
+
+  if (result.rows.length === 0 || await isBlocked(userId, result.rows[0].user_id)) {
+    return { status: 404, message: `Post ${postId} not found` };
+  }
+
+  const post = result.rows[0];
+  if (post.group_id && post.group_is_private) {
+    const denied = await checkGroupAccess(post.group_id, userId);
+    return denied && { status: 403, message: `Post ${postId} is in a private group` };
+  }
+
+  return (await canViewPost(post, userId))
+    ? null
+    : { status: 403, message: `Post ${postId} is from a private account` };
+};
+
+// Check that the user may follow a group's live updates; returns an error response or null
+const checkGroupAccess = async (groupId, userId) => {
+  const result = await pool.query(
+    `SELECT g.is_private, EXISTS(
+       SELECT 1 FROM group_members WHERE group_id = g.id AND user_id = $2
+     ) AS is_member
+     FROM groups g WHERE g.id = $1`,
+    [groupId, userId]
+  );
+
+  if (result.rows.length === 0) {
+    return { status: 404, message: `Group ${groupId} not found` };
+  }
+
+  const { is_private: isPrivate, is_member: isMember } = result.rows[0];
+  return isPrivate && !isMember
+    ? { status: 403, message: `Group ${groupId} is private` }
+    : null;
+};
+
+/**
+ * @swagger
+ * /api/realtime/events:
+ *   get:
+ *     summary: Open a server-sent event stream of live updates
+ *     description: |
+ *       Streams `text/event-stream` events for the current user until the connection is closed.
+ *       Every stream receives `notification` events and `message.created`, `message.deleted` and
+ *       `conversation.read` events for the user's conversations; `posts` and `groups` add `comment.created`
+ *       and `post.likes` events for posts being viewed and `group.post.created` events for groups
+ *       (plus `group.message.created`, `group.message.updated` and `group.message.deleted` for members).
+ *       A `ready` event is sent first and a `: ping` comment every 25 seconds keeps the connection open.
+ *       The stream ends with a `token.expired` event when the access token expires, or a `session.revoked`
+ *       event when its session is revoked (logout, logout-all, session revocation, password reset or
+ *       refresh token reuse); reconnect with a fresh access token.
+ *       EventSource clients, which cannot set headers, may pass the token as `access_token` instead.
+ *     tags: [Realtime]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: posts
+ *         schema:
+ *           type: string
+ *           example: 12,15
+ *         description: Comma-separated post IDs to follow (at most 20)
+ *       - in: query
+ *         name: groups
+ *         schema:
+ *           type: string
+ *           example: 3
+ *         description: Comma-separated group IDs to follow (at most 20)
+ *       - in: query
+ *         name: access_token
+ *         schema:
+ *           type: string
+ *         description: Access token, when the Authorization header cannot be sent
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: "id: 1\nevent: notification\ndata: {\"id\":42,\"type\":\"like\"}\n\n"
+ *       400:
+ *         description: Validation failed
+ *       401:
+ *         description: Access token required
+ *       403:
+ *         description: Not allowed to follow a post or group
+ *       404:
+ *         description: Post or group not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/events', acceptQueryToken, authenticateToken, eventsValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.user.id;
+    const postIds = parseIdList(req.query.posts);
+    const groupIds = parseIdList(req.query.groups);
+
+    for (const postId of postIds) {
+      const denied = await checkPostAccess(postId, userId);
+      if (denied) {
+        return res.status(denied.status).json({ success: false, message: denied.message });
+      }
+    }
+
+    for (const groupId of groupIds) {
+      const denied = await checkGroupAccess(groupId, userId);
+      if (denied) {
+        return res.status(denied.status).json({ success: false, message: denied.message });
+      }
+    }
+
+    // Events caused by users blocked in either direction are not delivered
+    const blockedResult = await pool.query(
+      `SELECT blocked_id AS id FROM user_blocks WHERE blocker_id = $1
+       UNION
+       SELECT blocker_id AS id FROM user_blocks WHERE blocked_id = $1`,
+      [userId]
+    );
+    const blockedIds = new Set(blockedResult.rows.map((row) => row.id));
+
+    // Group chat is only streamed to members
+    const membershipResult = await pool.query(
+      'SELECT group_id FROM group_members WHERE user_id = $1 AND group_id = ANY($2::int[])',
+      [userId, groupIds]
+    );
+
+    const unreadCount = await getUnreadCount(userId);
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let eventId = 0;
+    const send = (type, data) => {
+      eventId += 1;
+      res.write(`id: ${eventId}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    let closed = false;
+    let expiryTimer = null;
+    const unsubscribers = [];
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+
+    const cleanup = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      clearTimeout(expiryTimer);
+      unsubscribers.forEach((unsubscribe) => unsubscribe());
+    };
+
+    // The stream only lives as long as the access token and session it was opened with
+    const endStream = (type, data) => {
+      if (closed) return;
+      send(type, data);
+      cleanup();
+      res.end();
+    };
+
+    const handleMessage = (message) => {
+      if (message.type === 'session.revoked') {
+        const { sessionId } = message.data;
+        if (!sessionId || sessionId === req.sessionId) {
+          endStream('session.revoked', { sessionId });
+        }
+        return;
+      }
+
+      if (message.actorId && blockedIds.has(message.actorId)) return;
+      send(message.type, message.data);
+    };
+
+    const channels = [
+      userChannel(userId),
+      ...postIds.map(postChannel),
+      ...groupIds.map(groupChannel),
+      ...membershipResult.rows.map((row) => groupChatChannel(row.group_id))
+    ];
+
+    req.on('close', cleanup);
+
+    for (const channel of channels) {
+      const unsubscribe = await pubsub.subscribe(channel, handleMessage);
+      if (closed) {
+        unsubscribe();
+      } else {
+        unsubscribers.push(unsubscribe);
+      }
+    }
+
+    if (!closed) {
+      send('ready', {
+        unreadCount,
+        subscriptions: { posts: postIds, groups: groupIds }
+      });
+
+      if (req.tokenExpiresAt) {
+        const delay = Math.min(Math.max(req.tokenExpiresAt - Date.now(), 0), MAX_TIMER_MS);
+        expiryTimer = setTimeout(() => endStream('token.expired', {}), delay);
+      }
+    }
+
+  } catch (error) {
+    console.error('Realtime events error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
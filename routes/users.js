@@ -1,11 +1,44 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const pool = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { upload, handleMulterError } = require('../middleware/upload');
+const { uploadToCloudinary, deleteFromCloudinary } = require('../utils/cloudinaryUpload');
+const { isBlocked, canViewUserContent, getFollowStatus } = require('../utils/visibility');
+const { createNotification } = require('../utils/notifications');
+const { publishNotifications } = require('../utils/realtime');
+const { sendVerificationEmail } = require('../utils/emailVerification');
 
 const router = express.Router();
 
+// Avatar processing
+const AVATAR_FOLDER = 'fastgram/avatars';
+const AVATAR_SIZE = 400;
+const AVATAR_THUMBNAIL_SIZES = [150, 50];
+const DEFAULT_AVATAR_URL = process.env.DEFAULT_AVATAR_URL || null;
+
+// Profile picture URLs set through PUT /profile may not point at Cloudinary (uploads go through POST /profile/picture)
+const CLOUDINARY_URL_PATTERN = /^(https?:\/\/)?([^/?#]*\.)?cloudinary\.com([/:?#]|$)/i;
+
+// Delete a user's previously uploaded avatar by the public ID stored for them (only their own avatars; failures are non-critical)
+const deleteAvatar = async (userId, publicId) => {
+  try {
+    if (publicId && publicId.startsWith(`${AVATAR_FOLDER}/avatar_${userId}_`)) {
+      await deleteFromCloudinary(publicId);
+      console.log('Avatar deleted from Cloudinary:', publicId);
+    }
+  } catch (cloudinaryError) {
+    console.error('Cloudinary delete error (non-critical):', cloudinaryError.message);
+  }
+};
+
+// Public ID of the user's current uploaded avatar (null when none)
+const getAvatarPublicId = async (userId) => {
+  const result = await pool.query('SELECT profile_picture_public_id FROM users WHERE id = $1', [userId]);
+  return result.rows.length > 0 ? result.rows[0].profile_picture_public_id : null;
+};
+
 /**
  * @swagger
  * tags:
@@ -37,6 +70,13 @@ const updateProfileValidation = [
     .optional()
     .isURL()
     .withMessage('Profile picture must be a valid URL')
+    .not()
+    .matches(CLOUDINARY_URL_PATTERN)
+    .withMessage('Upload profile pictures through POST /api/users/profile/picture'),
+  body('isPrivate')
+    .optional()
+    .isBoolean()
+    .withMessage('isPrivate must be a boolean')
 ];
 
 const changePasswordValidation = [
@@ -48,6 +88,25 @@ const changePasswordValidation = [
     .withMessage('New password must be at least 6 characters long')
 ];
 
+const searchValidation = [
+  query('q')
+    .trim()
+    .notEmpty()
+    .withMessage('Search text is required')
+    .isLength({ max: 100 })
+    .withMessage('Search text must be less than 100 characters'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+];
+
+const requestIdValidation = [
+  param('requestId')
+    .isInt({ min: 1 })
+    .withMessage('Request ID must be a positive integer')
+];
+
 /**
  * @swagger
  * /api/users/profile:
@@ -100,6 +159,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
  * /api/users/profile:
  *   put:
  *     summary: Update user profile
+ *     description: Changing the email address marks the account as unverified and sends a verification email to the new address. profilePictureUrl may not point at Cloudinary (upload through POST /api/users/profile/picture); setting it deletes any uploaded avatar.
  *     tags: [User Management]
  *     security:
  *       - bearerAuth: []
@@ -161,9 +221,12 @@ router.put('/profile', authenticateToken, updateProfileValidation, async (req, r
       });
     }
 
-    const { username, email, fullName, bio, profilePictureUrl } = req.body;
+    const { username, email, fullName, bio, profilePictureUrl, isPrivate } = req.body;
     const userId = req.user.id;
 
+    // An external picture URL replaces any uploaded avatar, which is then deleted
+    const previousAvatarPublicId = profilePictureUrl !== undefined ? await getAvatarPublicId(userId) : null;
+
     // Check if username or email already exists (excluding current user)
     if (username || email) {
       const existingUser = await pool.query(
@@ -189,11 +252,16 @@ router.put('/profile', authenticateToken, updateProfileValidation, async (req, r
       updateValues.push(username);
       paramCount++;
     }
+    // A new email address has to be verified again
+    const emailChanged = Boolean(email) && email !== req.user.email;
     if (email) {
       updateFields.push(`email = $${paramCount}`);
       updateValues.push(email);
       paramCount++;
     }
+    if (emailChanged) {
+      updateFields.push('is_verified = FALSE');
+    }
     if (fullName !== undefined) {
       updateFields.push(`full_name = $${paramCount}`);
       updateValues.push(fullName);
@@ -205,10 +273,15 @@ router.put('/profile', authenticateToken, updateProfileValidation, async (req, r
       paramCount++;
     }
     if (profilePictureUrl !== undefined) {
-      updateFields.push(`profile_picture_url = $${paramCount}`);
+      updateFields.push(`profile_picture_url = $${paramCount}`, 'profile_picture_public_id = NULL');
       updateValues.push(profilePictureUrl);
       paramCount++;
     }
+    if (isPrivate !== undefined) {
+      updateFields.push(`is_private = $${paramCount}`);
+      updateValues.push(isPrivate === true || isPrivate === 'true');
+      paramCount++;
+    }
 
     if (updateFields.length === 0) {
       return res.status(400).json({
@@ -224,12 +297,40 @@ router.put('/profile', authenticateToken, updateProfileValidation, async (req, r
       UPDATE users 
       SET ${updateFields.join(', ')} 
       WHERE id = $${paramCount}
-      RETURNING id, username, email, full_name, bio, profile_picture_url, is_verified, created_at, updated_at
+      RETURNING id, username, email, full_name, bio, profile_picture_url, is_verified, is_private, created_at, updated_at
     `;
 
     const result = await pool.query(query, updateValues);
     const updatedUser = result.rows[0];
 
+    await deleteAvatar(userId, previousAvatarPublicId);
+
+    if (emailChanged) {
+      // Links sent to the old address must not verify the new one
+      await pool.query('DELETE FROM email_verification_tokens WHERE user_id = $1', [userId]);
+
+      try {
+        await sendVerificationEmail(updatedUser);
+      } catch (mailError) {
+        console.error('Verification email error (non-critical):', mailError.message);
+      }
+    }
+
+    // Going public accepts everyone who was waiting for approval
+    if (!updatedUser.is_private) {
+      await pool.query(
+        `WITH accepted AS (
+           UPDATE follow_requests SET status = 'accepted', responded_at = CURRENT_TIMESTAMP
+           WHERE target_id = $1 AND status = 'pending'
+           RETURNING requester_id, target_id
+         )
+         INSERT INTO followers (follower_id, following_id)
+         SELECT requester_id, target_id FROM accepted
+         ON CONFLICT (follower_id, following_id) DO NOTHING`,
+        [userId]
+      );
+    }
+
     res.json({
       success: true,
       message: 'Profile updated successfully',
@@ -242,6 +343,7 @@ router.put('/profile', authenticateToken, updateProfileValidation, async (req, r
           bio: updatedUser.bio,
           profilePictureUrl: updatedUser.profile_picture_url,
           isVerified: updatedUser.is_verified,
+          isPrivate: updatedUser.is_private,
           createdAt: updatedUser.created_at,
           updatedAt: updatedUser.updated_at
         }
@@ -257,6 +359,177 @@ router.put('/profile', authenticateToken, updateProfileValidation, async (req, r
   }
 });
 
+/**
+ * @swagger
+ * /api/users/profile/picture:
+ *   post:
+ *     summary: Upload a new profile picture
+ *     description: The image is square-cropped around the face to avatar sizes and replaces the current profile picture. The previous uploaded picture is deleted.
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - image
+ *             properties:
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *                 description: Image file (JPEG, PNG, GIF, WebP, max 5MB)
+ *     responses:
+ *       200:
+ *         description: Profile picture updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/ProfilePicture'
+ *       400:
+ *         description: No image uploaded or invalid file
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/profile/picture', authenticateToken, upload.single('image'), handleMulterError, async (req, res) => {
+  try {
+    // Check if image file was uploaded
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Image file is required'
+      });
+    }
+
+    const userId = req.user.id;
+    const previousPublicId = await getAvatarPublicId(userId);
+
+    // Square-crop around the face; smaller sizes are generated eagerly for lists and comments
+    const cloudinaryResult = await uploadToCloudinary(req.file.buffer, {
+      folder: AVATAR_FOLDER,
+      public_id: `avatar_${userId}_${Date.now()}`,
+      transformation: [
+        { width: AVATAR_SIZE, height: AVATAR_SIZE, crop: 'fill', gravity: 'face' },
+        { quality: 'auto:good' },
+        { fetch_format: 'auto' }
+      ],
+      eager: AVATAR_THUMBNAIL_SIZES.map((size) => ({ width: size, height: size, crop: 'fill', gravity: 'face' }))
+    });
+
+    const profilePictureUrl = cloudinaryResult.secure_url;
+
+    await pool.query(
+      'UPDATE users SET profile_picture_url = $1, profile_picture_public_id = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3',
+      [profilePictureUrl, cloudinaryResult.public_id, userId]
+    );
+
+    await deleteAvatar(userId, previousPublicId);
+
+    res.json({
+      success: true,
+      message: 'Profile picture updated successfully',
+      data: {
+        profilePictureUrl,
+        thumbnails: (cloudinaryResult.eager || []).map((image) => ({
+          size: image.width,
+          url: image.secure_url
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Upload profile picture error:', error);
+
+    // Handle Cloudinary errors
+    if (error.http_code) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to upload image to cloud storage'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/profile/picture:
+ *   delete:
+ *     summary: Remove the profile picture
+ *     description: Resets the profile picture to the default avatar and deletes the uploaded image.
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Profile picture reset to the default avatar
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         profilePictureUrl:
+ *                           type: string
+ *                           nullable: true
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete('/profile/picture', authenticateToken, async (req, res) => {
+  try {
+    const previousPublicId = await getAvatarPublicId(req.user.id);
+
+    await pool.query(
+      'UPDATE users SET profile_picture_url = $1, profile_picture_public_id = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [DEFAULT_AVATAR_URL, req.user.id]
+    );
+
+    await deleteAvatar(req.user.id, previousPublicId);
+
+    res.json({
+      success: true,
+      message: 'Profile picture removed successfully',
+      data: {
+        profilePictureUrl: DEFAULT_AVATAR_URL
+      }
+    });
+
+  } catch (error) {
+    console.error('Remove profile picture error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/users/change-password:
@@ -369,21 +642,28 @@ router.put('/change-password', authenticateToken, changePasswordValidation, asyn
 
 /**
  * @swagger
- * /api/users/{username}:
+ * /api/users/follow-requests:
  *   get:
- *     summary: Get user by username (public profile)
+ *     summary: List pending follow requests to the current user
  *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: username
- *         required: true
+ *       - in: query
+ *         name: page
  *         schema:
- *           type: string
- *         description: Username of the user
- *         example: "johndoe"
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Requests per page
  *     responses:
  *       200:
- *         description: User profile retrieved successfully
+ *         description: Follow requests retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -394,10 +674,89 @@ router.put('/change-password', authenticateToken, changePasswordValidation, asyn
  *                     data:
  *                       type: object
  *                       properties:
- *                         user:
- *                           $ref: '#/components/schemas/UserProfile'
+ *                         requests:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/FollowRequest'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/follow-requests', authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const result = await pool.query(`
+      SELECT fr.id, fr.status, fr.created_at,
+             u.id as user_id, u.username, u.full_name, u.profile_picture_url, u.is_verified
+      FROM follow_requests fr
+      JOIN users u ON fr.requester_id = u.id
+      WHERE fr.target_id = $1 AND fr.status = 'pending' AND u.is_active = true
+      ORDER BY fr.created_at DESC
+      LIMIT $2 OFFSET $3
+    `, [req.user.id, limit, offset]);
+
+    res.json({
+      success: true,
+      data: {
+        requests: result.rows.map(request => ({
+          id: request.id,
+          status: request.status,
+          createdAt: request.created_at,
+          user: {
+            id: request.user_id,
+            username: request.username,
+            fullName: request.full_name,
+            profilePictureUrl: request.profile_picture_url,
+            isVerified: request.is_verified
+          }
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get follow requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/follow-requests/{requestId}/accept:
+ *   post:
+ *     summary: Accept a pending follow request
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Follow request ID
+ *     responses:
+ *       200:
+ *         description: Follow request accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Validation failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       404:
- *         description: User not found
+ *         description: Pending follow request not found
  *         content:
  *           application/json:
  *             schema:
@@ -409,83 +768,533 @@ router.put('/change-password', authenticateToken, changePasswordValidation, asyn
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/:username', async (req, res) => {
+router.post('/follow-requests/:requestId/accept', authenticateToken, requestIdValidation, async (req, res) => {
+  const client = await pool.connect();
+
   try {
-    const { username } = req.params;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
 
-    const userResult = await pool.query(
-      'SELECT id, username, full_name, bio, profile_picture_url, is_verified, created_at FROM users WHERE username = $1 AND is_active = true',
-      [username]
+    await client.query('BEGIN');
+
+    const requestResult = await client.query(
+      `UPDATE follow_requests SET status = 'accepted', responded_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND target_id = $2 AND status = 'pending'
+       RETURNING requester_id, target_id`,
+      [req.params.requestId, req.user.id]
     );
 
-    if (userResult.rows.length === 0) {
+    if (requestResult.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({
         success: false,
-        message: 'User not found'
+        message: 'Follow request not found'
       });
     }
 
-    const user = userResult.rows[0];
+    const { requester_id: requesterId, target_id: targetId } = requestResult.rows[0];
 
-    // Get follower/following counts
-    const followerCountResult = await pool.query(
-      'SELECT COUNT(*) as count FROM followers WHERE following_id = $1',
-      [user.id]
+    await client.query(
+      `INSERT INTO followers (follower_id, following_id) VALUES ($1, $2)
+       ON CONFLICT (follower_id, following_id) DO NOTHING`,
+      [requesterId, targetId]
     );
 
-    const followingCountResult = await pool.query(
-      'SELECT COUNT(*) as count FROM followers WHERE follower_id = $1',
-      [user.id]
-    );
+    const notificationIds = await createNotification({ userId: requesterId, actorId: targetId, type: 'follow_accept' }, client);
 
-    // Get posts count
-    const postsCountResult = await pool.query(
-      'SELECT COUNT(*) as count FROM posts WHERE user_id = $1',
-      [user.id]
-    );
+    await client.query('COMMIT');
+    await publishNotifications(notificationIds);
 
     res.json({
       success: true,
-      data: {
-        user: {
-          id: user.id,
-          username: user.username,
-          fullName: user.full_name,
-          bio: user.bio,
-          profilePictureUrl: user.profile_picture_url,
-          isVerified: user.is_verified,
-          createdAt: user.created_at,
-          followersCount: parseInt(followerCountResult.rows[0].count),
-          followingCount: parseInt(followingCountResult.rows[0].count),
-          postsCount: parseInt(postsCountResult.rows[0].count)
-        }
-      }
+      message: 'Follow request accepted'
     });
 
   } catch (error) {
-    console.error('Get user profile error:', error);
+    await client.query('ROLLBACK');
+    console.error('Accept follow request error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error'
     });
+  } finally {
+    client.release();
   }
 });
 
-// Follow user
-router.post('/:username/follow', authenticateToken, async (req, res) => {
-  try {
-    const { username } = req.params;
-    const followerId = req.user.id;
-
-    // Get user to follow
-    const userResult = await pool.query(
-      'SELECT id FROM users WHERE username = $1 AND is_active = true',
-      [username]
-    );
-
-    if (userResult.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
+/**
+ * @swagger
+ * /api/users/follow-requests/{requestId}/reject:
+ *   post:
+ *     summary: Decline a pending follow request
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Follow request ID
+ *     responses:
+ *       200:
+ *         description: Follow request declined
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Validation failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Pending follow request not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/follow-requests/:requestId/reject', authenticateToken, requestIdValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await pool.query(
+      `UPDATE follow_requests SET status = 'declined', responded_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND target_id = $2 AND status = 'pending'`,
+      [req.params.requestId, req.user.id]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Follow request not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Follow request declined'
+    });
+
+  } catch (error) {
+    console.error('Reject follow request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/blocks:
+ *   get:
+ *     summary: List users blocked by the current user
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Users per page
+ *     responses:
+ *       200:
+ *         description: Blocked users retrieved successfully
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/blocks', authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const result = await pool.query(`
+      SELECT u.id, u.username, u.full_name, u.profile_picture_url, u.is_verified, b.created_at as blocked_at
+      FROM user_blocks b
+      JOIN users u ON b.blocked_id = u.id
+      WHERE b.blocker_id = $1
+      ORDER BY b.created_at DESC
+      LIMIT $2 OFFSET $3
+    `, [req.user.id, limit, offset]);
+
+    res.json({
+      success: true,
+      data: {
+        users: result.rows.map(user => ({
+          id: user.id,
+          username: user.username,
+          fullName: user.full_name,
+          profilePictureUrl: user.profile_picture_url,
+          isVerified: user.is_verified,
+          blockedAt: user.blocked_at
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get blocked users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/mutes:
+ *   get:
+ *     summary: List users muted by the current user
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Users per page
+ *     responses:
+ *       200:
+ *         description: Muted users retrieved successfully
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/mutes', authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const result = await pool.query(`
+      SELECT u.id, u.username, u.full_name, u.profile_picture_url, u.is_verified, m.created_at as muted_at
+      FROM user_mutes m
+      JOIN users u ON m.muted_id = u.id
+      WHERE m.muter_id = $1
+      ORDER BY m.created_at DESC
+      LIMIT $2 OFFSET $3
+    `, [req.user.id, limit, offset]);
+
+    res.json({
+      success: true,
+      data: {
+        users: result.rows.map(user => ({
+          id: user.id,
+          username: user.username,
+          fullName: user.full_name,
+          profilePictureUrl: user.profile_picture_url,
+          isVerified: user.is_verified,
+          mutedAt: user.muted_at
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get muted users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/search:
+ *   get:
+ *     summary: Search users by username or full name (typeahead)
+ *     description: Combines prefix and fuzzy (trigram) matching. Results are ranked by match quality, with users you follow and verified accounts boosted. Deactivated users and users blocked in either direction are excluded.
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           maxLength: 100
+ *         description: Search text
+ *         example: "joh"
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 50
+ *         description: Maximum number of results
+ *     responses:
+ *       200:
+ *         description: Matching users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         users:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/UserSearchResult'
+ *       400:
+ *         description: Validation failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/search', optionalAuth, searchValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const searchText = req.query.q.trim();
+    const limit = parseInt(req.query.limit || '10', 10);
+    const viewerId = req.user ? req.user.id : null;
+
+    // Escape LIKE wildcards so they match literally in the prefix patterns
+    const escaped = searchText.replace(/[\\%_]/g, '\\$&');
+
+    const result = await pool.query(`
+      SELECT u.id, u.username, u.full_name, u.profile_picture_url, u.is_verified, u.is_private,
+             f.follower_id IS NOT NULL as is_following
+      FROM users u
+      LEFT JOIN followers f ON f.following_id = u.id AND f.follower_id = $2
+      WHERE u.is_active = true
+        AND (
+          u.username ILIKE $3 OR u.full_name ILIKE $3 OR u.full_name ILIKE $4
+          OR u.username % $1 OR u.full_name % $1
+        )
+        AND NOT EXISTS (
+          SELECT 1 FROM user_blocks b
+          WHERE (b.blocker_id = $2 AND b.blocked_id = u.id) OR (b.blocker_id = u.id AND b.blocked_id = $2)
+        )
+      ORDER BY
+        GREATEST(similarity(u.username, $1), similarity(COALESCE(u.full_name, ''), $1))
+        + CASE
+            WHEN u.username ILIKE $3 THEN 1
+            WHEN u.full_name ILIKE $3 OR u.full_name ILIKE $4 THEN 0.5
+            ELSE 0
+          END
+        + CASE WHEN f.follower_id IS NOT NULL THEN 0.5 ELSE 0 END
+        + CASE WHEN u.is_verified THEN 0.25 ELSE 0 END DESC,
+        u.username ASC
+      LIMIT $5
+    `, [searchText, viewerId, `${escaped}%`, `% ${escaped}%`, limit]);
+
+    res.json({
+      success: true,
+      data: {
+        users: result.rows.map(user => ({
+          id: user.id,
+          username: user.username,
+          fullName: user.full_name,
+          profilePictureUrl: user.profile_picture_url,
+          isVerified: user.is_verified,
+          isPrivate: user.is_private,
+          isFollowing: user.is_following
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Search users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{username}:
+ *   get:
+ *     summary: Get user by username (public profile)
+ *     description: Authenticated callers also receive followStatus describing their relationship with the user.
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Username of the user
+ *         example: "johndoe"
+ *     responses:
+ *       200:
+ *         description: User profile retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         user:
+ *                           $ref: '#/components/schemas/UserProfile'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:username', optionalAuth, async (req, res) => {
+  try {
+    const { username } = req.params;
+
+    const userResult = await pool.query(
+      'SELECT id, username, full_name, bio, profile_picture_url, is_verified, is_private, created_at FROM users WHERE username = $1 AND is_active = true',
+      [username]
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const user = userResult.rows[0];
+
+    // Blocked users disappear from each other's lookups
+    if (await isBlocked(req.user ? req.user.id : null, user.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Get follower/following counts
+    const followerCountResult = await pool.query(
+      'SELECT COUNT(*) as count FROM followers WHERE following_id = $1',
+      [user.id]
+    );
+
+    const followingCountResult = await pool.query(
+      'SELECT COUNT(*) as count FROM followers WHERE follower_id = $1',
+      [user.id]
+    );
+
+    // Get posts count
+    const postsCountResult = await pool.query(
+      `SELECT COUNT(*) as count FROM posts WHERE user_id = $1 AND moderation_status = 'approved'`,
+      [user.id]
+    );
+
+    const followStatus = await getFollowStatus(user.id, req.user ? req.user.id : null);
+
+    res.json({
+      success: true,
+      data: {
+        user: {
+          id: user.id,
+          username: user.username,
+          fullName: user.full_name,
+          bio: user.bio,
+          profilePictureUrl: user.profile_picture_url,
+          isVerified: user.is_verified,
+          isPrivate: user.is_private,
+          createdAt: user.created_at,
+          followersCount: parseInt(followerCountResult.rows[0].count),
+          followingCount: parseInt(followingCountResult.rows[0].count),
+          postsCount: parseInt(postsCountResult.rows[0].count),
+          ...(followStatus && { followStatus })
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get user profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Follow user (private accounts receive a follow request instead)
+router.post('/:username/follow', authenticateToken, async (req, res) => {
+  try {
+    const { username } = req.params;
+    const followerId = req.user.id;
+
+    // Get user to follow
+    const userResult = await pool.query(
+      'SELECT id, is_private FROM users WHERE username = $1 AND is_active = true',
+      [username]
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
         message: 'User not found'
       });
     }
@@ -500,6 +1309,13 @@ router.post('/:username/follow', authenticateToken, async (req, res) => {
       });
     }
 
+    if (await isBlocked(followerId, followingId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
     // Check if already following
     const existingFollow = await pool.query(
       'SELECT id FROM followers WHERE follower_id = $1 AND following_id = $2',
@@ -513,15 +1329,54 @@ router.post('/:username/follow', authenticateToken, async (req, res) => {
       });
     }
 
+    if (userResult.rows[0].is_private) {
+      // Re-requesting after a decline or an unfollow starts over as pending
+      const requestResult = await pool.query(
+        `INSERT INTO follow_requests (requester_id, target_id) VALUES ($1, $2)
+         ON CONFLICT (requester_id, target_id)
+         DO UPDATE SET status = 'pending', created_at = CURRENT_TIMESTAMP, responded_at = NULL
+         WHERE follow_requests.status <> 'pending'
+         RETURNING id`,
+        [followerId, followingId]
+      );
+
+      if (requestResult.rows.length === 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Follow request already sent'
+        });
+      }
+
+      await publishNotifications(
+        await createNotification({ userId: followingId, actorId: followerId, type: 'follow_request' })
+      );
+
+      return res.json({
+        success: true,
+        message: 'Follow request sent',
+        data: {
+          followStatus: 'requested',
+          requestId: requestResult.rows[0].id
+        }
+      });
+    }
+
     // Create follow relationship
     await pool.query(
       'INSERT INTO followers (follower_id, following_id) VALUES ($1, $2)',
       [followerId, followingId]
     );
 
+    await publishNotifications(
+      await createNotification({ userId: followingId, actorId: followerId, type: 'follow' })
+    );
+
     res.json({
       success: true,
-      message: 'User followed successfully'
+      message: 'User followed successfully',
+      data: {
+        followStatus: 'following'
+      }
     });
 
   } catch (error) {
@@ -533,7 +1388,7 @@ router.post('/:username/follow', authenticateToken, async (req, res) => {
   }
 });
 
-// Unfollow user
+// Unfollow user (also cancels a pending follow request)
 router.delete('/:username/follow', authenticateToken, async (req, res) => {
   try {
     const { username } = req.params;
@@ -561,6 +1416,18 @@ router.delete('/:username/follow', authenticateToken, async (req, res) => {
     );
 
     if (result.rowCount === 0) {
+      const requestResult = await pool.query(
+        `DELETE FROM follow_requests WHERE requester_id = $1 AND target_id = $2 AND status = 'pending'`,
+        [followerId, followingId]
+      );
+
+      if (requestResult.rowCount > 0) {
+        return res.json({
+          success: true,
+          message: 'Follow request cancelled'
+        });
+      }
+
       return res.status(404).json({
         success: false,
         message: 'Not following this user'
@@ -581,8 +1448,302 @@ router.delete('/:username/follow', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/users/{username}/block:
+ *   post:
+ *     summary: Block a user
+ *     description: Removes follow relationships and pending follow requests in both directions. Neither user can then follow, like or comment on the other, and each disappears from the other's profile lookups, feed and comment lists.
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Username of the user to block
+ *     responses:
+ *       200:
+ *         description: User blocked successfully
+ *       400:
+ *         description: Cannot block yourself
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: User already blocked
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:username/block', authenticateToken, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { username } = req.params;
+    const blockerId = req.user.id;
+
+    const userResult = await client.query(
+      'SELECT id FROM users WHERE username = $1 AND is_active = true',
+      [username]
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const blockedId = userResult.rows[0].id;
+
+    if (blockerId === blockedId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot block yourself'
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const blockResult = await client.query(
+      `INSERT INTO user_blocks (blocker_id, blocked_id) VALUES ($1, $2)
+       ON CONFLICT (blocker_id, blocked_id) DO NOTHING`,
+      [blockerId, blockedId]
+    );
+
+    if (blockResult.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: 'User already blocked'
+      });
+    }
+
+    // Sever every connection between the two users
+    await client.query(
+      `DELETE FROM followers
+       WHERE (follower_id = $1 AND following_id = $2) OR (follower_id = $2 AND following_id = $1)`,
+      [blockerId, blockedId]
+    );
+
+    await client.query(
+      `DELETE FROM follow_requests
+       WHERE (requester_id = $1 AND target_id = $2) OR (requester_id = $2 AND target_id = $1)`,
+      [blockerId, blockedId]
+    );
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'User blocked successfully'
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Block user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{username}/block:
+ *   delete:
+ *     summary: Unblock a user
+ *     description: Previous follow relationships are not restored.
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Username of the user to unblock
+ *     responses:
+ *       200:
+ *         description: User unblocked successfully
+ *       404:
+ *         description: User not found or not blocked
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:username/block', authenticateToken, async (req, res) => {
+  try {
+    const { username } = req.params;
+
+    const result = await pool.query(
+      `DELETE FROM user_blocks
+       WHERE blocker_id = $1 AND blocked_id = (SELECT id FROM users WHERE username = $2)`,
+      [req.user.id, username]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not blocked'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'User unblocked successfully'
+    });
+
+  } catch (error) {
+    console.error('Unblock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{username}/mute:
+ *   post:
+ *     summary: Mute a user
+ *     description: Hides the user's posts from your timeline. The muted user is not notified and relationships are unchanged.
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Username of the user to mute
+ *     responses:
+ *       200:
+ *         description: User muted successfully
+ *       400:
+ *         description: Cannot mute yourself
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: User already muted
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:username/mute', authenticateToken, async (req, res) => {
+  try {
+    const { username } = req.params;
+    const muterId = req.user.id;
+
+    const userResult = await pool.query(
+      'SELECT id FROM users WHERE username = $1 AND is_active = true',
+      [username]
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const mutedId = userResult.rows[0].id;
+
+    if (muterId === mutedId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot mute yourself'
+      });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO user_mutes (muter_id, muted_id) VALUES ($1, $2)
+       ON CONFLICT (muter_id, muted_id) DO NOTHING`,
+      [muterId, mutedId]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'User already muted'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'User muted successfully'
+    });
+
+  } catch (error) {
+    console.error('Mute user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{username}/mute:
+ *   delete:
+ *     summary: Unmute a user
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Username of the user to unmute
+ *     responses:
+ *       200:
+ *         description: User unmuted successfully
+ *       404:
+ *         description: User not found or not muted
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:username/mute', authenticateToken, async (req, res) => {
+  try {
+    const { username } = req.params;
+
+    const result = await pool.query(
+      `DELETE FROM user_mutes
+       WHERE muter_id = $1 AND muted_id = (SELECT id FROM users WHERE username = $2)`,
+      [req.user.id, username]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not muted'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'User unmuted successfully'
+    });
+
+  } catch (error) {
+    console.error('Unmute user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 // Get user's followers
-router.get('/:username/followers', async (req, res) => {
+router.get('/:username/followers', optionalAuth, async (req, res) => {
   try {
     const { username } = req.params;
     const { page = 1, limit = 20 } = req.query;
@@ -590,7 +1751,7 @@ router.get('/:username/followers', async (req, res) => {
 
     // Get user
     const userResult = await pool.query(
-      'SELECT id FROM users WHERE username = $1 AND is_active = true',
+      'SELECT id, is_private FROM users WHERE username = $1 AND is_active = true',
       [username]
     );
 
@@ -601,6 +1762,22 @@ router.get('/:username/followers', async (req, res) => {
       });
     }
 
+    const viewerId = req.user ? req.user.id : null;
+
+    if (await isBlocked(viewerId, userResult.rows[0].id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!(await canViewUserContent(userResult.rows[0], viewerId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'This account is private'
+      });
+    }
+
     const userId = userResult.rows[0].id;
 
     // Get followers
@@ -609,9 +1786,13 @@ router.get('/:username/followers', async (req, res) => {
       FROM followers f
       JOIN users u ON f.follower_id = u.id
       WHERE f.following_id = $1 AND u.is_active = true
+        AND NOT EXISTS (
+          SELECT 1 FROM user_blocks b
+          WHERE (b.blocker_id = $4 AND b.blocked_id = u.id) OR (b.blocker_id = u.id AND b.blocked_id = $4)
+        )
       ORDER BY f.created_at DESC
       LIMIT $2 OFFSET $3
-    `, [userId, limit, offset]);
+    `, [userId, limit, offset, viewerId]);
 
     res.json({
       success: true,
@@ -637,7 +1818,7 @@ router.get('/:username/followers', async (req, res) => {
 });
 
 // Get user's following
-router.get('/:username/following', async (req, res) => {
+router.get('/:username/following', optionalAuth, async (req, res) => {
   try {
     const { username } = req.params;
     const { page = 1, limit = 20 } = req.query;
@@ -645,7 +1826,7 @@ router.get('/:username/following', async (req, res) => {
 
     // Get user
     const userResult = await pool.query(
-      'SELECT id FROM users WHERE username = $1 AND is_active = true',
+      'SELECT id, is_private FROM users WHERE username = $1 AND is_active = true',
       [username]
     );
 
@@ -656,6 +1837,22 @@ router.get('/:username/following', async (req, res) => {
       });
     }
 
+    const viewerId = req.user ? req.user.id : null;
+
+    if (await isBlocked(viewerId, userResult.rows[0].id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!(await canViewUserContent(userResult.rows[0], viewerId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'This account is private'
+      });
+    }
+
     const userId = userResult.rows[0].id;
 
     // Get following
@@ -664,9 +1861,13 @@ router.get('/:username/following', async (req, res) => {
       FROM followers f
       JOIN users u ON f.following_id = u.id
       WHERE f.follower_id = $1 AND u.is_active = true
+        AND NOT EXISTS (
+          SELECT 1 FROM user_blocks b
+          WHERE (b.blocker_id = $4 AND b.blocked_id = u.id) OR (b.blocker_id = u.id AND b.blocked_id = $4)
+        )
       ORDER BY f.created_at DESC
       LIMIT $2 OFFSET $3
-    `, [userId, limit, offset]);
+    `, [userId, limit, offset, viewerId]);
 
     res.json({
       success: true,
@@ -0,0 +1,50 @@
+const express = require('express');
+const { getJwks } = require('../config/jwtKeys');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Well-Known
+ *   description: Public discovery endpoints
+ */
+
+/**
+ * @swagger
+ * /.well-known/jwks.json:
+ *   get:
+ *     summary: Public keys used to verify FastGram JWTs
+ *     description: JSON Web Key Set containing the active signing key and any retired keys still accepted for verification. Match a token's `kid` header against the `kid` of each key.
+ *     tags: [Well-Known]
+ *     responses:
+ *       200:
+ *         description: JSON Web Key Set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 keys:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       kid:
+ *                         type: string
+ *                       kty:
+ *                         type: string
+ *                         example: EC
+ *                       alg:
+ *                         type: string
+ *                         example: ES256
+ *                       use:
+ *                         type: string
+ *                         example: sig
+ */
+router.get('/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(getJwks());
+});
+
+module.exports = router;
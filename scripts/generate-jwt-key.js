@@ -0,0 +1,33 @@
+// Generate a JWT signing key in JWT_KEYS_DIR (default: keys/)
+// Usage: npm run jwt:keygen -- [kid] [--rsa]
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+require('dotenv').config();
+
+const args = process.argv.slice(2);
+const useRsa = args.includes('--rsa');
+const kid = args.find((arg) => !arg.startsWith('--')) || new Date().toISOString().slice(0, 10);
+
+if (!/^[A-Za-z0-9_-]+$/.test(kid)) {
+  console.error('Key id may only contain letters, numbers, dashes and underscores');
+  process.exit(1);
+}
+
+const keysDir = path.resolve(process.env.JWT_KEYS_DIR || 'keys');
+const keyPath = path.join(keysDir, `${kid}.pem`);
+
+if (fs.existsSync(keyPath)) {
+  console.error(`Key ${keyPath} already exists`);
+  process.exit(1);
+}
+
+const { privateKey } = useRsa
+  ? crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+  : crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+fs.mkdirSync(keysDir, { recursive: true });
+fs.writeFileSync(keyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+
+console.log(`Created ${useRsa ? 'RS256' : 'ES256'} signing key ${keyPath}`);
+console.log(`Set JWT_ACTIVE_KID=${kid} to sign new tokens with it`);
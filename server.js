@@ -9,6 +9,11 @@ const authRoutes = require("./routes/auth");
 const userRoutes = require("./routes/users");
 const postRoutes = require("./routes/posts");
 const groupRoutes = require("./routes/groups");
+const hashtagRoutes = require("./routes/hashtags");
+const notificationRoutes = require("./routes/notifications");
+const conversationRoutes = require("./routes/conversations");
+const realtimeRoutes = require("./routes/realtime");
+const wellKnownRoutes = require("./routes/wellKnown");
 
 // Import Swagger
 const { swaggerUi, specs } = require("./config/swagger");
@@ -16,6 +21,16 @@ const { swaggerUi, specs } = require("./config/swagger");
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy or load balancer, trust its X-Forwarded-For header so req.ip is the
+// client's address (login throttling and session metadata depend on it). TRUST_PROXY takes
+// "true", a hop count or a comma-separated list of proxy addresses/subnets; unset trusts none
+const parseTrustProxy = (value) => {
+  if (!value || value === "false") return false;
+  if (value === "true") return true;
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+};
+app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY));
+
 // Security middleware
 app.use(helmet());
 
@@ -25,8 +40,9 @@ app.use(cors({
   credentials: false
 }));
 
-// Logging middleware
-app.use(morgan("combined"));
+// Logging middleware (access tokens passed in the query string are kept out of the logs)
+morgan.token("url", (req) => (req.originalUrl || req.url).replace(/access_token=[^&]*/g, "access_token=[redacted]"));
+app.use(morgan("combined", { skip: () => process.env.NODE_ENV === "test" }));
 
 // Body parsing middleware
 app.use(express.json({ limit: "10mb" }));
@@ -55,6 +71,11 @@ app.use("/api/auth", authRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api/posts", postRoutes);
 app.use("/api/groups", groupRoutes);
+app.use("/api/hashtags", hashtagRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/conversations", conversationRoutes);
+app.use("/api/realtime", realtimeRoutes);
+app.use("/.well-known", wellKnownRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -75,8 +96,13 @@ app.use((err, req, res, next) => {
   });
 });
 
-app.listen(PORT, () => {
-  console.log(`🚀 FastGram Backend Server is running on port ${PORT}`);
-  console.log(`📊 Environment: ${process.env.NODE_ENV || "development"}`);
-  console.log(`🔗 Health check: http://localhost:${PORT}/`);
-});
+// Only listen when started directly (tests mount the app on their own port)
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`🚀 FastGram Backend Server is running on port ${PORT}`);
+    console.log(`📊 Environment: ${process.env.NODE_ENV || "development"}`);
+    console.log(`🔗 Health check: http://localhost:${PORT}/`);
+  });
+}
+
+module.exports = app;
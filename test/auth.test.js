@@ -0,0 +1,207 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skip, mails, startApp, stopApp, api, waitForMailToken, createUser } = require('./helpers');
+
+describe('authentication', { skip }, () => {
+  before(startApp);
+  after(stopApp);
+
+  describe('email verification', () => {
+    it('verifies the address from the emailed link, once', async () => {
+      const user = await createUser({ verified: false });
+      const token = await waitForMailToken(user.email);
+
+      let res = await api('POST', '/api/posts/1/comments', { body: { commentText: 'hi' }, token: user.accessToken });
+      assert.equal(res.status, 403);
+
+      res = await api('POST', '/api/auth/verify-email', { body: { token } });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.user.isVerified, true);
+
+      res = await api('POST', '/api/auth/verify-email', { body: { token } });
+      assert.equal(res.status, 400);
+    });
+
+    it('requires verifying a new email address again', async () => {
+      const user = await createUser();
+      const sent = mails.length;
+
+      let res = await api('PUT', '/api/users/profile', { body: { email: `new_${user.email}` }, token: user.accessToken });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.user.isVerified, false);
+
+      const token = await waitForMailToken(`new_${user.email}`, sent);
+      res = await api('POST', '/api/auth/verify-email', { body: { token } });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.user.email, `new_${user.email}`);
+    });
+  });
+
+  describe('password reset', () => {
+    it('answers the same for unknown and known addresses', async () => {
+      const user = await createUser();
+
+      const unknown = await api('POST', '/api/auth/forgot-password', { body: { email: 'nobody@example.com' } });
+      const known = await api('POST', '/api/auth/forgot-password', { body: { email: user.email } });
+
+      assert.equal(unknown.status, 200);
+      assert.equal(known.status, unknown.status);
+      assert.deepEqual(known.body, unknown.body);
+    });
+
+    it('sends one reset email per cooldown but answers the same', async () => {
+      const user = await createUser();
+      const sent = mails.length;
+
+      const first = await api('POST', '/api/auth/forgot-password', { body: { email: user.email } });
+      await waitForMailToken(user.email, sent);
+
+      const second = await api('POST', '/api/auth/forgot-password', { body: { email: user.email } });
+      assert.equal(second.status, first.status);
+      assert.deepEqual(second.body, first.body);
+
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      assert.equal(mails.slice(sent).filter((mail) => mail.to === user.email).length, 1);
+    });
+
+    it('resets the password with a single-use token and signs out every session', async () => {
+      const user = await createUser();
+      const sent = mails.length;
+
+      await api('POST', '/api/auth/forgot-password', { body: { email: user.email } });
+      const token = await waitForMailToken(user.email, sent);
+
+      let res = await api('POST', '/api/auth/reset-password', { body: { token, newPassword: 'newpass123' } });
+      assert.equal(res.status, 200);
+
+      res = await api('POST', '/api/auth/reset-password', { body: { token, newPassword: 'other123' } });
+      assert.equal(res.status, 400);
+
+      res = await api('POST', '/api/auth/refresh', { body: { refreshToken: user.refreshToken } });
+      assert.equal(res.status, 403);
+
+      res = await api('POST', '/api/auth/login', { body: { email: user.email, password: 'newpass123' } });
+      assert.equal(res.status, 200);
+    });
+  });
+
+  describe('two-factor authentication', () => {
+    const { generateCode } = require('../utils/totp');
+
+    // Codes are single use per 30 second step, so the next step's code is used to sign in again
+    const codeForNextStep = (secret) => generateCode(secret, Math.floor(Date.now() / 30000) + 1);
+
+    // Sign in with the password and return the challenge for the second factor
+    const startLogin = async (user) => {
+      const res = await api('POST', '/api/auth/login', { body: { email: user.email, password: user.password } });
+      assert.equal(res.body.data.twoFactorRequired, true);
+      assert.equal(res.body.data.accessToken, undefined);
+      return res.body.data.challengeToken;
+    };
+
+    it('enables 2FA, rejects replayed codes and accepts each recovery code once', async () => {
+      const user = await createUser();
+
+      let res = await api('POST', '/api/auth/2fa/setup', { token: user.accessToken });
+      assert.equal(res.status, 200);
+      const { secret } = res.body.data;
+
+      res = await api('POST', '/api/auth/2fa/confirm', { body: { code: '000000' }, token: user.accessToken });
+      assert.equal(res.status, 400);
+
+      const confirmCode = generateCode(secret);
+      res = await api('POST', '/api/auth/2fa/confirm', { body: { code: confirmCode }, token: user.accessToken });
+      assert.equal(res.status, 200);
+      const { recoveryCodes } = res.body.data;
+      assert.equal(recoveryCodes.length, 10);
+
+      const challengeToken = await startLogin(user);
+
+      res = await api('POST', '/api/auth/login/2fa', { body: { challengeToken, code: confirmCode } });
+      assert.equal(res.status, 401);
+
+      res = await api('POST', '/api/auth/login/2fa', { body: { challengeToken, code: codeForNextStep(secret) } });
+      assert.equal(res.status, 200);
+      assert.ok(res.body.data.accessToken);
+
+      res = await api('POST', '/api/auth/login/2fa', { body: { challengeToken: await startLogin(user), code: recoveryCodes[0] } });
+      assert.equal(res.status, 200);
+
+      res = await api('POST', '/api/auth/login/2fa', { body: { challengeToken: await startLogin(user), code: recoveryCodes[0] } });
+      assert.equal(res.status, 401);
+    });
+
+    it('replaces recovery codes when they are regenerated', async () => {
+      const user = await createUser();
+
+      let res = await api('POST', '/api/auth/2fa/setup', { token: user.accessToken });
+      const { secret } = res.body.data;
+      res = await api('POST', '/api/auth/2fa/confirm', { body: { code: generateCode(secret) }, token: user.accessToken });
+      const oldCodes = res.body.data.recoveryCodes;
+
+      res = await api('POST', '/api/auth/2fa/recovery-codes', { body: { code: codeForNextStep(secret) }, token: user.accessToken });
+      assert.equal(res.status, 200);
+      const newCodes = res.body.data.recoveryCodes;
+      assert.equal(newCodes.length, 10);
+
+      const challengeToken = await startLogin(user);
+
+      res = await api('POST', '/api/auth/login/2fa', { body: { challengeToken, code: oldCodes[0] } });
+      assert.equal(res.status, 401);
+
+      res = await api('POST', '/api/auth/login/2fa', { body: { challengeToken, code: newCodes[0] } });
+      assert.equal(res.status, 200);
+    });
+
+    it('locks code checks for signed-in users after repeated failures', async () => {
+      const { setThrottleStore } = require('../middleware/loginThrottle');
+      const { createMemoryStore } = require('../utils/throttleStore');
+      const user = await createUser();
+
+      let res = await api('POST', '/api/auth/2fa/setup', { token: user.accessToken });
+      const { secret } = res.body.data;
+      await api('POST', '/api/auth/2fa/confirm', { body: { code: generateCode(secret) }, token: user.accessToken });
+
+      // Start from clean counters so earlier failures from this IP don't count
+      setThrottleStore(createMemoryStore());
+
+      for (let attempt = 0; attempt < 5; attempt++) {
+        res = await api('POST', '/api/auth/2fa/recovery-codes', { body: { code: '000000' }, token: user.accessToken });
+        assert.equal(res.status, 401);
+      }
+
+      res = await api('POST', '/api/auth/2fa/recovery-codes', { body: { code: codeForNextStep(secret) }, token: user.accessToken });
+      assert.equal(res.status, 429);
+      assert.ok(Number(res.headers.get('retry-after')) > 0);
+
+      res = await api('POST', '/api/auth/2fa/disable', { body: { password: user.password, code: codeForNextStep(secret) }, token: user.accessToken });
+      assert.equal(res.status, 429);
+
+      setThrottleStore(createMemoryStore());
+    });
+  });
+
+  describe('refresh tokens', () => {
+    it('rotates on every refresh', async () => {
+      const user = await createUser();
+
+      const res = await api('POST', '/api/auth/refresh', { body: { refreshToken: user.refreshToken } });
+      assert.equal(res.status, 200);
+      assert.notEqual(res.body.data.refreshToken, user.refreshToken);
+    });
+
+    it('revokes the whole session when a rotated token is reused', async () => {
+      const user = await createUser();
+
+      const first = await api('POST', '/api/auth/refresh', { body: { refreshToken: user.refreshToken } });
+      const { refreshToken } = first.body.data;
+
+      let res = await api('POST', '/api/auth/refresh', { body: { refreshToken: user.refreshToken } });
+      assert.equal(res.status, 403);
+      assert.match(res.body.message, /reuse/);
+
+      res = await api('POST', '/api/auth/refresh', { body: { refreshToken } });
+      assert.equal(res.status, 403);
+    });
+  });
+});
@@ -0,0 +1,66 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skip, startApp, stopApp, api, fakeCloudinary, createUser } = require('./helpers');
+
+describe('profile pictures', { skip }, () => {
+  let pool;
+  let cloudinary;
+
+  before(async () => {
+    await startApp();
+    pool = require('../config/database');
+    cloudinary = fakeCloudinary();
+  });
+  after(stopApp);
+
+  const uploadAvatar = async (user) => {
+    const form = new FormData();
+    form.append('image', new Blob([Buffer.from('fake image')], { type: 'image/png' }), 'avatar.png');
+
+    const res = await api('POST', '/api/users/profile/picture', { form, token: user.accessToken });
+    assert.equal(res.status, 200);
+    return cloudinary.uploads[cloudinary.uploads.length - 1];
+  };
+
+  it('deletes the previous uploaded avatar when it is replaced or removed', async () => {
+    const user = await createUser();
+
+    const first = await uploadAvatar(user);
+    const second = await uploadAvatar(user);
+    assert.ok(cloudinary.destroyed.includes(first));
+
+    const res = await api('DELETE', '/api/users/profile/picture', { token: user.accessToken });
+    assert.equal(res.status, 200);
+    assert.ok(cloudinary.destroyed.includes(second));
+  });
+
+  it('does not accept Cloudinary URLs through the profile update', async () => {
+    const user = await createUser();
+
+    let res = await api('PUT', '/api/users/profile', { body: { profilePictureUrl: 'https://res.cloudinary.com/test/image/upload/v1/fastgram/avatars/avatar_1_1.jpg' }, token: user.accessToken });
+    assert.equal(res.status, 400);
+
+    const uploaded = await uploadAvatar(user);
+    res = await api('PUT', '/api/users/profile', { body: { profilePictureUrl: 'https://example.com/me.jpg' }, token: user.accessToken });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.user.profilePictureUrl, 'https://example.com/me.jpg');
+    assert.ok(cloudinary.destroyed.includes(uploaded));
+  });
+
+  it("never deletes another user's avatar", async () => {
+    const victim = await createUser();
+    const attacker = await createUser();
+    const victimAvatar = await uploadAvatar(victim);
+
+    // A URL copied from the victim, as could be stored before uploads were tracked by public ID
+    await pool.query(
+      'UPDATE users SET profile_picture_url = (SELECT profile_picture_url FROM users WHERE id = $1) WHERE id = $2',
+      [victim.id, attacker.id]
+    );
+
+    await uploadAvatar(attacker);
+    await api('DELETE', '/api/users/profile/picture', { token: attacker.accessToken });
+
+    assert.ok(!cloudinary.destroyed.includes(victimAvatar));
+  });
+});
@@ -0,0 +1,542 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skip, startApp, stopApp, api, createUser } = require('./helpers');
+
+describe('groups', { skip }, () => {
+  let pool;
+
+  before(async () => {
+    await startApp();
+    pool = require('../config/database');
+  });
+  after(stopApp);
+
+  const createGroup = async (owner, options = {}) => {
+    const res = await api('POST', '/api/groups', { body: { name: 'Test group', ...options }, token: owner.accessToken });
+    assert.equal(res.status, 201);
+    return res.body.data.group.id;
+  };
+
+  // Add a user to the group with a role (the owner adds them, then sets the role)
+  const addMember = async (groupId, owner, user, role = 'member') => {
+    let res = await api('POST', `/api/groups/${groupId}/members`, { body: { userId: user.id }, token: owner.accessToken });
+    assert.equal(res.status, 201);
+
+    if (role !== 'member') {
+      res = await api('PUT', `/api/groups/${groupId}/members/${user.id}/role`, { body: { role }, token: owner.accessToken });
+      assert.equal(res.status, 200);
+    }
+  };
+
+  const roleOf = async (groupId, user) => {
+    const result = await pool.query('SELECT role FROM group_members WHERE group_id = $1 AND user_id = $2', [groupId, user.id]);
+    return result.rows.length > 0 ? result.rows[0].role : null;
+  };
+
+  describe('roles', () => {
+    // One group with a member of each role, plus a spare member to act on
+    const setupRoles = async () => {
+      const users = {
+        owner: await createUser(),
+        admin: await createUser(),
+        moderator: await createUser(),
+        member: await createUser()
+      };
+      const groupId = await createGroup(users.owner);
+      for (const role of ['admin', 'moderator', 'member']) {
+        await addMember(groupId, users.owner, users[role], role);
+      }
+      return { groupId, users };
+    };
+
+    it('gate group actions by the permission matrix', async () => {
+      const { groupId, users } = await setupRoles();
+      const outsider = await createUser();
+
+      const allowed = async (user, method, path, body) => {
+        const res = await api(method, `/api/groups/${groupId}${path}`, { body, token: user.accessToken });
+        assert.notEqual(res.status, 500);
+        return res.status !== 403;
+      };
+
+      for (const [role, canUpdate, canManage] of [['member', false, false], ['moderator', false, false], ['admin', true, true]]) {
+        const user = users[role];
+        assert.equal(await allowed(user, 'PUT', '', { description: role }), canUpdate, `${role} updating the group`);
+        assert.equal(await allowed(user, 'GET', '/invites'), canManage, `${role} listing invites`);
+        assert.equal(await allowed(user, 'GET', '/bans'), canManage, `${role} listing bans`);
+        assert.equal(await allowed(user, 'DELETE', ''), false, `${role} deleting the group`);
+      }
+      assert.equal(await allowed(outsider, 'PUT', '', { description: 'outsider' }), false);
+
+      assert.equal(await allowed(users.admin, 'POST', '/members', { userId: outsider.id }), true);
+      assert.equal(await allowed(users.owner, 'DELETE', ''), true);
+    });
+
+    it('only let members change the roles of members below them, to roles below their own', async () => {
+      const { groupId, users } = await setupRoles();
+      const setRole = async (actor, target, role) => {
+        const res = await api('PUT', `/api/groups/${groupId}/members/${target.id}/role`, { body: { role }, token: actor.accessToken });
+        return res.status;
+      };
+
+      assert.equal(await setRole(users.moderator, users.member, 'moderator'), 403);
+      assert.equal(await setRole(users.admin, users.member, 'admin'), 403);
+      assert.equal(await setRole(users.admin, users.member, 'owner'), 400);
+      assert.equal(await setRole(users.admin, users.moderator, 'member'), 200);
+      assert.equal(await setRole(users.admin, users.owner, 'member'), 403);
+      assert.equal(await setRole(users.owner, users.admin, 'moderator'), 200);
+      assert.equal(await roleOf(groupId, users.admin), 'moderator');
+    });
+
+    it('only let moderators remove members below them', async () => {
+      const { groupId, users } = await setupRoles();
+      const remove = async (actor, target) => {
+        const res = await api('DELETE', `/api/groups/${groupId}/members/${target.id}`, { token: actor.accessToken });
+        return res.status;
+      };
+
+      assert.equal(await remove(users.member, users.moderator), 403);
+      assert.equal(await remove(users.moderator, users.admin), 403);
+      assert.equal(await remove(users.moderator, users.member), 200);
+      assert.equal(await remove(users.admin, users.admin), 200);
+      assert.equal(await roleOf(groupId, users.member), null);
+      assert.equal(await roleOf(groupId, users.admin), null);
+    });
+  });
+
+  describe('ownership', () => {
+    const ownerOf = async (groupId) => {
+      const result = await pool.query('SELECT owner_id FROM groups WHERE id = $1', [groupId]);
+      return result.rows[0].owner_id;
+    };
+
+    it('moves only when the new owner accepts', async () => {
+      const owner = await createUser();
+      const admin = await createUser();
+      const member = await createUser();
+      const groupId = await createGroup(owner);
+      await addMember(groupId, owner, admin, 'admin');
+      await addMember(groupId, owner, member);
+
+      let res = await api('POST', `/api/groups/${groupId}/ownership-transfer`, { body: { userId: member.id }, token: admin.accessToken });
+      assert.equal(res.status, 403);
+
+      res = await api('POST', `/api/groups/${groupId}/ownership-transfer`, { body: { userId: member.id }, token: owner.accessToken });
+      assert.equal(res.status, 201);
+      assert.equal(await ownerOf(groupId), owner.id);
+
+      res = await api('POST', `/api/groups/${groupId}/ownership-transfer/accept`, { token: admin.accessToken });
+      assert.equal(res.status, 404);
+
+      res = await api('POST', `/api/groups/${groupId}/ownership-transfer/accept`, { token: member.accessToken });
+      assert.equal(res.status, 200);
+      assert.equal(await ownerOf(groupId), member.id);
+      assert.equal(await roleOf(groupId, member), 'owner');
+      assert.equal(await roleOf(groupId, owner), 'admin');
+    });
+
+    it('passes to the longest-standing admin when the owner leaves', async () => {
+      const owner = await createUser();
+      const member = await createUser();
+      const admin = await createUser();
+      const groupId = await createGroup(owner);
+      await addMember(groupId, owner, member);
+      await addMember(groupId, owner, admin, 'admin');
+
+      const res = await api('DELETE', `/api/groups/${groupId}/members/${owner.id}`, { token: owner.accessToken });
+      assert.equal(res.status, 200);
+      assert.equal(await ownerOf(groupId), admin.id);
+      assert.equal(await roleOf(groupId, admin), 'owner');
+    });
+
+    it('keeps a group read-only when its last member is deleted', async () => {
+      const owner = await createUser();
+      const user = await createUser();
+      const groupId = await createGroup(owner);
+      const res = await api('POST', `/api/groups/${groupId}/invites`, { token: owner.accessToken });
+      const { code } = res.body.data.invite;
+
+      const leave = await api('DELETE', `/api/groups/${groupId}/members/${owner.id}`, { token: owner.accessToken });
+      assert.equal(leave.status, 400);
+
+      await pool.query('DELETE FROM users WHERE id = $1', [owner.id]);
+      assert.equal(await ownerOf(groupId), null);
+
+      for (const path of [`/api/groups/${groupId}/join`, `/api/groups/join/${code}`]) {
+        const join = await api('POST', path, { token: user.accessToken });
+        assert.equal(join.status, 403);
+      }
+      assert.equal(await roleOf(groupId, user), null);
+      assert.equal(await ownerOf(groupId), null);
+    });
+  });
+
+  describe('join requests', () => {
+    const join = (groupId, user) => api('POST', `/api/groups/${groupId}/join`, { body: { message: 'let me in' }, token: user.accessToken });
+
+    it('adds members to public groups straight away', async () => {
+      const owner = await createUser();
+      const user = await createUser();
+      const groupId = await createGroup(owner);
+
+      const res = await join(groupId, user);
+      assert.equal(res.body.data.membershipStatus, 'member');
+      assert.equal(await roleOf(groupId, user), 'member');
+    });
+
+    it('lets admins approve requests to private groups', async () => {
+      const owner = await createUser();
+      const admin = await createUser();
+      const moderator = await createUser();
+      const user = await createUser();
+      const groupId = await createGroup(owner, { isPrivate: true });
+      await addMember(groupId, owner, admin, 'admin');
+      await addMember(groupId, owner, moderator, 'moderator');
+
+      let res = await join(groupId, user);
+      assert.equal(res.body.data.membershipStatus, 'requested');
+      const { requestId } = res.body.data;
+      assert.equal(await roleOf(groupId, user), null);
+
+      res = await join(groupId, user);
+      assert.equal(res.status, 409);
+
+      res = await api('GET', `/api/groups/${groupId}/join-requests`, { token: moderator.accessToken });
+      assert.equal(res.status, 403);
+      res = await api('POST', `/api/groups/${groupId}/join-requests/${requestId}/approve`, { token: moderator.accessToken });
+      assert.equal(res.status, 403);
+
+      res = await api('GET', `/api/groups/${groupId}/join-requests`, { token: admin.accessToken });
+      assert.deepEqual(res.body.data.requests.map((request) => [request.user_id, request.message]), [[user.id, 'let me in']]);
+
+      res = await api('POST', `/api/groups/${groupId}/join-requests/${requestId}/approve`, { token: admin.accessToken });
+      assert.equal(res.status, 200);
+      assert.equal(await roleOf(groupId, user), 'member');
+
+      res = await api('GET', '/api/notifications', { token: user.accessToken });
+      assert.equal(res.body.data.notifications[0].type, 'group_join_approved');
+    });
+
+    it('lets rejected users ask again and cancel their request', async () => {
+      const owner = await createUser();
+      const user = await createUser();
+      const groupId = await createGroup(owner, { isPrivate: true });
+
+      let res = await join(groupId, user);
+      res = await api('POST', `/api/groups/${groupId}/join-requests/${res.body.data.requestId}/reject`, { token: owner.accessToken });
+      assert.equal(res.status, 200);
+      assert.equal(await roleOf(groupId, user), null);
+
+      res = await join(groupId, user);
+      assert.equal(res.body.data.membershipStatus, 'requested');
+
+      res = await api('DELETE', `/api/groups/${groupId}/join`, { token: user.accessToken });
+      assert.equal(res.status, 200);
+      res = await api('DELETE', `/api/groups/${groupId}/join`, { token: user.accessToken });
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('invites', () => {
+    const createInvite = async (groupId, user, body = {}) => {
+      const res = await api('POST', `/api/groups/${groupId}/invites`, { body, token: user.accessToken });
+      return res.status === 201 ? res.body.data.invite : res.status;
+    };
+
+    const redeem = (invite, user) => api('POST', `/api/groups/join/${invite.code}`, { token: user.accessToken });
+
+    it('can only be created by admins for roles below their own', async () => {
+      const owner = await createUser();
+      const admin = await createUser();
+      const moderator = await createUser();
+      const [first, second] = [await createUser(), await createUser()];
+      const groupId = await createGroup(owner, { isPrivate: true });
+      await addMember(groupId, owner, admin, 'admin');
+      await addMember(groupId, owner, moderator, 'moderator');
+
+      assert.equal(await createInvite(groupId, moderator), 403);
+      assert.equal(await createInvite(groupId, admin, { role: 'admin' }), 403);
+
+      const invite = await createInvite(groupId, admin, { role: 'moderator', maxUses: 1 });
+      let res = await redeem(invite, first);
+      assert.equal(res.status, 200);
+      assert.equal(await roleOf(groupId, first), 'moderator');
+
+      res = await redeem(invite, first);
+      assert.equal(res.status, 410);
+      res = await redeem(invite, second);
+      assert.equal(res.status, 410);
+    });
+
+    it('stop working once revoked or expired', async () => {
+      const owner = await createUser();
+      const user = await createUser();
+      const groupId = await createGroup(owner, { isPrivate: true });
+
+      const revoked = await createInvite(groupId, owner);
+      let res = await api('DELETE', `/api/groups/${groupId}/invites/${revoked.id}`, { token: owner.accessToken });
+      assert.equal(res.status, 200);
+      res = await redeem(revoked, user);
+      assert.equal(res.status, 410);
+
+      const expired = await createInvite(groupId, owner, { expiresInHours: 1 });
+      await pool.query("UPDATE group_invites SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 minute' WHERE id = $1", [expired.id]);
+      res = await redeem(expired, user);
+      assert.equal(res.status, 410);
+      assert.equal(await roleOf(groupId, user), null);
+    });
+
+    it("follow their creator's current role", async () => {
+      const owner = await createUser();
+      const admin = await createUser();
+      const newOwner = await createUser();
+      const [first, second] = [await createUser(), await createUser()];
+      const groupId = await createGroup(owner, { isPrivate: true });
+      await addMember(groupId, owner, admin, 'admin');
+      await addMember(groupId, owner, newOwner);
+
+      const adminInvite = await createInvite(groupId, admin);
+      const ownerInvite = await createInvite(groupId, owner, { role: 'admin' });
+
+      // A demoted admin's invites no longer let anyone in
+      await api('PUT', `/api/groups/${groupId}/members/${admin.id}/role`, { body: { role: 'member' }, token: owner.accessToken });
+      let res = await redeem(adminInvite, first);
+      assert.equal(res.status, 410);
+      assert.equal(await roleOf(groupId, first), null);
+
+      // Once the owner hands over ownership they are an admin, so their admin invite grants moderator
+      await api('POST', `/api/groups/${groupId}/ownership-transfer`, { body: { userId: newOwner.id }, token: owner.accessToken });
+      res = await api('POST', `/api/groups/${groupId}/ownership-transfer/accept`, { token: newOwner.accessToken });
+      assert.equal(res.status, 200);
+
+      res = await redeem(ownerInvite, second);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.role, 'moderator');
+      assert.equal(await roleOf(groupId, second), 'moderator');
+    });
+  });
+
+  describe('bans', () => {
+    const ban = (groupId, actor, user, body = {}) => api('POST', `/api/groups/${groupId}/bans`, { body: { userId: user.id, ...body }, token: actor.accessToken });
+
+    it('remove the member and keep them out until lifted', async () => {
+      const owner = await createUser();
+      const admin = await createUser();
+      const moderator = await createUser();
+      const member = await createUser();
+      const groupId = await createGroup(owner);
+      await addMember(groupId, owner, admin, 'admin');
+      await addMember(groupId, owner, moderator, 'moderator');
+      await addMember(groupId, owner, member);
+      const invite = (await api('POST', `/api/groups/${groupId}/invites`, { token: owner.accessToken })).body.data.invite;
+
+      let res = await ban(groupId, member, moderator);
+      assert.equal(res.status, 403);
+      res = await ban(groupId, moderator, admin);
+      assert.equal(res.status, 403);
+
+      res = await ban(groupId, moderator, member, { reason: 'spam' });
+      assert.equal(res.status, 201);
+      assert.equal(await roleOf(groupId, member), null);
+
+      res = await api('POST', `/api/groups/${groupId}/join`, { token: member.accessToken });
+      assert.equal(res.status, 403);
+      res = await api('POST', `/api/groups/join/${invite.code}`, { token: member.accessToken });
+      assert.equal(res.status, 403);
+      res = await api('POST', `/api/groups/${groupId}/members`, { body: { userId: member.id }, token: admin.accessToken });
+      assert.equal(res.status, 409);
+
+      res = await api('GET', `/api/groups/${groupId}/bans`, { token: moderator.accessToken });
+      assert.equal(res.status, 403);
+      res = await api('GET', `/api/groups/${groupId}/bans`, { token: admin.accessToken });
+      assert.deepEqual(res.body.data.bans.map((item) => [item.user_id, item.reason]), [[member.id, 'spam']]);
+
+      res = await api('DELETE', `/api/groups/${groupId}/bans/${member.id}`, { token: moderator.accessToken });
+      assert.equal(res.status, 403);
+      res = await api('DELETE', `/api/groups/${groupId}/bans/${member.id}`, { token: admin.accessToken });
+      assert.equal(res.status, 200);
+
+      res = await api('POST', `/api/groups/join/${invite.code}`, { token: member.accessToken });
+      assert.equal(res.status, 200);
+    });
+
+    it('reject pending join requests and end when they expire', async () => {
+      const owner = await createUser();
+      const user = await createUser();
+      const groupId = await createGroup(owner, { isPrivate: true });
+
+      await api('POST', `/api/groups/${groupId}/join`, { token: user.accessToken });
+      let res = await ban(groupId, owner, user, { durationHours: 1 });
+      assert.equal(res.status, 201);
+
+      res = await api('GET', `/api/groups/${groupId}/join-requests`, { token: owner.accessToken });
+      assert.deepEqual(res.body.data.requests, []);
+
+      res = await api('POST', `/api/groups/${groupId}/join`, { token: user.accessToken });
+      assert.equal(res.status, 403);
+      assert.match(res.body.message, /until/);
+
+      await pool.query("UPDATE group_bans SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 minute' WHERE group_id = $1", [groupId]);
+      res = await api('POST', `/api/groups/${groupId}/join`, { token: user.accessToken });
+      assert.equal(res.body.data.membershipStatus, 'requested');
+    });
+  });
+
+  describe('posts', () => {
+    const post = async (groupId, user, caption) => {
+      const res = await api('POST', `/api/groups/${groupId}/posts`, { body: { caption }, token: user.accessToken });
+      assert.equal(res.status, 201);
+      return res.body.data.post;
+    };
+
+    const listed = async (groupId, user) => {
+      const res = await api('GET', `/api/groups/${groupId}/posts`, { token: user.accessToken });
+      assert.equal(res.status, 200);
+      return res.body.data.posts.map((item) => [item.id, item.moderation_status]);
+    };
+
+    it('in private groups are only listed for members', async () => {
+      const owner = await createUser();
+      const member = await createUser();
+      const outsider = await createUser();
+      const groupId = await createGroup(owner, { isPrivate: true });
+      await addMember(groupId, owner, member);
+      const { id } = await post(groupId, owner, 'members only');
+
+      assert.deepEqual(await listed(groupId, member), [[id, 'approved']]);
+
+      let res = await api('GET', `/api/groups/${groupId}/posts`, { token: outsider.accessToken });
+      assert.equal(res.status, 403);
+      res = await api('GET', '/api/groups/999999999/posts', { token: outsider.accessToken });
+      assert.equal(res.status, 404);
+    });
+
+    it('wait for review when the group requires approval', async () => {
+      const owner = await createUser();
+      const moderator = await createUser();
+      const author = await createUser();
+      const member = await createUser();
+      const groupId = await createGroup(owner, { requirePostApproval: true });
+      await addMember(groupId, owner, moderator, 'moderator');
+      await addMember(groupId, owner, author);
+      await addMember(groupId, owner, member);
+
+      const fromModerator = await post(groupId, moderator, 'published');
+      assert.equal(fromModerator.moderation_status, 'approved');
+
+      const pending = await post(groupId, author, `hello @${member.username}`);
+      assert.equal(pending.moderation_status, 'pending');
+      assert.deepEqual(await listed(groupId, member), [[fromModerator.id, 'approved']]);
+      assert.deepEqual(await listed(groupId, author), [[pending.id, 'pending'], [fromModerator.id, 'approved']]);
+
+      let res = await api('GET', `/api/groups/${groupId}/pending-posts`, { token: member.accessToken });
+      assert.equal(res.status, 403);
+      res = await api('GET', `/api/groups/${groupId}/pending-posts`, { token: moderator.accessToken });
+      assert.deepEqual(res.body.data.posts.map((item) => item.id), [pending.id]);
+
+      res = await api('GET', '/api/notifications', { token: member.accessToken });
+      assert.ok(!res.body.data.notifications.some((item) => item.type === 'mention'));
+
+      res = await api('POST', `/api/groups/${groupId}/posts/${pending.id}/approve`, { token: member.accessToken });
+      assert.equal(res.status, 403);
+      res = await api('POST', `/api/groups/${groupId}/posts/${pending.id}/approve`, { token: moderator.accessToken });
+      assert.equal(res.status, 200);
+
+      assert.deepEqual(await listed(groupId, member), [[pending.id, 'approved'], [fromModerator.id, 'approved']]);
+      res = await api('GET', '/api/notifications', { token: member.accessToken });
+      assert.ok(res.body.data.notifications.some((item) => item.type === 'mention' && item.post.id === pending.id));
+      res = await api('GET', '/api/notifications', { token: author.accessToken });
+      assert.equal(res.body.data.notifications[0].type, 'group_post_approved');
+    });
+
+    it('stay visible to their author with the reason once rejected', async () => {
+      const owner = await createUser();
+      const author = await createUser();
+      const member = await createUser();
+      const groupId = await createGroup(owner, { requirePostApproval: true });
+      await addMember(groupId, owner, author);
+      await addMember(groupId, owner, member);
+
+      const pending = await post(groupId, author, 'off topic');
+      let res = await api('POST', `/api/groups/${groupId}/posts/${pending.id}/reject`, { body: { reason: 'Off topic' }, token: owner.accessToken });
+      assert.equal(res.status, 200);
+
+      res = await api('POST', `/api/groups/${groupId}/posts/${pending.id}/approve`, { token: owner.accessToken });
+      assert.equal(res.status, 404);
+
+      assert.deepEqual(await listed(groupId, author), [[pending.id, 'rejected']]);
+      assert.deepEqual(await listed(groupId, member), []);
+      assert.deepEqual(await listed(groupId, owner), []);
+
+      res = await api('GET', '/api/notifications', { token: author.accessToken });
+      assert.match(res.body.data.notifications[0].message, /rejected your post in .*: Off topic$/);
+    });
+  });
+
+  describe('chat', () => {
+    const send = (groupId, user, content) => api('POST', `/api/groups/${groupId}/messages`, { body: { content }, token: user.accessToken });
+
+    it('is only open to members', async () => {
+      const owner = await createUser();
+      const outsider = await createUser();
+      const groupId = await createGroup(owner);
+
+      let res = await send(groupId, owner, 'hello');
+      assert.equal(res.status, 201);
+
+      res = await send(groupId, outsider, 'hi');
+      assert.equal(res.status, 403);
+      res = await api('GET', `/api/groups/${groupId}/messages`, { token: outsider.accessToken });
+      assert.equal(res.status, 403);
+
+      res = await api('GET', `/api/groups/${groupId}/messages`, { token: owner.accessToken });
+      assert.deepEqual(res.body.data.messages.map((message) => message.content), ['hello']);
+    });
+
+    it('lets only the author edit, within the edit window', async () => {
+      const owner = await createUser();
+      const member = await createUser();
+      const groupId = await createGroup(owner);
+      await addMember(groupId, owner, member);
+
+      let res = await send(groupId, member, 'first');
+      const messageId = res.body.data.message.id;
+      const edit = (user, content) => api('PUT', `/api/groups/${groupId}/messages/${messageId}`, { body: { content }, token: user.accessToken });
+
+      res = await edit(owner, 'owner edit');
+      assert.equal(res.status, 403);
+
+      res = await edit(member, 'second');
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.message.content, 'second');
+      assert.ok(res.body.data.message.edited_at);
+
+      await pool.query("UPDATE group_messages SET created_at = created_at - INTERVAL '16 minutes' WHERE id = $1", [messageId]);
+      res = await edit(member, 'too late');
+      assert.equal(res.status, 403);
+    });
+
+    it('lets authors and moderators delete messages', async () => {
+      const owner = await createUser();
+      const moderator = await createUser();
+      const member = await createUser();
+      const groupId = await createGroup(owner);
+      await addMember(groupId, owner, moderator, 'moderator');
+      await addMember(groupId, owner, member);
+
+      let res = await send(groupId, owner, 'one');
+      const ownerMessageId = res.body.data.message.id;
+      res = await send(groupId, member, 'two');
+      const memberMessageId = res.body.data.message.id;
+
+      res = await api('DELETE', `/api/groups/${groupId}/messages/${ownerMessageId}`, { token: member.accessToken });
+      assert.equal(res.status, 403);
+
+      res = await api('DELETE', `/api/groups/${groupId}/messages/${memberMessageId}`, { token: member.accessToken });
+      assert.equal(res.status, 200);
+
+      res = await api('DELETE', `/api/groups/${groupId}/messages/${ownerMessageId}`, { token: moderator.accessToken });
+      assert.equal(res.status, 200);
+    });
+  });
+});
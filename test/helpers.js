@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+require('dotenv').config();
+
+// Tests run against their own database: never point TEST_DATABASE_URL at data you want to keep
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+const skip = TEST_DATABASE_URL ? false : 'TEST_DATABASE_URL is not set';
+
+if (TEST_DATABASE_URL) {
+  process.env.DATABASE_URL = TEST_DATABASE_URL;
+  process.env.NODE_ENV = 'test';
+}
+
+// Every email sent during the tests, captured instead of delivered
+const mails = [];
+
+let server;
+let baseUrl;
+
+/**
+ * Start the app on a free port once the database is ready
+ * @returns {Promise<void>}
+ */
+const startApp = async () => {
+  const pool = require('../config/database');
+  const { setTransport } = require('../utils/mailer');
+  const app = require('../server');
+
+  setTransport({
+    sendMail: async (message) => {
+      mails.push(message);
+      return { messageId: `test-${mails.length}` };
+    }
+  });
+
+  await pool.initialized;
+
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://localhost:${server.address().port}`;
+};
+
+/**
+ * Stop the app and close the database pool
+ * @returns {Promise<void>}
+ */
+const stopApp = async () => {
+  const pool = require('../config/database');
+
+  if (server) {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  }
+  await pool.end();
+};
+
+/**
+ * Call the API
+ * @param {String} method - HTTP method
+ * @param {String} path - Path starting with /api
+ * @param {Object} options - { body, form: FormData for multipart uploads, token, headers }
+ * @returns {Promise<Object>} - { status, headers, body }
+ */
+const api = async (method, path, { body, form, token, headers: extraHeaders } = {}) => {
+  const headers = { ...extraHeaders };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  if (body) headers['Content-Type'] = 'application/json';
+
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers,
+    body: form || (body ? JSON.stringify(body) : undefined)
+  });
+
+  return { status: response.status, headers: response.headers, body: await response.json() };
+};
+
+/**
+ * Open the realtime event stream
+ * @param {Object} user - User from createUser
+ * @param {String} query - Query string, e.g. '?posts=1'
+ * @returns {Promise<Object>} - { status, next(type), close() }; next resolves with the data of
+ *   the next event of that type, or null when the stream ends first
+ */
+const openEventStream = async (user, query = '') => {
+  const controller = new AbortController();
+  const response = await fetch(`${baseUrl}/api/realtime/events${query}`, {
+    headers: { Authorization: `Bearer ${user.accessToken}` },
+    signal: controller.signal
+  });
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+
+  const next = async (type) => {
+    for (;;) {
+      const end = buffer.indexOf('\n\n');
+      if (end === -1) {
+        const { value, done } = await reader.read();
+        if (done) return null;
+        buffer += value;
+        continue;
+      }
+
+      const fields = Object.fromEntries(buffer.slice(0, end).split('\n').map((line) => {
+        const separator = line.indexOf(': ');
+        return [line.slice(0, separator), line.slice(separator + 2)];
+      }));
+      buffer = buffer.slice(end + 2);
+
+      if (fields.event === type) return JSON.parse(fields.data);
+    }
+  };
+
+  return { status: response.status, next, close: () => controller.abort() };
+};
+
+/**
+ * Replace Cloudinary uploads and deletions with in-memory fakes
+ * @returns {Object} - { uploads, destroyed } lists of the calls made, and the videoDuration to report
+ */
+const fakeCloudinary = () => {
+  const { Writable } = require('stream');
+  const cloudinary = require('../config/cloudinary');
+  // videoDuration is what Cloudinary reports for the next video uploads
+  const calls = { uploads: [], destroyed: [], videoDuration: 5 };
+
+  const resultFor = (options) => {
+    const publicId = `${options.folder}/${options.public_id || crypto.randomBytes(6).toString('hex')}`;
+    const resourceType = options.resource_type || 'image';
+    calls.uploads.push(publicId);
+
+    return {
+      public_id: publicId,
+      secure_url: `https://res.cloudinary.com/test/${resourceType}/upload/v1/${publicId}.jpg`,
+      width: 400,
+      height: 400,
+      duration: resourceType === 'video' ? calls.videoDuration : undefined,
+      eager: (options.eager || []).map((image) => ({
+        width: image.width,
+        secure_url: `https://res.cloudinary.com/test/image/upload/w_${image.width}/v1/${publicId}.jpg`
+      }))
+    };
+  };
+
+  // Delivery URLs (such as video posters) are built locally and only need a cloud name
+  cloudinary.config({ cloud_name: 'test' });
+
+  cloudinary.uploader.upload_stream = (options, callback) => new Writable({
+    write: (chunk, encoding, done) => done(),
+    final: (done) => {
+      callback(null, resultFor(options));
+      done();
+    }
+  });
+
+  cloudinary.uploader.upload_large = (filePath, options, callback) => {
+    setImmediate(() => callback(null, resultFor(options)));
+  };
+
+  cloudinary.uploader.destroy = async (publicId) => {
+    calls.destroyed.push(publicId);
+    return { result: 'ok' };
+  };
+
+  return calls;
+};
+
+/**
+ * Wait for an email to an address and return the token from its link
+ * @param {String} to - Recipient
+ * @param {Number} after - Only consider emails after this many have been sent
+ * @returns {Promise<String>} - Token from the link
+ */
+const waitForMailToken = async (to, after = 0) => {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const mail = mails.slice(after).reverse().find((message) => message.to === to);
+    if (mail) {
+      return decodeURIComponent(mail.text.match(/token=(\S+)/)[1]);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+
+  throw new Error(`No email sent to ${to}`);
+};
+
+/**
+ * Register a user with a unique username and email
+ * @param {Object} options - { verified: verify the email address through the emailed link }
+ * @returns {Promise<Object>} - { id, username, email, password, accessToken, refreshToken }
+ */
+const createUser = async ({ verified = true } = {}) => {
+  const username = `t_${crypto.randomBytes(6).toString('hex')}`;
+  const email = `${username}@example.com`;
+  const password = 'secret123';
+  const sent = mails.length;
+
+  const { body } = await api('POST', '/api/auth/register', { body: { username, email, password } });
+  const user = {
+    id: body.data.user.id,
+    username,
+    email,
+    password,
+    accessToken: body.data.accessToken,
+    refreshToken: body.data.refreshToken
+  };
+
+  if (verified) {
+    const token = await waitForMailToken(email, sent);
+    await api('POST', '/api/auth/verify-email', { body: { token } });
+  }
+
+  return user;
+};
+
+/**
+ * Create a single-image post (needs fakeCloudinary)
+ * @param {Object} user - User from createUser
+ * @param {String} caption - Post caption
+ * @returns {Promise<Number>} - Post ID
+ */
+const createPost = async (user, caption = '') => {
+  const form = new FormData();
+  form.append('image', new Blob([Buffer.from('image')], { type: 'image/jpeg' }), 'photo.jpg');
+  form.append('caption', caption);
+
+  const res = await api('POST', '/api/posts', { form, token: user.accessToken });
+  if (res.status !== 201) {
+    throw new Error(`Post creation failed: ${res.body.message}`);
+  }
+  return res.body.data.post.id;
+};
+
+module.exports = {
+  skip,
+  mails,
+  startApp,
+  stopApp,
+  api,
+  openEventStream,
+  fakeCloudinary,
+  waitForMailToken,
+  createUser,
+  createPost
+};
@@ -0,0 +1,99 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Keys are loaded once at startup, so each case runs in its own process
+const run = (script, env) => spawnSync(process.execPath, ['-e', script], {
+  cwd: ROOT,
+  encoding: 'utf8',
+  env: {
+    PATH: process.env.PATH,
+    JWT_ACTIVE_KID: '',
+    JWT_SECRET: '',
+    JWT_REFRESH_SECRET: '',
+    JWT_LEGACY_SECRETS_UNTIL: '',
+    ...env
+  }
+});
+
+describe('JWT keys', () => {
+  let keysDir;
+  let emptyDir;
+
+  before(() => {
+    keysDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fastgram-keys-'));
+    emptyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fastgram-keys-'));
+
+    const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    fs.writeFileSync(path.join(keysDir, 'current.pem'), privateKey.export({ type: 'pkcs8', format: 'pem' }));
+
+    const retired = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    fs.writeFileSync(path.join(keysDir, 'retired.pub.pem'), retired.publicKey.export({ type: 'spki', format: 'pem' }));
+  });
+
+  after(() => {
+    fs.rmSync(keysDir, { recursive: true, force: true });
+    fs.rmSync(emptyDir, { recursive: true, force: true });
+  });
+
+  describe('signing keys', () => {
+    const printJwks = "console.log(JSON.stringify(require('./config/jwtKeys').getJwks()))";
+
+    it('signs with the only private key and publishes every key', () => {
+      const result = run(printJwks, { JWT_KEYS_DIR: keysDir, NODE_ENV: 'production' });
+      assert.equal(result.status, 0, result.stderr);
+
+      const jwks = JSON.parse(result.stdout.trim().split('\n').pop());
+      assert.deepEqual(jwks.keys.map((key) => key.kid).sort(), ['current', 'retired']);
+      assert.ok(jwks.keys.every((key) => !key.d));
+      assert.match(result.stdout, /signing key: current/);
+    });
+
+    it('refuses to start without keys unless running in development or tests', () => {
+      for (const nodeEnv of ['production', 'staging', '']) {
+        const result = run(printJwks, { JWT_KEYS_DIR: emptyDir, NODE_ENV: nodeEnv });
+        assert.notEqual(result.status, 0);
+        assert.match(result.stderr, /No JWT signing key found/);
+      }
+
+      for (const nodeEnv of ['development', 'test']) {
+        const result = run(printJwks, { JWT_KEYS_DIR: emptyDir, NODE_ENV: nodeEnv });
+        assert.equal(result.status, 0, result.stderr);
+        assert.match(result.stderr, /ephemeral key/);
+      }
+    });
+  });
+
+  describe('legacy tokens', () => {
+    const verify = (token, env) => {
+      const script = `console.log(JSON.stringify(require('./middleware/auth').verifyToken(${JSON.stringify(token)}, 'access'))); process.exit(0)`;
+      const result = run(script, { JWT_KEYS_DIR: keysDir, NODE_ENV: 'test', ...env });
+      assert.equal(result.status, 0, result.stderr);
+      return JSON.parse(result.stdout.trim().split('\n').pop());
+    };
+
+    const nextWeek = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
+    const lastWeek = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
+    const legacyToken = (secret) => jwt.sign({ userId: 1 }, secret, { algorithm: 'HS256', expiresIn: '15m' });
+
+    it('accepts tokens signed with the configured secret until the end date', () => {
+      const token = legacyToken('configured-secret');
+
+      assert.equal(verify(token, { JWT_SECRET: 'configured-secret', JWT_LEGACY_SECRETS_UNTIL: nextWeek }).userId, 1);
+      assert.equal(verify(token, { JWT_SECRET: 'configured-secret', JWT_LEGACY_SECRETS_UNTIL: lastWeek }), null);
+      assert.equal(verify(token, { JWT_SECRET: 'configured-secret' }), null);
+    });
+
+    it('never accepts tokens signed with the old default secret', () => {
+      assert.equal(verify(legacyToken('fallback-secret'), {}), null);
+      assert.equal(verify(legacyToken('fallback-secret'), { JWT_SECRET: 'configured-secret', JWT_LEGACY_SECRETS_UNTIL: nextWeek }), null);
+    });
+  });
+});
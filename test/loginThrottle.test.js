@@ -0,0 +1,62 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { skip, mails, startApp, stopApp, api, createUser } = require('./helpers');
+
+// Clients are told apart by X-Forwarded-For, as behind a reverse proxy
+process.env.TRUST_PROXY = 'loopback';
+
+describe('login throttling', { skip }, () => {
+  before(startApp);
+  after(stopApp);
+
+  beforeEach(() => {
+    const { setThrottleStore } = require('../middleware/loginThrottle');
+    const { createMemoryStore } = require('../utils/throttleStore');
+    setThrottleStore(createMemoryStore());
+  });
+
+  const login = (email, password, ip = '203.0.113.1') => api('POST', '/api/auth/login', {
+    body: { email, password },
+    headers: { 'X-Forwarded-For': ip }
+  });
+
+  it('matches the email case-insensitively', async () => {
+    const user = await createUser();
+
+    const res = await login(user.email.toUpperCase(), user.password);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.user.id, user.id);
+  });
+
+  it('locks the account after repeated failures in any letter case and emails the owner', async () => {
+    const user = await createUser();
+    const sent = mails.length;
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const email = attempt % 2 ? user.email.toUpperCase() : user.email;
+      const res = await login(email, 'wrong-password', `198.51.100.${attempt}`);
+      assert.equal(res.status, 401);
+    }
+
+    const res = await login(user.email, user.password, '198.51.100.99');
+    assert.equal(res.status, 429);
+    assert.ok(Number(res.headers.get('retry-after')) > 0);
+
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    assert.ok(mails.slice(sent).some((mail) => mail.to === user.email && /Failed sign-in/.test(mail.subject)));
+  });
+
+  it('locks only the client IP that keeps failing', async () => {
+    const user = await createUser();
+
+    for (let attempt = 0; attempt < 20; attempt++) {
+      await login(`nobody${attempt}@example.com`, 'wrong-password', '192.0.2.10');
+    }
+
+    let res = await login(user.email, user.password, '192.0.2.10');
+    assert.equal(res.status, 429);
+
+    res = await login(user.email, user.password, '192.0.2.11');
+    assert.equal(res.status, 200);
+  });
+});
@@ -0,0 +1,67 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skip, startApp, stopApp, api, fakeCloudinary, createUser, createPost } = require('./helpers');
+
+describe('mentions', { skip }, () => {
+  before(async () => {
+    await startApp();
+    fakeCloudinary();
+  });
+  after(stopApp);
+
+  const mentionNotifications = async (user) => {
+    const res = await api('GET', '/api/notifications', { token: user.accessToken });
+    assert.equal(res.status, 200);
+    return res.body.data.notifications.filter((notification) => notification.type === 'mention');
+  };
+
+  it('links mentioned users in captions and notifies them once', async () => {
+    const author = await createUser();
+    const mentioned = await createUser();
+    const caption = `Hi @${mentioned.username}!`;
+
+    const postId = await createPost(author, caption);
+
+    let res = await api('GET', `/api/posts/${postId}`, { token: author.accessToken });
+    const [mention] = res.body.data.post.mentions;
+    assert.equal(mention.user.id, mentioned.id);
+    assert.equal(caption.slice(mention.start, mention.end), `@${mentioned.username}`);
+
+    res = await api('PUT', `/api/posts/${postId}`, { body: { caption: `${caption} Edited` }, token: author.accessToken });
+    assert.equal(res.status, 200);
+
+    const notifications = await mentionNotifications(mentioned);
+    assert.equal(notifications.length, 1);
+    assert.equal(notifications[0].post.id, postId);
+    assert.equal(notifications[0].comment, null);
+  });
+
+  it('notifies users mentioned in comments', async () => {
+    const author = await createUser();
+    const commenter = await createUser();
+    const mentioned = await createUser();
+    const postId = await createPost(author);
+
+    const res = await api('POST', `/api/posts/${postId}/comments`, { body: { commentText: `look @${mentioned.username}` }, token: commenter.accessToken });
+    assert.equal(res.status, 201);
+
+    const [notification] = await mentionNotifications(mentioned);
+    assert.equal(notification.actor.id, commenter.id);
+    assert.equal(notification.message, `${commenter.username} mentioned you in a comment`);
+  });
+
+  it('ignores blocked users and email addresses', async () => {
+    const author = await createUser();
+    const blocker = await createUser();
+    const other = await createUser();
+
+    await api('POST', `/api/users/${author.username}/block`, { token: blocker.accessToken });
+
+    const postId = await createPost(author, `@${blocker.username} write to me@${other.username}.com`);
+    const res = await api('GET', `/api/posts/${postId}`, { token: author.accessToken });
+    assert.deepEqual(res.body.data.post.mentions, []);
+
+    assert.deepEqual(await mentionNotifications(blocker), []);
+    assert.deepEqual(await mentionNotifications(other), []);
+  });
+});
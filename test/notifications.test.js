@@ -0,0 +1,84 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skip, startApp, stopApp, api, fakeCloudinary, createUser, createPost } = require('./helpers');
+
+describe('notifications', { skip }, () => {
+  before(async () => {
+    await startApp();
+    fakeCloudinary();
+  });
+  after(stopApp);
+
+  const list = async (user, query = '') => {
+    const res = await api('GET', `/api/notifications${query}`, { token: user.accessToken });
+    assert.equal(res.status, 200);
+    return res.body.data;
+  };
+
+  const like = (user, postId) => api('POST', `/api/posts/${postId}/like`, { token: user.accessToken });
+
+  it('groups unread likes on a post and starts a new group once read', async () => {
+    const owner = await createUser();
+    const [first, second, third] = [await createUser(), await createUser(), await createUser()];
+    const postId = await createPost(owner);
+
+    await like(first, postId);
+    await like(second, postId);
+
+    let { notifications, unreadCount } = await list(owner);
+    assert.equal(notifications.length, 1);
+    assert.equal(unreadCount, 1);
+    assert.equal(notifications[0].actorsCount, 2);
+    assert.equal(notifications[0].message, `${second.username} and 1 other liked your post`);
+
+    await api('DELETE', `/api/posts/${postId}/like`, { token: second.accessToken });
+    ({ notifications } = await list(owner));
+    assert.equal(notifications[0].actorsCount, 1);
+    assert.equal(notifications[0].actor.id, first.id);
+
+    let res = await api('POST', `/api/notifications/${notifications[0].id}/read`, { token: owner.accessToken });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.unreadCount, 0);
+
+    await like(third, postId);
+    ({ notifications } = await list(owner, '?unread=true'));
+    assert.equal(notifications.length, 1);
+    assert.equal(notifications[0].actorsCount, 1);
+    assert.equal(notifications[0].actor.id, third.id);
+
+    res = await api('GET', '/api/notifications/unread-count', { token: owner.accessToken });
+    assert.equal(res.body.data.unreadCount, 1);
+  });
+
+  it('pages with a cursor and marks everything read', async () => {
+    const owner = await createUser();
+    for (let index = 0; index < 3; index++) {
+      const follower = await createUser();
+      await api('POST', `/api/users/${owner.username}/follow`, { token: follower.accessToken });
+    }
+
+    const firstPage = await list(owner, '?limit=2');
+    assert.equal(firstPage.notifications.length, 2);
+    assert.ok(firstPage.pagination.nextCursor);
+
+    const secondPage = await list(owner, `?limit=2&cursor=${firstPage.pagination.nextCursor}`);
+    assert.equal(secondPage.notifications.length, 1);
+    assert.equal(secondPage.pagination.nextCursor, null);
+
+    const res = await api('POST', '/api/notifications/read-all', { token: owner.accessToken });
+    assert.equal(res.body.data.markedCount, 3);
+    assert.equal((await list(owner)).unreadCount, 0);
+  });
+
+  it("does not mark another user's notification as read", async () => {
+    const owner = await createUser();
+    const other = await createUser();
+    const postId = await createPost(owner);
+    await like(other, postId);
+
+    const [notification] = (await list(owner)).notifications;
+    const res = await api('POST', `/api/notifications/${notification.id}/read`, { token: other.accessToken });
+    assert.equal(res.status, 404);
+    assert.equal((await list(owner)).unreadCount, 1);
+  });
+});
@@ -0,0 +1,112 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skip, startApp, stopApp, api, fakeCloudinary, createUser } = require('./helpers');
+
+describe('posts', { skip }, () => {
+  let cloudinary;
+
+  before(async () => {
+    await startApp();
+    cloudinary = fakeCloudinary();
+  });
+  after(stopApp);
+
+  const imageForm = (count, altTexts = []) => {
+    const form = new FormData();
+    for (let index = 0; index < count; index++) {
+      form.append('images', new Blob([Buffer.from(`image ${index}`)], { type: 'image/jpeg' }), `photo${index}.jpg`);
+    }
+    for (const altText of altTexts) {
+      form.append('altText', altText);
+    }
+    return form;
+  };
+
+  // Minimal MP4: a moov box holding a version 0 movie header
+  const mp4 = (seconds) => {
+    const mvhd = Buffer.alloc(108);
+    mvhd.writeUInt32BE(108, 0);
+    mvhd.write('mvhd', 4, 'latin1');
+    mvhd.writeUInt32BE(1000, 20);
+    mvhd.writeUInt32BE(seconds * 1000, 24);
+
+    const moov = Buffer.alloc(8);
+    moov.writeUInt32BE(mvhd.length + 8, 0);
+    moov.write('moov', 4, 'latin1');
+    return Buffer.concat([moov, mvhd]);
+  };
+
+  const videoForm = (contents) => {
+    const form = new FormData();
+    form.append('images', new Blob([contents], { type: 'video/mp4' }), 'clip.mp4');
+    return form;
+  };
+
+  describe('videos', () => {
+    it('stores short videos with their duration', async () => {
+      const user = await createUser();
+      cloudinary.videoDuration = 12;
+
+      const res = await api('POST', '/api/posts', { form: videoForm(mp4(12)), token: user.accessToken });
+      assert.equal(res.status, 201);
+      assert.equal(res.body.data.post.media[0].type, 'video');
+      assert.equal(res.body.data.post.media[0].duration, 12);
+    });
+
+    it('rejects videos over the limit before uploading them', async () => {
+      const user = await createUser();
+      const uploads = cloudinary.uploads.length;
+
+      const res = await api('POST', '/api/posts', { form: videoForm(mp4(90)), token: user.accessToken });
+      assert.equal(res.status, 400);
+      assert.equal(cloudinary.uploads.length, uploads);
+    });
+
+    it('deletes the upload when Cloudinary reports a video over the limit', async () => {
+      const user = await createUser();
+      cloudinary.videoDuration = 90;
+
+      const res = await api('POST', '/api/posts', { form: videoForm(Buffer.from('no readable header')), token: user.accessToken });
+      assert.equal(res.status, 400);
+      assert.ok(cloudinary.destroyed.includes(cloudinary.uploads[cloudinary.uploads.length - 1]));
+      cloudinary.videoDuration = 5;
+    });
+  });
+
+  describe('carousels', () => {
+    it('keeps the media in upload order with their alt texts', async () => {
+      const user = await createUser();
+
+      let res = await api('POST', '/api/posts', { form: imageForm(3, ['first', '', 'third']), token: user.accessToken });
+      assert.equal(res.status, 201);
+      const { post } = res.body.data;
+      assert.deepEqual(post.media.map((item) => item.position), [0, 1, 2]);
+      assert.deepEqual(post.media.map((item) => item.altText), ['first', null, 'third']);
+      assert.equal(post.imageUrl, post.media[0].url);
+
+      res = await api('GET', `/api/posts/${post.id}`, { token: user.accessToken });
+      assert.deepEqual(res.body.data.post.media.map((item) => item.url), post.media.map((item) => item.url));
+    });
+
+    it('rejects more than ten items', async () => {
+      const user = await createUser();
+      const uploads = cloudinary.uploads.length;
+
+      const res = await api('POST', '/api/posts', { form: imageForm(11), token: user.accessToken });
+      assert.equal(res.status, 400);
+      assert.equal(cloudinary.uploads.length, uploads);
+    });
+
+    it('deletes every media item with the post', async () => {
+      const user = await createUser();
+
+      let res = await api('POST', '/api/posts', { form: imageForm(2), token: user.accessToken });
+      const { post } = res.body.data;
+      const publicIds = cloudinary.uploads.slice(-2);
+
+      res = await api('DELETE', `/api/posts/${post.id}`, { token: user.accessToken });
+      assert.equal(res.status, 200);
+      assert.ok(publicIds.every((publicId) => cloudinary.destroyed.includes(publicId)));
+    });
+  });
+});
@@ -0,0 +1,66 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skip, startApp, stopApp, api, openEventStream, fakeCloudinary, createUser, createPost } = require('./helpers');
+
+describe('realtime events', { skip, timeout: 30000 }, () => {
+  before(async () => {
+    await startApp();
+    fakeCloudinary();
+  });
+  after(stopApp);
+
+  it('delivers notifications and like counts of subscribed posts', async () => {
+    const owner = await createUser();
+    const viewer = await createUser();
+    const liker = await createUser();
+    const postId = await createPost(owner);
+
+    const ownerStream = await openEventStream(owner);
+    const viewerStream = await openEventStream(viewer, `?posts=${postId}`);
+    try {
+      assert.equal((await ownerStream.next('ready')).unreadCount, 0);
+      assert.deepEqual((await viewerStream.next('ready')).subscriptions.posts, [postId]);
+
+      await api('POST', `/api/posts/${postId}/like`, { token: liker.accessToken });
+
+      const notification = await ownerStream.next('notification');
+      assert.equal(notification.type, 'like');
+      assert.equal(notification.actor.id, liker.id);
+      assert.deepEqual(await viewerStream.next('post.likes'), { postId, likesCount: 1 });
+    } finally {
+      ownerStream.close();
+      viewerStream.close();
+    }
+  });
+
+  it('refuses subscriptions to private group posts for non-members', async () => {
+    const owner = await createUser();
+    const outsider = await createUser();
+
+    let res = await api('POST', '/api/groups', { body: { name: 'Private group', isPrivate: true }, token: owner.accessToken });
+    const groupId = res.body.data.group.id;
+    res = await api('POST', `/api/groups/${groupId}/posts`, { body: { caption: 'members only' }, token: owner.accessToken });
+
+    for (const query of [`?posts=${res.body.data.post.id}`, `?groups=${groupId}`]) {
+      const stream = await openEventStream(outsider, query);
+      stream.close();
+      assert.equal(stream.status, 403);
+    }
+  });
+
+  it('closes the stream when its session logs out', async () => {
+    const user = await createUser();
+    const stream = await openEventStream(user);
+    try {
+      await stream.next('ready');
+
+      const res = await api('POST', '/api/auth/logout', { body: { refreshToken: user.refreshToken }, token: user.accessToken });
+      assert.equal(res.status, 200);
+
+      assert.ok(await stream.next('session.revoked'));
+      assert.equal(await stream.next('notification'), null);
+    } finally {
+      stream.close();
+    }
+  });
+});
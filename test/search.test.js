@@ -0,0 +1,42 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { skip, startApp, stopApp, api, createUser } = require('./helpers');
+
+describe('user search', { skip }, () => {
+  before(startApp);
+  after(stopApp);
+
+  const search = async (q, viewer) => {
+    const res = await api('GET', `/api/users/search?q=${encodeURIComponent(q)}`, { token: viewer && viewer.accessToken });
+    assert.equal(res.status, 200);
+    return res.body.data.users.map((user) => user.id);
+  };
+
+  it('finds users by username and full name prefix, ranking username matches first', async () => {
+    const word = `zq${crypto.randomBytes(4).toString('hex')}`;
+    const byName = await createUser();
+    const byUsername = await createUser();
+
+    await api('PUT', '/api/users/profile', { body: { fullName: `Ann ${word}` }, token: byName.accessToken });
+    await api('PUT', '/api/users/profile', { body: { username: `${word}_x` }, token: byUsername.accessToken });
+
+    assert.deepEqual(await search(word), [byUsername.id, byName.id]);
+  });
+
+  it('treats LIKE wildcards literally and hides blocked users', async () => {
+    const viewer = await createUser();
+    const other = await createUser();
+
+    assert.deepEqual(await search('%'), []);
+    assert.deepEqual(await search(other.username, viewer), [other.id]);
+
+    await api('POST', `/api/users/${viewer.username}/block`, { token: other.accessToken });
+    assert.deepEqual(await search(other.username, viewer), []);
+  });
+
+  it('rejects empty search text', async () => {
+    const res = await api('GET', '/api/users/search?q=%20');
+    assert.equal(res.status, 400);
+  });
+});
@@ -0,0 +1,43 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skip, startApp, stopApp, api, createUser } = require('./helpers');
+
+describe('sessions', { skip }, () => {
+  before(startApp);
+  after(stopApp);
+
+  const login = (user, deviceName) => api('POST', '/api/auth/login', { body: { email: user.email, password: user.password, deviceName } });
+
+  it('lists each device and marks the current one', async () => {
+    const user = await createUser();
+    const laptop = await login(user, 'Laptop');
+
+    const res = await api('GET', '/api/auth/sessions', { token: laptop.body.data.accessToken });
+    assert.equal(res.status, 200);
+
+    const { sessions } = res.body.data;
+    assert.equal(sessions.length, 2);
+    assert.deepEqual(sessions.filter((session) => session.isCurrent).map((session) => session.deviceName), ['Laptop']);
+  });
+
+  it('revokes a single session and only the owner can revoke it', async () => {
+    const user = await createUser();
+    const other = await createUser();
+    const phone = await login(user, 'Phone');
+
+    let res = await api('GET', '/api/auth/sessions', { token: user.accessToken });
+    const phoneSession = res.body.data.sessions.find((session) => session.deviceName === 'Phone');
+
+    res = await api('DELETE', `/api/auth/sessions/${phoneSession.id}`, { token: other.accessToken });
+    assert.equal(res.status, 404);
+
+    res = await api('DELETE', `/api/auth/sessions/${phoneSession.id}`, { token: user.accessToken });
+    assert.equal(res.status, 200);
+
+    res = await api('POST', '/api/auth/refresh', { body: { refreshToken: phone.body.data.refreshToken } });
+    assert.equal(res.status, 403);
+
+    res = await api('POST', '/api/auth/refresh', { body: { refreshToken: user.refreshToken } });
+    assert.equal(res.status, 200);
+  });
+});
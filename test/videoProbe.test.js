@@ -0,0 +1,91 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { probeVideoDuration } = require('../utils/videoProbe');
+
+// MP4/MOV box: 32-bit size, four-character type, contents
+const box = (type, ...contents) => {
+  const payload = Buffer.concat(contents);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(payload.length + 8, 0);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, payload]);
+};
+
+// Movie header with the duration in timescale units (version 1 uses 64-bit times)
+const mvhd = (version, timescale, duration) => {
+  const data = Buffer.alloc(100);
+  data[0] = version;
+  if (version === 1) {
+    data.writeUInt32BE(timescale, 20);
+    data.writeBigUInt64BE(BigInt(duration), 24);
+  } else {
+    data.writeUInt32BE(timescale, 12);
+    data.writeUInt32BE(duration, 16);
+  }
+  return box('mvhd', data);
+};
+
+// EBML element with a one-byte size (or an unknown size for live segments)
+const ebml = (id, contents, { unknownSize = false } = {}) => {
+  const size = unknownSize ? Buffer.from([0x01, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff]) : Buffer.from([0x80 | contents.length]);
+  return Buffer.concat([Buffer.from(id), size, contents]);
+};
+
+const webm = (infoElements, options) => Buffer.concat([
+  ebml([0x1a, 0x45, 0xdf, 0xa3], ebml([0x42, 0x82], Buffer.from('webm'))),
+  ebml([0x18, 0x53, 0x80, 0x67], ebml([0x15, 0x49, 0xa9, 0x66], Buffer.concat(infoElements)), options)
+]);
+
+const timecodeScale = (nanoseconds) => {
+  const value = Buffer.alloc(3);
+  value.writeUIntBE(nanoseconds, 0, 3);
+  return ebml([0x2a, 0xd7, 0xb1], value);
+};
+
+const duration = (ticks) => {
+  const value = Buffer.alloc(8);
+  value.writeDoubleBE(ticks);
+  return ebml([0x44, 0x89], value);
+};
+
+describe('video duration probe', () => {
+  let dir;
+  let count = 0;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fastgram-probe-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const probe = (contents) => {
+    const filePath = path.join(dir, `video${count++}`);
+    fs.writeFileSync(filePath, contents);
+    return probeVideoDuration(filePath);
+  };
+
+  it('reads MP4/MOV durations after other boxes, in both header versions', async () => {
+    const ftyp = box('ftyp', Buffer.from('isom\0\0\0\0isom'));
+    const mdat = box('mdat', Buffer.alloc(4096));
+
+    assert.equal(await probe(Buffer.concat([ftyp, box('moov', mvhd(0, 1000, 12500))])), 12.5);
+    assert.equal(await probe(Buffer.concat([ftyp, mdat, box('moov', box('trak'), mvhd(1, 600, 54000))])), 90);
+  });
+
+  it('reads WebM durations in TimecodeScale units, including live segments of unknown size', async () => {
+    assert.equal(await probe(webm([duration(12500)])), 12.5);
+    assert.equal(await probe(webm([timecodeScale(100000), duration(900)], { unknownSize: true })), 0.09);
+  });
+
+  it('returns null when the file does not state its duration', async () => {
+    assert.equal(await probe(webm([timecodeScale(1000000)])), null);
+    assert.equal(await probe(Buffer.concat([box('ftyp', Buffer.from('isom')), box('mdat', Buffer.alloc(16))])), null);
+    assert.equal(await probe(Buffer.from('not a video')), null);
+    assert.equal(await probeVideoDuration(path.join(dir, 'missing')), null);
+  });
+});
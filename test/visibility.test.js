@@ -0,0 +1,165 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skip, startApp, stopApp, api, createUser } = require('./helpers');
+
+describe('blocks and privacy', { skip }, () => {
+  let pool;
+
+  before(async () => {
+    await startApp();
+    pool = require('../config/database');
+  });
+  after(stopApp);
+
+  // Posts normally need a Cloudinary upload, so they are stored directly
+  const createPost = async (user, caption = 'hello') => {
+    const result = await pool.query(
+      'INSERT INTO posts (user_id, caption) VALUES ($1, $2) RETURNING id',
+      [user.id, caption]
+    );
+    return result.rows[0].id;
+  };
+
+  const block = (user, other) => api('POST', `/api/users/${other.username}/block`, { token: user.accessToken });
+
+  describe('private accounts', () => {
+    it('shows posts only to the owner and accepted followers', async () => {
+      const owner = await createUser();
+      const viewer = await createUser();
+      await api('PUT', '/api/users/profile', { body: { isPrivate: true }, token: owner.accessToken });
+      const postId = await createPost(owner);
+
+      let res = await api('GET', `/api/posts/${postId}`, { token: viewer.accessToken });
+      assert.equal(res.status, 403);
+
+      res = await api('POST', `/api/posts/${postId}/like`, { token: viewer.accessToken });
+      assert.equal(res.status, 403);
+
+      res = await api('GET', `/api/posts/user/${owner.username}`);
+      assert.equal(res.status, 403);
+
+      res = await api('POST', `/api/users/${owner.username}/follow`, { token: viewer.accessToken });
+      res = await api('POST', `/api/users/follow-requests/${res.body.data.requestId}/accept`, { token: owner.accessToken });
+      assert.equal(res.status, 200);
+
+      res = await api('GET', `/api/posts/${postId}`, { token: viewer.accessToken });
+      assert.equal(res.status, 200);
+    });
+  });
+
+  describe('private groups', () => {
+    it('hides group posts from non-members', async () => {
+      const owner = await createUser();
+      const outsider = await createUser();
+
+      let res = await api('POST', '/api/groups', { body: { name: 'Private group', isPrivate: true }, token: owner.accessToken });
+      const groupId = res.body.data.group.id;
+
+      res = await api('POST', `/api/groups/${groupId}/posts`, { body: { caption: 'members only' }, token: owner.accessToken });
+      assert.equal(res.status, 201);
+      const postId = res.body.data.post.id;
+
+      res = await api('GET', `/api/posts/${postId}`, { token: outsider.accessToken });
+      assert.equal(res.status, 403);
+
+      res = await api('POST', `/api/posts/${postId}/like`, { token: outsider.accessToken });
+      assert.equal(res.status, 403);
+
+      res = await api('GET', `/api/posts/${postId}/comments`);
+      assert.equal(res.status, 403);
+
+      res = await api('GET', `/api/posts/${postId}`, { token: owner.accessToken });
+      assert.equal(res.status, 200);
+    });
+
+    it('leaves private group posts out of profile and timeline lists for non-members', async () => {
+      const owner = await createUser();
+      const follower = await createUser();
+      const member = await createUser();
+
+      let res = await api('POST', '/api/groups', { body: { name: 'Private group', isPrivate: true }, token: owner.accessToken });
+      const groupId = res.body.data.group.id;
+      await api('POST', `/api/groups/${groupId}/members`, { body: { userId: member.id }, token: owner.accessToken });
+
+      res = await api('POST', `/api/groups/${groupId}/posts`, { body: { caption: 'members only' }, token: owner.accessToken });
+      const groupPostId = res.body.data.post.id;
+      const publicPostId = await createPost(owner);
+
+      for (const viewer of [follower, member]) {
+        await api('POST', `/api/users/${owner.username}/follow`, { token: viewer.accessToken });
+      }
+
+      const listed = async (path, viewer) => {
+        const list = await api('GET', path, { token: viewer && viewer.accessToken });
+        assert.equal(list.status, 200);
+        return list.body.data.posts.map((post) => post.id);
+      };
+
+      for (const viewer of [null, follower]) {
+        const profile = await listed(`/api/posts/user/${owner.username}`, viewer);
+        assert.ok(profile.includes(publicPostId));
+        assert.ok(!profile.includes(groupPostId));
+      }
+
+      res = await api('GET', `/api/posts/user/${owner.username}`);
+      assert.equal(res.body.data.pagination.totalPosts, 1);
+
+      const timeline = await listed('/api/posts/feed/timeline', follower);
+      assert.ok(timeline.includes(publicPostId));
+      assert.ok(!timeline.includes(groupPostId));
+
+      assert.ok((await listed(`/api/posts/user/${owner.username}`, member)).includes(groupPostId));
+      assert.ok((await listed('/api/posts/feed/timeline', member)).includes(groupPostId));
+      assert.ok((await listed('/api/posts/feed/timeline', owner)).includes(groupPostId));
+    });
+  });
+
+  describe('blocks', () => {
+    it('hides each user from the other in both directions', async () => {
+      const blocker = await createUser();
+      const blocked = await createUser();
+      const postId = await createPost(blocker);
+
+      const res = await block(blocker, blocked);
+      assert.equal(res.status, 200);
+
+      for (const [viewer, other] of [[blocked, blocker], [blocker, blocked]]) {
+        const profile = await api('GET', `/api/users/${other.username}`, { token: viewer.accessToken });
+        assert.equal(profile.status, 404);
+      }
+
+      const post = await api('GET', `/api/posts/${postId}`, { token: blocked.accessToken });
+      assert.equal(post.status, 404);
+
+      const follow = await api('POST', `/api/users/${blocker.username}/follow`, { token: blocked.accessToken });
+      assert.notEqual(follow.status, 200);
+    });
+
+    it('keeps blocked users out of conversations with each other', async () => {
+      const alice = await createUser();
+      const bob = await createUser();
+      const carol = await createUser();
+      const dave = await createUser();
+
+      await block(bob, carol);
+
+      let res = await api('POST', '/api/conversations', { body: { usernames: [carol.username] }, token: bob.accessToken });
+      assert.equal(res.status, 403);
+
+      res = await api('POST', '/api/conversations', { body: { usernames: [bob.username, carol.username] }, token: alice.accessToken });
+      assert.equal(res.status, 403);
+
+      res = await api('POST', '/api/conversations', { body: { usernames: [bob.username, dave.username] }, token: alice.accessToken });
+      assert.equal(res.status, 201);
+      const conversationId = res.body.data.conversation.id;
+
+      await block(dave, bob);
+
+      res = await api('POST', `/api/conversations/${conversationId}/messages`, { body: { text: 'hi' }, token: bob.accessToken });
+      assert.equal(res.status, 403);
+
+      res = await api('POST', `/api/conversations/${conversationId}/messages`, { body: { text: 'hi' }, token: alice.accessToken });
+      assert.equal(res.status, 201);
+    });
+  });
+});
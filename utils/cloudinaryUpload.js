@@ -36,13 +36,55 @@ const uploadToCloudinary = (fileBuffer, options = {}) => {
 };
 
 /**
- * Delete image from Cloudinary
+ * Upload a video file to Cloudinary in chunks, streaming it from disk
+ * @param {String} filePath - Path of the temporary video file from multer
+ * @param {Object} options - Cloudinary upload options
+ * @returns {Promise<Object>} - Cloudinary upload result (includes duration, width and height)
+ */
+const uploadVideoToCloudinary = (filePath, options = {}) => {
+  return new Promise((resolve, reject) => {
+    cloudinary.uploader.upload_large(
+      filePath,
+      {
+        folder: options.folder || 'fastgram/posts',
+        resource_type: 'video',
+        chunk_size: 20 * 1024 * 1024,
+        ...options
+      },
+      (error, result) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve(result);
+        }
+      }
+    );
+  });
+};
+
+/**
+ * Build the URL of a poster image for a video (its first frame)
+ * @param {String} publicId - Cloudinary public ID of the video
+ * @returns {String} - JPEG poster URL
+ */
+const getVideoPosterUrl = (publicId) => {
+  return cloudinary.url(publicId, {
+    resource_type: 'video',
+    format: 'jpg',
+    secure: true,
+    transformation: [{ start_offset: 0 }]
+  });
+};
+
+/**
+ * Delete image or video from Cloudinary
  * @param {String} publicId - Cloudinary public ID
+ * @param {String} resourceType - 'image' (default) or 'video'
  * @returns {Promise<Object>} - Cloudinary delete result
  */
-const deleteFromCloudinary = async (publicId) => {
+const deleteFromCloudinary = async (publicId, resourceType = 'image') => {
   try {
-    const result = await cloudinary.uploader.destroy(publicId);
+    const result = await cloudinary.uploader.destroy(publicId, { resource_type: resourceType });
     return result;
   } catch (error) {
     console.error('Cloudinary delete error:', error);
@@ -66,6 +108,8 @@ const extractPublicId = (url) => {
 
 module.exports = {
   uploadToCloudinary,
+  uploadVideoToCloudinary,
+  getVideoPosterUrl,
   deleteFromCloudinary,
   extractPublicId
 };
@@ -0,0 +1,102 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const pool = require('../config/database');
+const { hashToken, signToken, verifyToken } = require('../middleware/auth');
+const { sendMail } = require('./mailer');
+
+const VERIFICATION_EXPIRES_IN = process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h';
+const RESEND_COOLDOWN_SECONDS = parseInt(process.env.EMAIL_VERIFICATION_COOLDOWN || '60', 10);
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+
+/**
+ * Create a signed verification token and store its hash for the user.
+ * Any previously issued token for the user is replaced.
+ * @param {Number} userId - User ID
+ * @returns {Promise<String>} - Raw verification token
+ */
+const createVerificationToken = async (userId) => {
+  const token = signToken(
+    { userId, jti: crypto.randomBytes(16).toString('hex') },
+    'verify-email',
+    VERIFICATION_EXPIRES_IN
+  );
+
+  const { exp } = jwt.decode(token);
+
+  await pool.query(
+    `INSERT INTO email_verification_tokens (user_id, token_hash, expires_at)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (user_id)
+     DO UPDATE SET token_hash = EXCLUDED.token_hash, expires_at = EXCLUDED.expires_at, created_at = CURRENT_TIMESTAMP`,
+    [userId, hashToken(token), new Date(exp * 1000)]
+  );
+
+  return token;
+};
+
+/**
+ * Issue a new verification token and email it to the user
+ * @param {Object} user - User row with id, username and email
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = async (user) => {
+  const token = await createVerificationToken(user.id);
+  const link = `${CLIENT_URL}/verify-email?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your FastGram email address',
+    text: `Hi ${user.username},\n\nPlease confirm your email address by opening the link below:\n\n${link}\n\nIf you did not create a FastGram account, you can ignore this email.`,
+    html: `<p>Hi ${user.username},</p><p>Please confirm your email address by opening the link below:</p><p><a href="${link}">${link}</a></p><p>If you did not create a FastGram account, you can ignore this email.</p>`
+  });
+};
+
+/**
+ * Seconds the user must wait before another verification email can be sent
+ * @param {Number} userId - User ID
+ * @returns {Promise<Number>} - 0 when a new email may be sent
+ */
+const getResendCooldown = async (userId) => {
+  const result = await pool.query(
+    `SELECT GREATEST(0, CEIL($2 - EXTRACT(EPOCH FROM (NOW() - created_at)))) AS retry_after
+     FROM email_verification_tokens
+     WHERE user_id = $1`,
+    [userId, RESEND_COOLDOWN_SECONDS]
+  );
+
+  return result.rows.length > 0 ? parseInt(result.rows[0].retry_after, 10) : 0;
+};
+
+/**
+ * Consume a verification token and mark the user as verified
+ * @param {String} token - Raw verification token
+ * @returns {Promise<Object|null>} - Verified user, or null if the token is invalid or expired
+ */
+const consumeVerificationToken = async (token) => {
+  const decoded = verifyToken(token, 'verify-email');
+  if (!decoded) {
+    return null;
+  }
+
+  const result = await pool.query(
+    `WITH consumed AS (
+       DELETE FROM email_verification_tokens
+       WHERE user_id = $1 AND token_hash = $2 AND expires_at > NOW()
+       RETURNING user_id
+     )
+     UPDATE users SET is_verified = TRUE, updated_at = CURRENT_TIMESTAMP
+     WHERE id IN (SELECT user_id FROM consumed)
+     RETURNING id, username, email, is_verified`,
+    [decoded.userId, hashToken(token)]
+  );
+
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  RESEND_COOLDOWN_SECONDS,
+  createVerificationToken,
+  sendVerificationEmail,
+  getResendCooldown,
+  consumeVerificationToken
+};
@@ -0,0 +1,51 @@
+const pool = require('../config/database');
+
+// Bans whose expiry has passed are lifted: they no longer apply and are removed by cleanExpiredGroupBans
+const ACTIVE_BAN = '(group_bans.expires_at IS NULL OR group_bans.expires_at > CURRENT_TIMESTAMP)';
+
+/**
+ * Find a user's active ban from a group
+ * @param {Number} groupId - Group ID
+ * @param {Number} userId - User ID
+ * @param {Object} client - Optional pg client when running inside a transaction
+ * @returns {Promise<Object|null>} - Ban row (reason, expires_at) or null when not banned
+ */
+const getActiveGroupBan = async (groupId, userId, client = pool) => {
+  const result = await client.query(
+    `SELECT id, reason, banned_by, expires_at, created_at FROM group_bans
+     WHERE group_id = $1 AND user_id = $2 AND ${ACTIVE_BAN}`,
+    [groupId, userId]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Error message shown to a banned user
+ * @param {Object} ban - Ban row from getActiveGroupBan
+ * @returns {String} - Message, including when the ban ends
+ */
+const bannedMessage = (ban) => {
+  return ban.expires_at
+    ? `You are banned from this group until ${ban.expires_at.toISOString()}`
+    : 'You are banned from this group';
+};
+
+// Remove expired bans
+const cleanExpiredGroupBans = async () => {
+  try {
+    await pool.query('DELETE FROM group_bans WHERE expires_at <= CURRENT_TIMESTAMP');
+  } catch (error) {
+    console.error('Error cleaning expired group bans:', error);
+  }
+};
+
+// Run cleanup every hour
+setInterval(cleanExpiredGroupBans, 60 * 60 * 1000).unref();
+
+module.exports = {
+  ACTIVE_BAN,
+  getActiveGroupBan,
+  bannedMessage,
+  cleanExpiredGroupBans
+};
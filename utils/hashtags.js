@@ -0,0 +1,76 @@
+const MAX_HASHTAG_LENGTH = 100;
+
+// A hashtag is '#' followed by letters, digits or underscores, not preceded by a
+// word character (so "a#b" and "&#39;" are not tags)
+const HASHTAG_PATTERN = /(?<![\p{L}\p{M}\p{N}_&#])#([\p{L}\p{M}\p{N}_]+)/gu;
+const HASHTAG_NAME_PATTERN = /^[\p{L}\p{M}\p{N}_]+$/u;
+
+/**
+ * Normalise a hashtag for storage and lookup: drop a leading '#', lowercase it
+ * @param {String} tag - Hashtag with or without '#'
+ * @returns {String|null} - Normalised name, or null if it is not a valid hashtag
+ */
+const normalizeHashtag = (tag) => {
+  const name = String(tag).trim().replace(/^#/, '').normalize('NFC').toLowerCase();
+
+  if (!HASHTAG_NAME_PATTERN.test(name) || name.length > MAX_HASHTAG_LENGTH || /^\d+$/.test(name)) {
+    return null;
+  }
+
+  return name;
+};
+
+/**
+ * Extract the distinct hashtags of a caption in order of first appearance
+ * @param {String} caption - Post caption
+ * @returns {String[]} - Normalised hashtag names
+ */
+const extractHashtags = (caption) => {
+  const names = new Set();
+
+  for (const match of String(caption || '').matchAll(HASHTAG_PATTERN)) {
+    const name = normalizeHashtag(match[1]);
+    if (name) names.add(name);
+  }
+
+  return [...names];
+};
+
+/**
+ * Replace a post's hashtags with the ones in its caption
+ * @param {Object} client - pg client (inside the post's transaction)
+ * @param {Number} postId - Post ID
+ * @param {String} caption - Post caption
+ * @returns {Promise<String[]>} - Hashtag names now linked to the post
+ */
+const syncPostHashtags = async (client, postId, caption) => {
+  const names = extractHashtags(caption);
+
+  await client.query('DELETE FROM post_hashtags WHERE post_id = $1', [postId]);
+
+  if (names.length === 0) {
+    return names;
+  }
+
+  await client.query(
+    `INSERT INTO hashtags (name)
+     SELECT UNNEST($1::varchar[])
+     ON CONFLICT (name) DO NOTHING`,
+    [names]
+  );
+
+  await client.query(
+    `INSERT INTO post_hashtags (post_id, hashtag_id)
+     SELECT $1, id FROM hashtags WHERE name = ANY($2::varchar[])`,
+    [postId, names]
+  );
+
+  return names;
+};
+
+module.exports = {
+  MAX_HASHTAG_LENGTH,
+  normalizeHashtag,
+  extractHashtags,
+  syncPostHashtags
+};
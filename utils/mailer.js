@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+require('dotenv').config();
+
+const DEFAULT_FROM = process.env.MAIL_FROM || 'FastGram <no-reply@fastgram.com>';
+
+/**
+ * Build the transport selected by MAIL_TRANSPORT.
+ * - smtp: real SMTP server (or a local stand-in such as MailHog)
+ * - file: appends each message as a JSON line to MAIL_FILE_PATH
+ * - console: logs each message (default)
+ * @param {String} type - Transport name
+ * @returns {Object} - Object exposing sendMail(message)
+ */
+const createTransport = (type = process.env.MAIL_TRANSPORT || 'console') => {
+  switch (type) {
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST || 'localhost',
+        port: parseInt(process.env.SMTP_PORT || '1025', 10),
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+
+    case 'file': {
+      const filePath = path.resolve(process.env.MAIL_FILE_PATH || 'mail.log');
+      return {
+        sendMail: async (message) => {
+          const entry = { ...message, sentAt: new Date().toISOString() };
+          await fs.promises.appendFile(filePath, JSON.stringify(entry) + '\n');
+          return { messageId: `file-${Date.now()}` };
+        }
+      };
+    }
+
+    case 'console':
+      return {
+        sendMail: async (message) => {
+          console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+          return { messageId: `console-${Date.now()}` };
+        }
+      };
+
+    default:
+      throw new Error(`Unknown mail transport: ${type}`);
+  }
+};
+
+let transport = createTransport();
+
+/**
+ * Replace the active transport (e.g. with a capturing sink in tests)
+ * @param {Object} newTransport - Object exposing sendMail(message)
+ */
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+/**
+ * Send an email through the active transport
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} - Transport send result
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  try {
+    return await transport.sendMail({ from: DEFAULT_FROM, to, subject, text, html });
+  } catch (error) {
+    console.error('Send mail error:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  createTransport,
+  setTransport,
+  sendMail
+};
@@ -0,0 +1,142 @@
+const pool = require('../config/database');
+const { createNotifications } = require('./notifications');
+
+// '@' followed by a username (see registration rules), not preceded by a word
+// character or '@' so email addresses are not mentions
+const MENTION_PATTERN = /(?<![A-Za-z0-9_@])@([A-Za-z0-9_]{3,50})(?![A-Za-z0-9_])/g;
+
+/**
+ * Find @username mentions in a text
+ * @param {String} text - Caption or comment text
+ * @returns {Object[]} - { username, start, end } in order of appearance (offsets are string indices, end exclusive)
+ */
+const extractMentions = (text) => {
+  return [...String(text || '').matchAll(MENTION_PATTERN)].map((match) => ({
+    username: match[1],
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+};
+
+/**
+ * Replace the stored mentions of a post or comment with the ones in its text and
+ * notify users who were not mentioned in it before. Unknown or inactive users and
+ * users with a block in either direction with the author are ignored.
+ * @param {Object} client - pg client (inside the post's or comment's transaction)
+ * @param {Object} target - { postId } for a caption, { postId, commentId } for a comment
+ * @param {Number} authorId - ID of the author of the text
+ * @param {String} text - Caption or comment text
+ * @returns {Promise<Number[]>} - IDs of the notifications sent to newly mentioned users
+ */
+const syncMentions = async (client, target, authorId, text) => {
+  const column = target.commentId ? 'comment_id' : 'post_id';
+  const targetId = target.commentId || target.postId;
+  const found = extractMentions(text);
+
+  const previousResult = await client.query(
+    `DELETE FROM mentions WHERE ${column} = $1 RETURNING user_id`,
+    [targetId]
+  );
+
+  if (found.length === 0) {
+    return [];
+  }
+
+  const usersResult = await client.query(
+    `SELECT u.id, u.username
+     FROM users u
+     WHERE u.username = ANY($1::varchar[])
+       AND u.is_active = true
+       AND NOT EXISTS (
+         SELECT 1 FROM user_blocks b
+         WHERE (b.blocker_id = $2 AND b.blocked_id = u.id) OR (b.blocker_id = u.id AND b.blocked_id = $2)
+       )`,
+    [[...new Set(found.map((mention) => mention.username))], authorId]
+  );
+
+  const userIdByUsername = new Map(usersResult.rows.map((user) => [user.username, user.id]));
+  const resolved = found.filter((mention) => userIdByUsername.has(mention.username));
+
+  if (resolved.length === 0) {
+    return [];
+  }
+
+  await client.query(
+    `INSERT INTO mentions (${column}, user_id, start_offset, end_offset)
+     SELECT $1, item.user_id, item.start_offset, item.end_offset
+     FROM UNNEST($2::int[], $3::int[], $4::int[]) AS item(user_id, start_offset, end_offset)`,
+    [
+      targetId,
+      resolved.map((mention) => userIdByUsername.get(mention.username)),
+      resolved.map((mention) => mention.start),
+      resolved.map((mention) => mention.end)
+    ]
+  );
+
+  // Editing a caption only notifies users who were not already mentioned
+  const previousUserIds = new Set(previousResult.rows.map((row) => row.user_id));
+  const newUserIds = [...new Set(resolved.map((mention) => userIdByUsername.get(mention.username)))]
+    .filter((userId) => !previousUserIds.has(userId));
+
+  return createNotifications(newUserIds.map((userId) => ({
+    userId,
+    actorId: authorId,
+    type: 'mention',
+    postId: target.postId,
+    commentId: target.commentId
+  })), client);
+};
+
+// Load mentions for several posts or comments, keyed by post_id or comment_id
+const getMentions = async (column, ids) => {
+  const mentionsById = new Map();
+  if (ids.length === 0) return mentionsById;
+
+  const result = await pool.query(
+    `SELECT m.${column} AS target_id, m.start_offset, m.end_offset,
+            u.id, u.username, u.full_name, u.profile_picture_url, u.is_verified
+     FROM mentions m
+     JOIN users u ON m.user_id = u.id
+     WHERE m.${column} = ANY($1::int[]) AND u.is_active = true
+     ORDER BY m.${column}, m.start_offset`,
+    [ids]
+  );
+
+  for (const row of result.rows) {
+    if (!mentionsById.has(row.target_id)) mentionsById.set(row.target_id, []);
+    mentionsById.get(row.target_id).push({
+      start: row.start_offset,
+      end: row.end_offset,
+      user: {
+        id: row.id,
+        username: row.username,
+        fullName: row.full_name,
+        profilePictureUrl: row.profile_picture_url,
+        isVerified: row.is_verified
+      }
+    });
+  }
+
+  return mentionsById;
+};
+
+/**
+ * Load the mentions in the captions of several posts in one query
+ * @param {Number[]} postIds - Post IDs
+ * @returns {Promise<Map<Number, Object[]>>} - Mentions ({ start, end, user }) keyed by post ID
+ */
+const getPostMentions = (postIds) => getMentions('post_id', postIds);
+
+/**
+ * Load the mentions in several comments in one query
+ * @param {Number[]} commentIds - Comment IDs
+ * @returns {Promise<Map<Number, Object[]>>} - Mentions ({ start, end, user }) keyed by comment ID
+ */
+const getCommentMentions = (commentIds) => getMentions('comment_id', commentIds);
+
+module.exports = {
+  extractMentions,
+  syncMentions,
+  getPostMentions,
+  getCommentMentions
+};
@@ -0,0 +1,188 @@
+const pool = require('../config/database');
+
+const MAX_MESSAGE_LENGTH = 2000;
+const MAX_CONVERSATION_PARTICIPANTS = 32;
+
+// Messages with their sender and shared post. $1 is the viewer: shared posts they may
+// not see (private account, private group, blocked author) are returned as unavailable.
+const MESSAGE_SELECT = `
+  SELECT m.id, m.conversation_id, m.message_type, m.text, m.image_url, m.image_width, m.image_height,
+         m.is_deleted, m.deleted_at, m.created_at, m.sender_id,
+         s.username AS sender_username, s.full_name AS sender_full_name,
+         s.profile_picture_url AS sender_profile_picture_url, s.is_verified AS sender_is_verified,
+         m.post_id, p.caption AS post_caption, p.image_url AS post_image_url,
+         pu.id AS post_user_id, pu.username AS post_username, pu.profile_picture_url AS post_user_profile_picture_url,
+         (
+           p.id IS NOT NULL AND pu.is_active = true AND p.moderation_status = 'approved'
+           AND NOT EXISTS (
+             SELECT 1 FROM user_blocks b
+             WHERE (b.blocker_id = $1 AND b.blocked_id = pu.id) OR (b.blocker_id = pu.id AND b.blocked_id = $1)
+           )
+           AND CASE
+             WHEN p.group_id IS NOT NULL THEN
+               g.is_private = false
+               OR EXISTS (SELECT 1 FROM group_members gm WHERE gm.group_id = p.group_id AND gm.user_id = $1)
+             ELSE
+               pu.is_private = false OR pu.id = $1
+               OR EXISTS (SELECT 1 FROM followers f WHERE f.follower_id = $1 AND f.following_id = pu.id)
+           END
+         ) AS post_visible
+  FROM messages m
+  LEFT JOIN users s ON m.sender_id = s.id
+  LEFT JOIN posts p ON m.post_id = p.id
+  LEFT JOIN users pu ON p.user_id = pu.id
+  LEFT JOIN groups g ON p.group_id = g.id
+`;
+
+// Hide messages from senders the viewer ($1) has blocked or been blocked by
+const HIDE_BLOCKED_SENDERS = `
+  NOT EXISTS (
+    SELECT 1 FROM user_blocks b
+    WHERE (b.blocker_id = $1 AND b.blocked_id = m.sender_id) OR (b.blocker_id = m.sender_id AND b.blocked_id = $1)
+  )
+`;
+
+/**
+ * Map a message row to the API format
+ * @param {Object} row - Row from MESSAGE_SELECT
+ * @returns {Object} - Message
+ */
+const formatMessage = (row) => {
+  const message = {
+    id: row.id,
+    conversationId: row.conversation_id,
+    type: row.message_type,
+    text: null,
+    post: null,
+    image: null,
+    sender: row.sender_id ? {
+      id: row.sender_id,
+      username: row.sender_username,
+      fullName: row.sender_full_name,
+      profilePictureUrl: row.sender_profile_picture_url,
+      isVerified: row.sender_is_verified
+    } : null,
+    isDeleted: row.is_deleted,
+    createdAt: row.created_at,
+    deletedAt: row.deleted_at
+  };
+
+  // Deleted messages only keep their place in the history
+  if (row.is_deleted) return message;
+
+  message.text = row.text;
+
+  if (row.message_type === 'post') {
+    message.post = row.post_visible ? {
+      id: row.post_id,
+      caption: row.post_caption,
+      imageUrl: row.post_image_url,
+      user: {
+        id: row.post_user_id,
+        username: row.post_username,
+        profilePictureUrl: row.post_user_profile_picture_url
+      },
+      isAvailable: true
+    } : { id: row.post_id, isAvailable: false };
+  }
+
+  if (row.message_type === 'image') {
+    message.image = {
+      url: row.image_url,
+      width: row.image_width,
+      height: row.image_height
+    };
+  }
+
+  return message;
+};
+
+/**
+ * Load a page of a conversation's history, newest first. Messages from users
+ * blocked by or blocking the viewer are left out.
+ * @param {Number} conversationId - Conversation ID
+ * @param {Number} viewerId - ID of the requesting participant
+ * @param {Object} options - { before: only messages older than this message ID, limit }
+ * @returns {Promise<Object[]>} - Messages
+ */
+const getConversationMessages = async (conversationId, viewerId, { before = null, limit = 30 } = {}) => {
+  const result = await pool.query(
+    `${MESSAGE_SELECT}
+     WHERE m.conversation_id = $2
+       AND ${HIDE_BLOCKED_SENDERS}
+       AND ($3::int IS NULL OR m.id < $3)
+     ORDER BY m.id DESC
+     LIMIT $4`,
+    [viewerId, conversationId, before, limit]
+  );
+
+  return result.rows.map(formatMessage);
+};
+
+/**
+ * Load several messages as seen by a viewer in one query
+ * @param {Number[]} messageIds - Message IDs
+ * @param {Number} viewerId - ID of the requesting user
+ * @returns {Promise<Map<Number, Object>>} - Messages keyed by message ID
+ */
+const getMessagesByIds = async (messageIds, viewerId) => {
+  const messagesById = new Map();
+  if (messageIds.length === 0) return messagesById;
+
+  const result = await pool.query(
+    `${MESSAGE_SELECT}
+     WHERE m.id = ANY($2::int[])`,
+    [viewerId, messageIds]
+  );
+
+  for (const row of result.rows) {
+    messagesById.set(row.id, formatMessage(row));
+  }
+
+  return messagesById;
+};
+
+/**
+ * Load the participants of several conversations in one query
+ * @param {Number[]} conversationIds - Conversation IDs
+ * @returns {Promise<Map<Number, Object[]>>} - Participants (with their read receipt) keyed by conversation ID
+ */
+const getConversationParticipants = async (conversationIds) => {
+  const participantsByConversation = new Map();
+  if (conversationIds.length === 0) return participantsByConversation;
+
+  const result = await pool.query(
+    `SELECT cp.conversation_id, cp.last_read_message_id, cp.last_read_at, cp.joined_at,
+            u.id, u.username, u.full_name, u.profile_picture_url, u.is_verified
+     FROM conversation_participants cp
+     JOIN users u ON cp.user_id = u.id
+     WHERE cp.conversation_id = ANY($1::int[])
+     ORDER BY cp.conversation_id, cp.joined_at, u.id`,
+    [conversationIds]
+  );
+
+  for (const row of result.rows) {
+    if (!participantsByConversation.has(row.conversation_id)) participantsByConversation.set(row.conversation_id, []);
+    participantsByConversation.get(row.conversation_id).push({
+      id: row.id,
+      username: row.username,
+      fullName: row.full_name,
+      profilePictureUrl: row.profile_picture_url,
+      isVerified: row.is_verified,
+      lastReadMessageId: row.last_read_message_id,
+      lastReadAt: row.last_read_at,
+      joinedAt: row.joined_at
+    });
+  }
+
+  return participantsByConversation;
+};
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  MAX_CONVERSATION_PARTICIPANTS,
+  HIDE_BLOCKED_SENDERS,
+  getConversationMessages,
+  getMessagesByIds,
+  getConversationParticipants
+};
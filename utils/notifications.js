@@ -0,0 +1,240 @@
+const pool = require('../config/database');
+
+// Notification types whose unread notifications on the same post are merged
+// into one ("alice and 12 others liked your post")
+const GROUPED_TYPES = ['like'];
+
+/**
+ * Store notifications. Notifications addressed to their own actor, or to no one
+ * (e.g. the owner of a group that has none), are skipped.
+ * @param {Object[]} notifications - { userId, actorId, type, postId, commentId, groupId }
+ * @param {Object} client - Optional pg client when running inside a transaction
+ * @returns {Promise<Number[]>} - IDs of the stored notifications
+ */
+const createNotifications = async (notifications, client = pool) => {
+  const items = notifications.filter((item) => item.userId && item.userId !== item.actorId);
+  if (items.length === 0) return [];
+
+  const result = await client.query(
+    `INSERT INTO notifications (user_id, actor_id, type, post_id, comment_id, group_id)
+     SELECT * FROM UNNEST($1::int[], $2::int[], $3::varchar[], $4::int[], $5::int[], $6::int[])
+     RETURNING id`,
+    [
+      items.map((item) => item.userId),
+      items.map((item) => item.actorId || null),
+      items.map((item) => item.type),
+      items.map((item) => item.postId || null),
+      items.map((item) => item.commentId || null),
+      items.map((item) => item.groupId || null)
+    ]
+  );
+
+  return result.rows.map((row) => row.id);
+};
+
+/**
+ * Store a single notification
+ * @param {Object} notification - { userId, actorId, type, postId, commentId, groupId }
+ * @param {Object} client - Optional pg client when running inside a transaction
+ * @returns {Promise<Number[]>} - ID of the stored notification (empty when skipped)
+ */
+const createNotification = (notification, client = pool) => {
+  return createNotifications([notification], client);
+};
+
+// Refresh the actor count and latest actor of a grouped notification, removing it once empty
+const refreshNotificationGroup = async (notificationId, client) => {
+  await client.query(
+    `UPDATE notifications SET
+       actors_count = (SELECT COUNT(*) FROM notification_actors WHERE notification_id = $1),
+       actor_id = COALESCE(
+         (SELECT actor_id FROM notification_actors WHERE notification_id = $1 ORDER BY created_at DESC LIMIT 1),
+         actor_id
+       )
+     WHERE id = $1`,
+    [notificationId]
+  );
+
+  await client.query(
+    'DELETE FROM notifications WHERE id = $1 AND actors_count = 0',
+    [notificationId]
+  );
+};
+
+/**
+ * Add an actor to the recipient's unread grouped notification for a post,
+ * starting a new group when there is none (or the previous one was read)
+ * @param {Object} notification - { userId, actorId, type, postId }
+ * @param {Object} client - Optional pg client when running inside a transaction
+ * @returns {Promise<Number[]>} - ID of the grouped notification (empty when skipped)
+ */
+const addToNotificationGroup = async ({ userId, actorId, type, postId }, client = pool) => {
+  if (!GROUPED_TYPES.includes(type)) {
+    throw new Error(`Notification type "${type}" is not grouped`);
+  }
+
+  if (userId === actorId) return [];
+
+  const result = await client.query(
+    `INSERT INTO notifications (user_id, actor_id, type, post_id)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (user_id, type, post_id) WHERE type = 'like' AND is_read = false
+     DO UPDATE SET actor_id = EXCLUDED.actor_id, updated_at = CURRENT_TIMESTAMP
+     RETURNING id`,
+    [userId, actorId, type, postId]
+  );
+
+  const notificationId = result.rows[0].id;
+
+  await client.query(
+    `INSERT INTO notification_actors (notification_id, actor_id) VALUES ($1, $2)
+     ON CONFLICT (notification_id, actor_id) DO UPDATE SET created_at = CURRENT_TIMESTAMP`,
+    [notificationId, actorId]
+  );
+
+  await refreshNotificationGroup(notificationId, client);
+
+  return [notificationId];
+};
+
+/**
+ * Take an actor back out of the recipient's unread grouped notification for a post
+ * (e.g. after an unlike). Read notifications are left as they are.
+ * @param {Object} notification - { userId, actorId, type, postId }
+ * @param {Object} client - Optional pg client when running inside a transaction
+ * @returns {Promise<void>}
+ */
+const removeFromNotificationGroup = async ({ userId, actorId, type, postId }, client = pool) => {
+  const result = await client.query(
+    `DELETE FROM notification_actors na
+     USING notifications n
+     WHERE na.notification_id = n.id AND na.actor_id = $2
+       AND n.user_id = $1 AND n.type = $3 AND n.post_id = $4 AND n.is_read = false
+     RETURNING n.id`,
+    [userId, actorId, type, postId]
+  );
+
+  for (const row of result.rows) {
+    await refreshNotificationGroup(row.id, client);
+  }
+};
+
+// Human-readable summary shown in the activity tab
+const describeNotification = (row) => {
+  const others = row.actors_count - 1;
+  const actor = others > 0
+    ? `${row.actor_username} and ${others} ${others === 1 ? 'other' : 'others'}`
+    : row.actor_username;
+
+  switch (row.type) {
+    case 'like':
+      return `${actor} liked your post`;
+    case 'comment':
+      return `${actor} commented on your post`;
+    case 'mention':
+      return row.comment_id ? `${actor} mentioned you in a comment` : `${actor} mentioned you in a post`;
+    case 'follow':
+      return `${actor} started following you`;
+    case 'follow_request':
+      return `${actor} requested to follow you`;
+    case 'follow_accept':
+      return `${actor} accepted your follow request`;
+    case 'group_join':
+      return `${actor} joined ${row.group_name}`;
+    case 'group_add':
+      return `${actor} added you to ${row.group_name}`;
+    case 'group_join_request':
+      return `${actor} requested to join ${row.group_name}`;
+    case 'group_join_approved':
+      return `${actor} approved your request to join ${row.group_name}`;
+    case 'group_join_rejected':
+      return `${actor} declined your request to join ${row.group_name}`;
+    case 'group_ownership_offer':
+      return `${actor} wants to make you the owner of ${row.group_name}`;
+    case 'group_ownership_accepted':
+      return `${actor} accepted ownership of ${row.group_name}`;
+    case 'group_ownership_inherited':
+      return `${actor} left ${row.group_name} and you are now its owner`;
+    case 'group_post_approved':
+      return `${actor} approved your post in ${row.group_name}`;
+    case 'group_post_rejected':
+      return row.post_moderation_reason
+        ? `${actor} rejected your post in ${row.group_name}: ${row.post_moderation_reason}`
+        : `${actor} rejected your post in ${row.group_name}`;
+    default:
+      return `${actor} sent you a notification`;
+  }
+};
+
+/**
+ * Map a notification row (joined with its actor, post, comment and group) to the API format
+ * @param {Object} row - Row from NOTIFICATION_SELECT
+ * @returns {Object} - Notification
+ */
+const formatNotification = (row) => ({
+  id: row.id,
+  type: row.type,
+  message: describeNotification(row),
+  isRead: row.is_read,
+  actorsCount: row.actors_count,
+  actor: row.actor_id ? {
+    id: row.actor_id,
+    username: row.actor_username,
+    fullName: row.actor_full_name,
+    profilePictureUrl: row.actor_profile_picture_url,
+    isVerified: row.actor_is_verified
+  } : null,
+  post: row.post_id ? { id: row.post_id, imageUrl: row.post_image_url } : null,
+  comment: row.comment_id ? { id: row.comment_id, commentText: row.comment_text } : null,
+  group: row.group_id ? { id: row.group_id, name: row.group_name } : null,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+// Columns and joins needed by formatNotification (alias the notifications table as n)
+const NOTIFICATION_SELECT = `
+  SELECT n.id, n.user_id, n.type, n.is_read, n.actors_count, n.actor_id, n.post_id, n.comment_id, n.group_id,
+         n.created_at, n.updated_at, n.updated_at::text AS sort_key,
+         a.username AS actor_username, a.full_name AS actor_full_name,
+         a.profile_picture_url AS actor_profile_picture_url, a.is_verified AS actor_is_verified,
+         p.image_url AS post_image_url, p.moderation_reason AS post_moderation_reason, c.comment_text, g.name AS group_name
+  FROM notifications n
+  LEFT JOIN users a ON n.actor_id = a.id
+  LEFT JOIN posts p ON n.post_id = p.id
+  LEFT JOIN comments c ON n.comment_id = c.id
+  LEFT JOIN groups g ON n.group_id = g.id
+`;
+
+// Hide notifications from users the recipient ($1) has blocked or been blocked by
+const HIDE_BLOCKED_ACTORS = `
+  NOT EXISTS (
+    SELECT 1 FROM user_blocks b
+    WHERE (b.blocker_id = $1 AND b.blocked_id = n.actor_id) OR (b.blocker_id = n.actor_id AND b.blocked_id = $1)
+  )
+`;
+
+/**
+ * Count a user's unread notifications
+ * @param {Number} userId - User ID
+ * @returns {Promise<Number>} - Unread count
+ */
+const getUnreadCount = async (userId) => {
+  const result = await pool.query(
+    `SELECT COUNT(*) as count FROM notifications n
+     WHERE n.user_id = $1 AND n.is_read = false AND ${HIDE_BLOCKED_ACTORS}`,
+    [userId]
+  );
+
+  return parseInt(result.rows[0].count);
+};
+
+module.exports = {
+  createNotifications,
+  createNotification,
+  addToNotificationGroup,
+  removeFromNotificationGroup,
+  formatNotification,
+  NOTIFICATION_SELECT,
+  HIDE_BLOCKED_ACTORS,
+  getUnreadCount
+};
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const pool = require('../config/database');
+const { hashToken } = require('../middleware/auth');
+const { sendMail } = require('./mailer');
+const { logSecurityEvent } = require('./securityLog');
+const { publishSessionRevoked } = require('./realtime');
+const { RESEND_COOLDOWN_SECONDS } = require('./emailVerification');
+
+const RESET_EXPIRES_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES || '60', 10);
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+
+/**
+ * Create a single-use password reset token and store its hash.
+ * Uses the same cooldown as verification emails, counted from the last reset token issued.
+ * @param {Number} userId - User ID
+ * @returns {Promise<String|null>} - Raw reset token, or null while the cooldown is running
+ */
+const createPasswordResetToken = async (userId) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + RESET_EXPIRES_MINUTES * 60 * 1000);
+
+  const result = await pool.query(
+    `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+     SELECT $1, $2, $3
+     WHERE NOT EXISTS (
+       SELECT 1 FROM password_reset_tokens
+       WHERE user_id = $1 AND created_at > NOW() - make_interval(secs => $4)
+     )
+     RETURNING id`,
+    [userId, hashToken(token), expiresAt, RESEND_COOLDOWN_SECONDS]
+  );
+
+  return result.rows.length > 0 ? token : null;
+};
+
+/**
+ * Issue a reset token and email the reset link to the user.
+ * Nothing is sent while the cooldown since the last reset email is running.
+ * @param {Object} user - User row with id, username and email
+ * @returns {Promise<Boolean>} - Whether an email was sent
+ */
+const sendPasswordResetEmail = async (user) => {
+  const token = await createPasswordResetToken(user.id);
+  if (!token) {
+    return false;
+  }
+
+  const link = `${CLIENT_URL}/reset-password?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your FastGram password',
+    text: `Hi ${user.username},\n\nWe received a request to reset your password. Open the link below within ${RESET_EXPIRES_MINUTES} minutes to choose a new one:\n\n${link}\n\nIf you did not request a password reset, you can ignore this email.`,
+    html: `<p>Hi ${user.username},</p><p>We received a request to reset your password. Open the link below within ${RESET_EXPIRES_MINUTES} minutes to choose a new one:</p><p><a href="${link}">${link}</a></p><p>If you did not request a password reset, you can ignore this email.</p>`
+  });
+
+  return true;
+};
+
+/**
+ * Notify the user that their password was changed
+ * @param {Object} user - User row with username and email
+ * @returns {Promise<void>}
+ */
+const sendPasswordChangedEmail = async (user) => {
+  await sendMail({
+    to: user.email,
+    subject: 'Your FastGram password was changed',
+    text: `Hi ${user.username},\n\nYour password was just reset and you have been signed out of all devices. If this wasn't you, please reset your password again immediately.`,
+    html: `<p>Hi ${user.username},</p><p>Your password was just reset and you have been signed out of all devices. If this wasn't you, please reset your password again immediately.</p>`
+  });
+};
+
+/**
+ * Consume a reset token, set the new password and revoke all refresh tokens
+ * @param {String} token - Raw reset token
+ * @param {String} passwordHash - Bcrypt hash of the new password
+ * @returns {Promise<Object|null>} - Updated user, or null if the token is invalid, used or expired
+ */
+const resetPassword = async (token, passwordHash) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const tokenResult = await client.query(
+      `UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP
+       WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+       RETURNING user_id`,
+      [hashToken(token)]
+    );
+
+    if (tokenResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const userId = tokenResult.rows[0].user_id;
+
+    const userResult = await client.query(
+      `UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND is_active = true
+       RETURNING id, username, email`,
+      [passwordHash, userId]
+    );
+
+    if (userResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    // Invalidate any other outstanding reset links
+    await client.query(
+      'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND used_at IS NULL',
+      [userId]
+    );
+
+    // Sign the user out everywhere
+    await client.query('DELETE FROM refresh_tokens WHERE user_id = $1', [userId]);
+
+    await client.query('COMMIT');
+
+    await logSecurityEvent({ userId, eventType: 'session.revoked_all', details: { reason: 'password_reset' } });
+    await publishSessionRevoked(userId);
+
+    return userResult.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  createPasswordResetToken,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail,
+  resetPassword
+};
@@ -0,0 +1,242 @@
+const pool = require('../config/database');
+const { isVideo } = require('../middleware/upload');
+const {
+  uploadToCloudinary,
+  uploadVideoToCloudinary,
+  getVideoPosterUrl,
+  deleteFromCloudinary
+} = require('./cloudinaryUpload');
+const { probeVideoDuration } = require('./videoProbe');
+
+const MAX_MEDIA_ITEMS = 10;
+const MAX_ALT_TEXT_LENGTH = 500;
+const MAX_VIDEO_DURATION_SECONDS = parseInt(process.env.MAX_VIDEO_DURATION_SECONDS || '60', 10);
+
+/**
+ * Collect uploaded media files in order. A single legacy `image` field comes
+ * first, followed by the `images` array.
+ * @param {Object} files - req.files from upload.fields()
+ * @returns {Object[]} - Multer file objects
+ */
+const collectMediaFiles = (files = {}) => {
+  return [...(files.image || []), ...(files.images || [])];
+};
+
+/**
+ * Normalise the altText form field into one entry per media item
+ * @param {String|String[]} altText - A single value or one value per file
+ * @param {Number} count - Number of media items
+ * @returns {(String|null)[]} - Alt text for each item (null when missing)
+ */
+const normalizeAltTexts = (altText, count) => {
+  const values = altText === undefined ? [] : [].concat(altText);
+  return Array.from({ length: count }, (_, index) => {
+    const value = values[index] !== undefined ? String(values[index]).trim() : '';
+    return value || null;
+  });
+};
+
+/**
+ * Delete uploaded media from Cloudinary. Failures are logged, not thrown.
+ * @param {Object[]} items - Objects with a publicId and type ('image' or 'video')
+ * @returns {Promise<void>}
+ */
+const deleteUploadedMedia = async (items) => {
+  await Promise.all(items.map(async (item) => {
+    if (!item.publicId) return;
+
+    try {
+      await deleteFromCloudinary(item.publicId, item.type === 'video' ? 'video' : 'image');
+    } catch (error) {
+      console.error('Cloudinary delete error (non-critical):', error.message);
+    }
+  }));
+};
+
+// Upload one file and describe the stored media (Cloudinary reports video duration and dimensions)
+const uploadMediaFile = async (file, options) => {
+  if (isVideo(file)) {
+    const result = await uploadVideoToCloudinary(file.path, options);
+    return {
+      type: 'video',
+      url: result.secure_url,
+      publicId: result.public_id,
+      width: result.width,
+      height: result.height,
+      duration: result.duration,
+      posterUrl: getVideoPosterUrl(result.public_id)
+    };
+  }
+
+  const result = await uploadToCloudinary(file.buffer, options);
+  return {
+    type: 'image',
+    url: result.secure_url,
+    publicId: result.public_id,
+    width: result.width,
+    height: result.height,
+    duration: null,
+    posterUrl: null
+  };
+};
+
+// Error for a video over the duration limit (reported to the client as a 400)
+const videoTooLongError = () => {
+  const error = new Error(`Videos can be at most ${MAX_VIDEO_DURATION_SECONDS} seconds long`);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Upload media files to Cloudinary in parallel. Videos whose container
+ * reports a duration over the limit are rejected before anything is
+ * uploaded; for the rest, Cloudinary's reported duration is checked after
+ * upload. If any upload fails or a video is too long, the uploads that
+ * succeeded are deleted and an error is thrown (with status 400 for the
+ * duration limit).
+ * @param {Object[]} files - Multer file objects (images in memory, videos on disk)
+ * @param {Object} options - { folder, publicIdPrefix }
+ * @returns {Promise<Object[]>} - Uploaded items in file order: { type, url, publicId, width, height, duration, posterUrl }
+ */
+const uploadPostMedia = async (files, { folder, publicIdPrefix }) => {
+  const probedDurations = await Promise.all(
+    files.map((file) => (isVideo(file) ? probeVideoDuration(file.path) : null))
+  );
+
+  if (probedDurations.some((duration) => duration !== null && duration > MAX_VIDEO_DURATION_SECONDS)) {
+    throw videoTooLongError();
+  }
+
+  const results = await Promise.allSettled(files.map((file, index) => uploadMediaFile(file, {
+    folder,
+    public_id: `${publicIdPrefix}_${index}`
+  })));
+
+  const uploaded = results
+    .filter((result) => result.status === 'fulfilled')
+    .map((result) => result.value);
+
+  const failure = results.find((result) => result.status === 'rejected');
+  if (failure) {
+    await deleteUploadedMedia(uploaded);
+    throw failure.reason;
+  }
+
+  if (uploaded.some((item) => item.type === 'video' && item.duration > MAX_VIDEO_DURATION_SECONDS)) {
+    await deleteUploadedMedia(uploaded);
+    throw videoTooLongError();
+  }
+
+  return uploaded;
+};
+
+/**
+ * Store uploaded media for a post in order
+ * @param {Object} client - pg client (inside the post's transaction)
+ * @param {Number} postId - Post ID
+ * @param {Object[]} items - Uploaded items from uploadPostMedia
+ * @param {(String|null)[]} altTexts - Alt text per item
+ * @returns {Promise<Object[]>} - Formatted media items
+ */
+const savePostMedia = async (client, postId, items, altTexts = []) => {
+  const result = await client.query(
+    `INSERT INTO post_media (post_id, position, media_type, url, public_id, width, height, duration, poster_url, alt_text)
+     SELECT $1, item.position - 1, item.media_type, item.url, item.public_id, item.width, item.height,
+            item.duration, item.poster_url, item.alt_text
+     FROM UNNEST($2::varchar[], $3::varchar[], $4::varchar[], $5::int[], $6::int[], $7::numeric[], $8::varchar[], $9::varchar[])
+       WITH ORDINALITY AS item(media_type, url, public_id, width, height, duration, poster_url, alt_text, position)
+     RETURNING id, position, media_type, url, width, height, duration, poster_url, alt_text`,
+    [
+      postId,
+      items.map((item) => item.type),
+      items.map((item) => item.url),
+      items.map((item) => item.publicId),
+      items.map((item) => item.width || null),
+      items.map((item) => item.height || null),
+      items.map((item) => item.duration || null),
+      items.map((item) => item.posterUrl || null),
+      items.map((_, index) => altTexts[index] || null)
+    ]
+  );
+
+  return result.rows.sort((a, b) => a.position - b.position).map(formatMedia);
+};
+
+/**
+ * Map a post_media row to the API format
+ * @param {Object} row - post_media row
+ * @returns {Object} - Media item
+ */
+const formatMedia = (row) => ({
+  id: row.id,
+  position: row.position,
+  type: row.media_type,
+  url: row.url,
+  width: row.width,
+  height: row.height,
+  duration: row.duration !== null ? parseFloat(row.duration) : null,
+  posterUrl: row.poster_url,
+  altText: row.alt_text
+});
+
+/**
+ * Load the ordered media of several posts in one query
+ * @param {Number[]} postIds - Post IDs
+ * @returns {Promise<Map<Number, Object[]>>} - Media items keyed by post ID
+ */
+const getPostMedia = async (postIds) => {
+  const mediaByPost = new Map();
+  if (postIds.length === 0) return mediaByPost;
+
+  const result = await pool.query(
+    `SELECT id, post_id, position, media_type, url, width, height, duration, poster_url, alt_text
+     FROM post_media
+     WHERE post_id = ANY($1::int[])
+     ORDER BY post_id, position`,
+    [postIds]
+  );
+
+  for (const row of result.rows) {
+    if (!mediaByPost.has(row.post_id)) mediaByPost.set(row.post_id, []);
+    mediaByPost.get(row.post_id).push(formatMedia(row));
+  }
+
+  return mediaByPost;
+};
+
+/**
+ * Look up the Cloudinary public IDs of a post's media (call before the post is deleted)
+ * @param {Number} postId - Post ID
+ * @returns {Promise<Object[]>} - Items with a publicId, ready for deleteUploadedMedia
+ */
+const getPostMediaPublicIds = async (postId) => {
+  const result = await pool.query(
+    'SELECT public_id, media_type FROM post_media WHERE post_id = $1',
+    [postId]
+  );
+
+  return result.rows.map((row) => ({ publicId: row.public_id, type: row.media_type }));
+};
+
+/**
+ * URL to use as a post's cover image: the first image, or a video's poster
+ * @param {Object[]} items - Uploaded items from uploadPostMedia
+ * @returns {String|null} - Cover image URL
+ */
+const getCoverUrl = (items) => {
+  if (items.length === 0) return null;
+  return items[0].type === 'video' ? items[0].posterUrl : items[0].url;
+};
+
+module.exports = {
+  MAX_MEDIA_ITEMS,
+  MAX_ALT_TEXT_LENGTH,
+  collectMediaFiles,
+  normalizeAltTexts,
+  uploadPostMedia,
+  deleteUploadedMedia,
+  savePostMedia,
+  getCoverUrl,
+  getPostMedia,
+  getPostMediaPublicIds
+};
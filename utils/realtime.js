@@ -0,0 +1,75 @@
+const pool = require('../config/database');
+const pubsub = require('../config/pubsub');
+const { formatNotification, NOTIFICATION_SELECT } = require('./notifications');
+
+// Channel names
+const userChannel = (userId) => `user:${userId}`;
+const postChannel = (postId) => `post:${postId}`;
+const groupChannel = (groupId) => `group:${groupId}`;
+const groupChatChannel = (groupId) => `group_chat:${groupId}`; // members only
+
+/**
+ * Publish an event to a channel. Real-time delivery is best effort, so
+ * failures are logged and never thrown.
+ * @param {String} channel - Channel name
+ * @param {String} type - Event type, e.g. 'comment.created'
+ * @param {Object} data - JSON-serialisable payload
+ * @param {Number|null} actorId - User who caused the event (lets streams hide blocked users)
+ * @returns {Promise<void>}
+ */
+const publishEvent = async (channel, type, data, actorId = null) => {
+  try {
+    await pubsub.publish(channel, { type, data, actorId });
+  } catch (error) {
+    console.error('Realtime publish error (non-critical):', error.message);
+  }
+};
+
+/**
+ * Push newly created or updated notifications to their recipients
+ * (call after the transaction that created them has committed)
+ * @param {Number[]} notificationIds - Notification IDs
+ * @returns {Promise<void>}
+ */
+const publishNotifications = async (notificationIds) => {
+  if (notificationIds.length === 0) return;
+
+  try {
+    const result = await pool.query(
+      `${NOTIFICATION_SELECT}
+       WHERE n.id = ANY($1::int[])
+       ORDER BY n.id`,
+      [notificationIds]
+    );
+
+    await Promise.all(result.rows.map((row) => publishEvent(
+      userChannel(row.user_id),
+      'notification',
+      formatNotification(row),
+      row.actor_id
+    )));
+  } catch (error) {
+    console.error('Realtime notification error (non-critical):', error.message);
+  }
+};
+
+/**
+ * Tell a user's open event streams that a session was revoked, so the streams
+ * opened with that session's access tokens are closed
+ * @param {Number} userId - User ID
+ * @param {String|null} sessionId - Revoked session, or null when every session was revoked
+ * @returns {Promise<void>}
+ */
+const publishSessionRevoked = async (userId, sessionId = null) => {
+  await publishEvent(userChannel(userId), 'session.revoked', { sessionId });
+};
+
+module.exports = {
+  userChannel,
+  postChannel,
+  groupChannel,
+  groupChatChannel,
+  publishEvent,
+  publishNotifications,
+  publishSessionRevoked
+};
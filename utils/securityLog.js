@@ -0,0 +1,28 @@
+const pool = require('../config/database');
+
+/**
+ * Record a security-relevant event (token issue/rotation/reuse, session revocation, ...)
+ * for later review. Logging failures are reported but never thrown.
+ * @param {Object} event - { userId, eventType, sessionId, req, details }
+ * @returns {Promise<void>}
+ */
+const logSecurityEvent = async ({ userId, eventType, sessionId = null, req = null, details = null }) => {
+  const ipAddress = req ? req.ip || (req.socket && req.socket.remoteAddress) || null : null;
+  const userAgent = req ? req.headers['user-agent'] || null : null;
+
+  console.log(`🔒 Security event: ${eventType} user=${userId || '-'} session=${sessionId || '-'} ip=${ipAddress || '-'}`);
+
+  try {
+    await pool.query(
+      `INSERT INTO security_events (user_id, event_type, session_id, ip_address, user_agent, details)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [userId || null, eventType, sessionId, ipAddress, userAgent, details ? JSON.stringify(details) : null]
+    );
+  } catch (error) {
+    console.error('Error logging security event:', error);
+  }
+};
+
+module.exports = {
+  logSecurityEvent
+};
@@ -0,0 +1,55 @@
+/**
+ * Key/value stores for throttling counters.
+ *
+ * A store is any object implementing these async methods, so the in-memory
+ * store below can be swapped for a shared one (e.g. Redis with PX expiry)
+ * when running several instances:
+ *   get(key)                -> Promise<Object|null>
+ *   set(key, value, ttlMs)  -> Promise<void>
+ *   delete(key)             -> Promise<void>
+ */
+
+/**
+ * In-memory store for a single node. Entries expire after their TTL.
+ * @param {Object} options - { sweepIntervalMs: how often expired entries are purged }
+ * @returns {Object} - Throttle store
+ */
+const createMemoryStore = ({ sweepIntervalMs = 60 * 1000 } = {}) => {
+  const entries = new Map();
+
+  const sweep = () => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(key);
+    }
+  };
+
+  // Don't keep the process alive just for the sweeper
+  setInterval(sweep, sweepIntervalMs).unref();
+
+  return {
+    get: async (key) => {
+      const entry = entries.get(key);
+      if (!entry) return null;
+
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+
+      return { ...entry.value };
+    },
+
+    set: async (key, value, ttlMs) => {
+      entries.set(key, { value: { ...value }, expiresAt: Date.now() + ttlMs });
+    },
+
+    delete: async (key) => {
+      entries.delete(key);
+    }
+  };
+};
+
+module.exports = {
+  createMemoryStore
+};
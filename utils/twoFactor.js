@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const pool = require('../config/database');
+const { hashToken, signToken, verifyToken } = require('../middleware/auth');
+const { verifyCode } = require('./totp');
+
+const CHALLENGE_EXPIRES_IN = process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m';
+const RECOVERY_CODE_COUNT = 10;
+
+// Recovery codes are compared case-insensitively and without dashes
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Create a short-lived challenge token proving the password step succeeded
+ * @param {Number} userId - User ID
+ * @returns {String} - Signed challenge token
+ */
+const createChallengeToken = (userId) => {
+  return signToken({ userId }, '2fa-challenge', CHALLENGE_EXPIRES_IN);
+};
+
+/**
+ * Verify a challenge token issued by createChallengeToken
+ * @param {String} token - Challenge token
+ * @returns {Number|null} - User ID, or null if invalid or expired
+ */
+const verifyChallengeToken = (token) => {
+  const decoded = verifyToken(token, '2fa-challenge');
+  return decoded ? decoded.userId : null;
+};
+
+/**
+ * Replace the user's recovery codes with a fresh set
+ * @param {Number} userId - User ID
+ * @param {Object} client - Optional pg client when running inside a transaction
+ * @returns {Promise<String[]>} - Plain recovery codes (shown to the user once)
+ */
+const replaceRecoveryCodes = async (userId, client = pool) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await client.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+  await client.query(
+    `INSERT INTO two_factor_recovery_codes (user_id, code_hash)
+     SELECT $1, UNNEST($2::varchar[])`,
+    [userId, codes.map((code) => hashToken(normalizeRecoveryCode(code)))]
+  );
+
+  return codes;
+};
+
+/**
+ * Check a TOTP code against the user's secret, rejecting replays of an already used step
+ * @param {Object} user - User row with id, two_factor_secret and two_factor_last_step
+ * @param {String} code - Code entered by the user
+ * @returns {Promise<Boolean>} - Whether the code was accepted
+ */
+const verifyTotpForUser = async (user, code) => {
+  if (!user.two_factor_secret) {
+    return false;
+  }
+
+  const lastStep = user.two_factor_last_step !== null && user.two_factor_last_step !== undefined
+    ? parseInt(user.two_factor_last_step, 10)
+    : null;
+  const step = verifyCode(user.two_factor_secret, code, { lastStep });
+
+  if (step === null) {
+    return false;
+  }
+
+  // Guard against a concurrent request accepting the same step
+  const result = await pool.query(
+    `UPDATE users SET two_factor_last_step = $1
+     WHERE id = $2 AND (two_factor_last_step IS NULL OR two_factor_last_step < $1)`,
+    [step, user.id]
+  );
+
+  return result.rowCount > 0;
+};
+
+/**
+ * Consume a one-time recovery code
+ * @param {Number} userId - User ID
+ * @param {String} code - Recovery code entered by the user
+ * @returns {Promise<Boolean>} - Whether a matching unused code was found
+ */
+const consumeRecoveryCode = async (userId, code) => {
+  const result = await pool.query(
+    `UPDATE two_factor_recovery_codes SET used_at = CURRENT_TIMESTAMP
+     WHERE id = (
+       SELECT id FROM two_factor_recovery_codes
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       LIMIT 1
+     )`,
+    [userId, hashToken(normalizeRecoveryCode(code))]
+  );
+
+  return result.rowCount > 0;
+};
+
+/**
+ * Verify a second factor: a TOTP code or, failing that, a recovery code
+ * @param {Number} userId - User ID
+ * @param {String} code - TOTP or recovery code
+ * @returns {Promise<Boolean>} - Whether the second factor was accepted
+ */
+const verifySecondFactor = async (userId, code) => {
+  const userResult = await pool.query(
+    'SELECT id, two_factor_enabled, two_factor_secret, two_factor_last_step FROM users WHERE id = $1',
+    [userId]
+  );
+
+  const user = userResult.rows[0];
+  if (!user || !user.two_factor_enabled) {
+    return false;
+  }
+
+  if (await verifyTotpForUser(user, code)) {
+    return true;
+  }
+
+  return consumeRecoveryCode(userId, code);
+};
+
+module.exports = {
+  createChallengeToken,
+  verifyChallengeToken,
+  replaceRecoveryCodes,
+  verifyTotpForUser,
+  verifySecondFactor
+};
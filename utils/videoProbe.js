@@ -0,0 +1,177 @@
+const fs = require('fs');
+
+// WebM keeps its duration in the Info element near the start of the file
+const WEBM_HEADER_BYTES = 1024 * 1024;
+
+const EBML_MAGIC = 0x1a45dfa3;
+const EBML_SEGMENT = 0x18538067;
+const EBML_INFO = 0x1549a966;
+const EBML_TIMECODE_SCALE = 0x2ad7b1;
+const EBML_DURATION = 0x4489;
+
+// Read up to `length` bytes at `position` (fewer at the end of the file)
+const readAt = async (handle, position, length) => {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+};
+
+/**
+ * Find a box of the given type between two offsets of an MP4/MOV file
+ * @param {Object} handle - fs.promises FileHandle
+ * @param {String} type - Four-character box type (e.g. 'moov')
+ * @param {Number} start - Offset of the first box
+ * @param {Number} end - Offset where the boxes end
+ * @returns {Promise<Object|null>} - { start, end } of the box contents, or null when missing
+ */
+const findMp4Box = async (handle, type, start, end) => {
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    const header = await readAt(handle, offset, 16);
+    if (header.length < 8) return null;
+
+    let size = header.readUInt32BE(0);
+    let headerSize = 8;
+    if (size === 1) {
+      if (header.length < 16) return null;
+      size = Number(header.readBigUInt64BE(8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+
+    if (size < headerSize) return null;
+
+    if (header.toString('latin1', 4, 8) === type) {
+      return { start: offset + headerSize, end: Math.min(offset + size, end) };
+    }
+
+    offset += size;
+  }
+
+  return null;
+};
+
+// MP4/MOV: the movie header (moov > mvhd) stores the duration in timescale units
+const probeMp4Duration = async (handle, fileSize) => {
+  const moov = await findMp4Box(handle, 'moov', 0, fileSize);
+  if (!moov) return null;
+
+  const mvhd = await findMp4Box(handle, 'mvhd', moov.start, moov.end);
+  if (!mvhd) return null;
+
+  const data = await readAt(handle, mvhd.start, 32);
+  let timescale;
+  let duration;
+
+  if (data[0] === 1) {
+    if (data.length < 32) return null;
+    timescale = data.readUInt32BE(20);
+    duration = Number(data.readBigUInt64BE(24));
+  } else {
+    if (data.length < 20) return null;
+    timescale = data.readUInt32BE(12);
+    duration = data.readUInt32BE(16);
+    if (duration === 0xffffffff) return null;
+  }
+
+  return timescale > 0 ? duration / timescale : null;
+};
+
+/**
+ * Read an EBML variable-length integer
+ * @param {Buffer} buffer - Data
+ * @param {Number} offset - Offset of the first byte
+ * @param {Boolean} keepMarker - Keep the length marker bits (element IDs are written with them)
+ * @returns {Object|null} - { value, length, unknown } or null when the buffer ends first
+ */
+const readVint = (buffer, offset, keepMarker) => {
+  const first = buffer[offset];
+  if (!first) return null;
+
+  let length = 1;
+  while (!(first & (0x80 >> (length - 1)))) length++;
+  if (offset + length > buffer.length) return null;
+
+  const mask = 0xff >> length;
+  let value = keepMarker ? first : first & mask;
+  let unknown = (first & mask) === mask;
+
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + buffer[offset + i];
+    if (buffer[offset + i] !== 0xff) unknown = false;
+  }
+
+  return { value, length, unknown: !keepMarker && unknown };
+};
+
+// WebM: Segment > Info holds the duration in TimecodeScale units (nanoseconds each)
+const probeWebmDuration = async (handle) => {
+  const buffer = await readAt(handle, 0, WEBM_HEADER_BYTES);
+  let offset = 0;
+  let end = buffer.length;
+  let timecodeScale = 1000000;
+  let duration = null;
+
+  while (offset < end) {
+    const id = readVint(buffer, offset, true);
+    const size = id && readVint(buffer, offset + id.length, false);
+    if (!size) break;
+
+    const dataStart = offset + id.length + size.length;
+
+    // Descend into the segment and its info; nothing else is needed
+    if (id.value === EBML_SEGMENT || id.value === EBML_INFO) {
+      offset = dataStart;
+      if (!size.unknown) end = Math.min(dataStart + size.value, end);
+      continue;
+    }
+
+    if (size.unknown || dataStart + size.value > buffer.length) break;
+
+    if (id.value === EBML_TIMECODE_SCALE && size.value > 0 && size.value <= 6) {
+      timecodeScale = buffer.readUIntBE(dataStart, size.value);
+    } else if (id.value === EBML_DURATION && size.value === 4) {
+      duration = buffer.readFloatBE(dataStart);
+    } else if (id.value === EBML_DURATION && size.value === 8) {
+      duration = buffer.readDoubleBE(dataStart);
+    }
+
+    offset = dataStart + size.value;
+  }
+
+  return duration !== null ? (duration * timecodeScale) / 1e9 : null;
+};
+
+/**
+ * Read a video's duration from its container headers without decoding it.
+ * Supports MP4/MOV and WebM; returns null when the file does not say (e.g.
+ * WebM recorded live without a duration) or cannot be parsed.
+ * @param {String} filePath - Path of the video file
+ * @returns {Promise<Number|null>} - Duration in seconds
+ */
+const probeVideoDuration = async (filePath) => {
+  let handle;
+
+  try {
+    handle = await fs.promises.open(filePath, 'r');
+    const { size } = await handle.stat();
+    const magic = await readAt(handle, 0, 4);
+
+    if (magic.length === 4 && magic.readUInt32BE(0) === EBML_MAGIC) {
+      return await probeWebmDuration(handle);
+    }
+
+    return await probeMp4Duration(handle, size);
+  } catch (error) {
+    console.error('Video probe error (non-critical):', error.message);
+    return null;
+  } finally {
+    if (handle) await handle.close();
+  }
+};
+
+module.exports = {
+  probeVideoDuration
+};
@@ -0,0 +1,106 @@
+const pool = require('../config/database');
+
+/**
+ * Check whether either user has blocked the other
+ * @param {Number|null} userId - ID of the requesting user (null when anonymous)
+ * @param {Number} otherUserId - ID of the other user
+ * @returns {Promise<Boolean>} - Whether a block exists in either direction
+ */
+const isBlocked = async (userId, otherUserId) => {
+  if (!userId || userId === otherUserId) {
+    return false;
+  }
+
+  const result = await pool.query(
+    `SELECT 1 FROM user_blocks
+     WHERE (blocker_id = $1 AND blocked_id = $2) OR (blocker_id = $2 AND blocked_id = $1)`,
+    [userId, otherUserId]
+  );
+
+  return result.rows.length > 0;
+};
+
+/**
+ * Check whether a viewer may see a user's posts and follower lists.
+ * Public accounts are visible to everyone; private accounts only to
+ * their owner and accepted followers.
+ * @param {Object} owner - User row with id and is_private
+ * @param {Number|null} viewerId - ID of the requesting user (null when anonymous)
+ * @returns {Promise<Boolean>} - Whether the content may be shown
+ */
+const canViewUserContent = async (owner, viewerId) => {
+  if (!owner.is_private || owner.id === viewerId) {
+    return true;
+  }
+
+  if (!viewerId) {
+    return false;
+  }
+
+  const result = await pool.query(
+    'SELECT 1 FROM followers WHERE follower_id = $1 AND following_id = $2',
+    [viewerId, owner.id]
+  );
+
+  return result.rows.length > 0;
+};
+
+/**
+ * Check whether a viewer may see a post. Group posts follow the group's own
+ * visibility (private groups only to members); other posts follow their
+ * author's account privacy.
+ * @param {Object} post - Post row with user_id, group_id and the author's is_private
+ * @param {Number|null} viewerId - ID of the requesting user (null when anonymous)
+ * @returns {Promise<Boolean>} - Whether the post may be shown
+ */
+const canViewPost = async (post, viewerId) => {
+  if (post.group_id) {
+    const result = await pool.query(
+      `SELECT 1 FROM groups g
+       WHERE g.id = $1 AND (
+         g.is_private = false
+         OR EXISTS (SELECT 1 FROM group_members gm WHERE gm.group_id = g.id AND gm.user_id = $2)
+       )`,
+      [post.group_id, viewerId]
+    );
+
+    return result.rows.length > 0;
+  }
+
+  return canViewUserContent({ id: post.user_id, is_private: post.is_private }, viewerId);
+};
+
+/**
+ * Describe the viewer's follow relationship with a user
+ * @param {Number} ownerId - ID of the profile owner
+ * @param {Number|null} viewerId - ID of the requesting user (null when anonymous)
+ * @returns {Promise<String|null>} - 'self', 'following', 'requested' or 'none'; null when anonymous
+ */
+const getFollowStatus = async (ownerId, viewerId) => {
+  if (!viewerId) {
+    return null;
+  }
+
+  if (ownerId === viewerId) {
+    return 'self';
+  }
+
+  const result = await pool.query(
+    `SELECT
+       EXISTS(SELECT 1 FROM followers WHERE follower_id = $1 AND following_id = $2) AS is_following,
+       EXISTS(SELECT 1 FROM follow_requests WHERE requester_id = $1 AND target_id = $2 AND status = 'pending') AS is_requested`,
+    [viewerId, ownerId]
+  );
+
+  const { is_following: isFollowing, is_requested: isRequested } = result.rows[0];
+  if (isFollowing) return 'following';
+  if (isRequested) return 'requested';
+  return 'none';
+};
+
+module.exports = {
+  isBlocked,
+  canViewUserContent,
+  canViewPost,
+  getFollowStatus
+};